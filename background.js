@@ -0,0 +1,47 @@
+// Coto Sorter — Background (notificaciones de watchlist y base IndexedDB de la extensión)
+// Chrome lo carga como service worker (importScripts); Firefox, como página de fondo con manifest.background.scripts.
+if (typeof importScripts === "function") importScripts("src/utils.js", "src/db.js");
+
+(function () {
+  "use strict";
+
+  const { DB_MESSAGE, handleDbMessage } = self.CotoSorter.db;
+  const { isCotoUrl } = self.CotoSorter.utils;
+
+  const NOTIFICATION_PREFIX = "coto-watch|";
+
+  // Alertas de precio objetivo enviadas por el content script (src/watchlist.js)
+  chrome.runtime.onMessage.addListener((msg) => {
+    if (msg?.type !== "coto-sorter:watch-alert" || !msg.sku) return;
+
+    chrome.notifications.create(NOTIFICATION_PREFIX + msg.sku, {
+      type: "basic",
+      iconUrl: chrome.runtime.getURL("icons/icon128.png"),
+      title: msg.title || "Coto Sorter",
+      message: msg.message || "",
+    });
+  });
+
+  // Historial de precios y cache de categorías pedidos por los content scripts (src/db.js)
+  chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+    if (msg?.type !== DB_MESSAGE || sender?.id !== chrome.runtime.id) return;
+
+    handleDbMessage(msg).then(
+      (result) => sendResponse({ ok: true, result }),
+      (err) => sendResponse({ ok: false, error: err?.message || String(err) })
+    );
+    return true; // respuesta asíncrona
+  });
+
+  // Click en la notificación: abrir el producto seguido (solo links de cotodigital)
+  chrome.notifications.onClicked.addListener((notificationId) => {
+    if (!notificationId.startsWith(NOTIFICATION_PREFIX)) return;
+    const sku = notificationId.slice(NOTIFICATION_PREFIX.length);
+
+    chrome.storage.local.get("watchlist", (result) => {
+      const href = result?.watchlist?.[sku]?.href;
+      if (isCotoUrl(href)) chrome.tabs.create({ url: href });
+      chrome.notifications.clear(notificationId);
+    });
+  });
+})();
@@ -0,0 +1,181 @@
+// Basket page — ranking de sucursales para la canasta guardada en chrome.storage.local
+(function () {
+  "use strict";
+
+  const { formatPrice } = window.CotoSorter.utils;
+  const { initBasket, setBasketQty, removeFromBasket, clearBasket, compareBasketByStore } =
+    window.CotoSorter.basket;
+
+  // Columnas del detalle: top N sucursales del ranking (+ mi sucursal si quedó afuera).
+  const DETAIL_STORES = 3;
+
+  const emptyEl = document.getElementById("empty");
+  const contentEl = document.getElementById("content");
+  const itemsEl = document.getElementById("items");
+  const rankingEl = document.getElementById("ranking");
+  const detailHeadEl = document.getElementById("detail-head");
+  const detailEl = document.getElementById("detail");
+
+  let storeMeta = { myStoreId: null, siteStoreId: null };
+
+  function storeLabel(storeId) {
+    return storeId === storeMeta.siteStoreId
+      ? `Sucursal ${storeId} (la del sitio)`
+      : `Sucursal ${storeId}`;
+  }
+
+  function cell(tag, text, className) {
+    const el = document.createElement(tag);
+    if (text != null) el.textContent = text;
+    if (className) el.className = className;
+    return el;
+  }
+
+  function productLink(item) {
+    const el = document.createElement(item.href ? "a" : "span");
+    el.textContent = item.name || item.sku;
+    if (item.href) {
+      el.href = item.href;
+      el.target = "_blank";
+      el.rel = "noopener";
+    }
+    return el;
+  }
+
+  function renderItems(list, bestPrices) {
+    itemsEl.textContent = "";
+    for (const item of list) {
+      const tr = document.createElement("tr");
+
+      const nameTd = cell("td");
+      nameTd.appendChild(productLink(item));
+
+      const qtyTd = cell("td", null, "num");
+      const qtyInput = document.createElement("input");
+      qtyInput.type = "number";
+      qtyInput.min = "0";
+      qtyInput.step = "1";
+      qtyInput.value = String(item.qty);
+      qtyInput.addEventListener("change", () => setBasketQty(item.sku, qtyInput.value));
+      qtyTd.appendChild(qtyInput);
+
+      const best = bestPrices[item.sku];
+      const bestTd = cell("td", best ? formatPrice(best) : "Sin precio", "num");
+
+      const removeTd = cell("td", null, "num");
+      const removeBtn = cell("button", "✕");
+      removeBtn.title = "Quitar de la canasta";
+      removeBtn.addEventListener("click", () => removeFromBasket(item.sku));
+      removeTd.appendChild(removeBtn);
+
+      tr.append(nameTd, qtyTd, bestTd, removeTd);
+      itemsEl.appendChild(tr);
+    }
+  }
+
+  function renderRanking(stores, namesBySku) {
+    rankingEl.textContent = "";
+    const best = stores[0];
+
+    stores.forEach((store, i) => {
+      const tr = document.createElement("tr");
+      if (i === 0) tr.classList.add("best");
+      if (store.storeId === storeMeta.myStoreId) tr.classList.add("mine");
+
+      const vsBest = store.missing.length === best.missing.length
+        ? (store.total - best.total > 0.005 ? "+" + formatPrice(store.total - best.total) : "—")
+        : "—";
+
+      const missingTd = cell("td", null, "missing-list");
+      missingTd.textContent = store.missing.length
+        ? `${store.missing.length}: ` + store.missing.map((sku) => namesBySku[sku] || sku).join(", ")
+        : "";
+
+      tr.append(
+        cell("td", String(i + 1)),
+        cell("td", storeLabel(store.storeId)),
+        cell("td", formatPrice(store.total), "num"),
+        cell("td", vsBest, "num"),
+        missingTd
+      );
+      rankingEl.appendChild(tr);
+    });
+  }
+
+  function renderDetail(list, stores) {
+    const columns = stores.slice(0, DETAIL_STORES);
+    const mine = stores.find((s) => s.storeId === storeMeta.myStoreId);
+    if (mine && !columns.includes(mine)) columns.push(mine);
+
+    detailHeadEl.textContent = "";
+    const headRow = document.createElement("tr");
+    headRow.appendChild(cell("th", "Producto"));
+    for (const store of columns) headRow.appendChild(cell("th", storeLabel(store.storeId), "num"));
+    detailHeadEl.appendChild(headRow);
+
+    detailEl.textContent = "";
+    for (const item of list) {
+      const tr = document.createElement("tr");
+      const nameTd = cell("td");
+      nameTd.appendChild(productLink(item));
+      nameTd.appendChild(document.createTextNode(` × ${item.qty}`));
+      tr.appendChild(nameTd);
+
+      for (const store of columns) {
+        const line = store.lines.find((l) => l.sku === item.sku);
+        if (!line) {
+          tr.appendChild(cell("td", "No disponible", "num missing"));
+          continue;
+        }
+        const td = cell("td", formatPrice(line.subtotal), "num");
+        td.appendChild(line.diff > 0.005
+          ? cell("span", "+" + formatPrice(line.diff), "diff")
+          : cell("span", "más barato", "cheapest"));
+        tr.appendChild(td);
+      }
+      detailEl.appendChild(tr);
+    }
+  }
+
+  function render(basket) {
+    const list = Object.values(basket || {}).sort((a, b) =>
+      (a.name || "").localeCompare(b.name || "", "es")
+    );
+
+    emptyEl.hidden = list.length > 0;
+    contentEl.hidden = list.length === 0;
+    if (!list.length) return;
+
+    const { stores, bestPrices } = compareBasketByStore(list);
+    const namesBySku = Object.fromEntries(list.map((item) => [item.sku, item.name || item.sku]));
+
+    renderItems(list, bestPrices);
+    if (stores.length) {
+      renderRanking(stores, namesBySku);
+      renderDetail(list, stores);
+      return;
+    }
+
+    // Sin sucursales para comparar: no dejar el ranking de la canasta anterior.
+    rankingEl.textContent = "";
+    detailHeadEl.textContent = "";
+    detailEl.textContent = "";
+    const tr = document.createElement("tr");
+    const td = cell("td", "Ningún producto de la canasta tiene precios por sucursal.", "missing-list");
+    td.colSpan = 5;
+    tr.appendChild(td);
+    rankingEl.appendChild(tr);
+  }
+
+  document.getElementById("clear").addEventListener("click", () => {
+    if (confirm("¿Vaciar la canasta?")) clearBasket();
+  });
+
+  chrome.storage.local.get(["settings", "knownStores"], (result) => {
+    storeMeta = {
+      myStoreId: result.settings?.storeId || null,
+      siteStoreId: result.knownStores?.siteStoreId || null,
+    };
+    initBasket(render);
+  });
+})();
@@ -4,64 +4,203 @@
 
   const { DEBOUNCE_MS, BADGE_ATTR } = window.CotoSorter.utils;
   const { debugLog, initDebugFlag } = window.CotoSorter.logger;
-  const { injectBadgeOnProduct, injectAllBadges } = window.CotoSorter.badges;
-  const { getIsSorting, getCurrentFilter, sortProducts } = window.CotoSorter.sorter;
-  const { setupApiUrlCapture } = window.CotoSorter.api;
-  const { injectUI } = window.CotoSorter.ui;
+  const { initSettings, getSetting, onSettingsChange } = window.CotoSorter.settings;
+  const { onCatalogUpdate } = window.CotoSorter.catalog;
+  const { injectBadgeOnProduct, injectAllBadges, removeAllBadges, invalidateProductData } = window.CotoSorter.badges;
+  const { initWatchlist, onWatchlistChange } = window.CotoSorter.watchlist;
+  const { initBasket } = window.CotoSorter.basket;
+  const {
+    getIsSorting, getCurrentFilter, getSessionSort, resetPageState, sortProducts, insertSortedProducts,
+  } = window.CotoSorter.sorter;
+  const { setupApiUrlCapture, resetCapturedUrls } = window.CotoSorter.api;
+  const { isActive: isInlineActive, isSortStale: isInlineSortStale, exitInline } = window.CotoSorter.inlineResults;
+  const { injectUI, updateButtonStates } = window.CotoSorter.ui;
+
+  // Evento que dispara src/routeHook.js (mundo de la página) en cada pushState/replaceState.
+  const ROUTE_EVENT = "coto-sorter:locationchange";
+
+  // Contenedor de cards del sitio (la grilla de "Ordenar todo" va después y tiene su propio lazy loading).
+  const CONTAINER_SELECTOR = ".productos.row";
+  // Tras un cambio de ruta se espera un rato a que Angular reemplace el contenedor.
+  const CONTAINER_WATCH_MS = 10000;
 
   // ---- MutationObserver ----
-  let observer = null;
+  let observer = null;            // solo el contenedor de productos
+  let observedContainer = null;
+  let containerWatcher = null;    // body, solo mientras se espera un contenedor nuevo
+  let containerWatchTimer = null;
   let debounceTimer = null;
 
+  /** Cards sin badge terminado: con orden activo se insertan en su posición; si no, solo badge. */
+  function processPendingCards() {
+    const container = observedContainer;
+    if (!container || !container.isConnected) return;
+    const pending = Array.from(container.querySelectorAll(`:scope > .producto-card:not([${BADGE_ATTR}="done"])`));
+    if (pending.length === 0) return;
+
+    // "Ordenar todo" ya ordena la categoría completa: los cards del sitio solo necesitan badge.
+    if (getCurrentFilter() && !isInlineActive()) {
+      insertSortedProducts(pending);
+    } else {
+      pending.forEach(injectBadgeOnProduct);
+    }
+  }
+
+  function scheduleProcessing() {
+    clearTimeout(debounceTimer);
+    debounceTimer = setTimeout(processPendingCards, DEBOUNCE_MS);
+  }
+
+  /** Observa el contenedor de productos; si todavía no existe, espera a que aparezca. */
   function setupObserver() {
-    if (observer) return;
+    const container = document.querySelector(CONTAINER_SELECTOR);
+    if (!container) {
+      watchForContainer();
+      return;
+    }
+    if (observer && container === observedContainer) return;
 
+    if (observer) observer.disconnect();
+    observedContainer = container;
     observer = new MutationObserver(() => {
       if (getIsSorting()) return;
+      scheduleProcessing();
+    });
+    observer.observe(container, { childList: true, subtree: true });
+    stopContainerWatcher();
+    debugLog("MutationObserver started on products container");
+    scheduleProcessing();
+  }
 
-      clearTimeout(debounceTimer);
-      debounceTimer = setTimeout(() => {
-        const currentFilter = getCurrentFilter();
-        if (currentFilter) {
-          // Re-aplicar sort para integrar productos nuevos
-          sortProducts(currentFilter);
-        } else {
-          const unprocessed = document.querySelectorAll(
-            `.producto-card:not([${BADGE_ATTR}="done"])`
-          );
-          if (unprocessed.length > 0) {
-            unprocessed.forEach(injectBadgeOnProduct);
-          }
-        }
-      }, DEBOUNCE_MS);
+  /** Observer liviano de body que solo busca un contenedor nuevo (carga inicial, ruta nueva). */
+  function watchForContainer() {
+    if (containerWatcher) return;
+    containerWatcher = new MutationObserver(() => {
+      const container = document.querySelector(CONTAINER_SELECTOR);
+      if (container && container !== observedContainer) setupObserver();
     });
+    containerWatcher.observe(document.body, { childList: true, subtree: true });
+    debugLog("Waiting for products container");
+  }
 
-    observer.observe(document.body, { childList: true, subtree: true });
-    debugLog("MutationObserver started");
+  function stopContainerWatcher() {
+    clearTimeout(containerWatchTimer);
+    if (!containerWatcher) return;
+    containerWatcher.disconnect();
+    containerWatcher = null;
   }
 
   function teardownObserver() {
+    stopContainerWatcher();
     if (observer) {
       observer.disconnect();
       observer = null;
+      observedContainer = null;
       clearTimeout(debounceTimer);
       debugLog("MutationObserver disconnected");
     }
   }
 
+  /**
+   * Re-extrae precios y re-pinta badges; si hay sort activo lo re-aplica con los precios nuevos.
+   * En "Ordenar todo" re-ordenar vacía el grid y vuelve al primer lote (se pierden scroll y lotes
+   * cargados): solo si cambiaron las preferencias del orden; si no, se re-pintan los cards ya renderizados.
+   */
+  function refreshBadges() {
+    if (getIsSorting()) return;
+    invalidateProductData();
+    removeAllBadges();
+    const currentFilter = getCurrentFilter();
+    if (currentFilter && (!isInlineActive() || isInlineSortStale())) {
+      sortProducts(currentFilter);
+    } else {
+      injectAllBadges();
+    }
+  }
+
+  // ---- Navegación SPA (cambio de página o categoría sin recarga) ----
+
+  let lastRouteKey = null;
+
+  function routeKey() {
+    return window.location.pathname + window.location.search;
+  }
+
+  function shouldKeepSort() {
+    return getSetting("keepSortAcrossPages") !== false;
+  }
+
+  /**
+   * Otra página del listado: el orden original y las URLs de API capturadas son de la ruta anterior.
+   * Con "Mantener el orden" el último criterio queda activo y el observer lo aplica a los cards nuevos.
+   */
+  function handleRouteChange() {
+    const key = routeKey();
+    if (key === lastRouteKey) return;
+    lastRouteKey = key;
+    debugLog("[Route] Changed to", key);
+
+    clearTimeout(debounceTimer);
+    // "Ordenar todo" mostraba la categoría anterior
+    if (isInlineActive()) exitInline();
+    resetPageState(shouldKeepSort() ? getCurrentFilter() || getSessionSort() : null);
+    resetCapturedUrls();
+    updateButtonStates(getCurrentFilter());
+
+    // Angular puede reemplazar el contenedor: buscarlo de nuevo. Si sigue el mismo, dejar de mirar body.
+    setupObserver();
+    watchForContainer();
+    clearTimeout(containerWatchTimer);
+    containerWatchTimer = setTimeout(() => {
+      if (observedContainer?.isConnected) stopContainerWatcher();
+    }, CONTAINER_WATCH_MS);
+  }
+
+  function setupRouteWatcher() {
+    lastRouteKey = routeKey();
+    window.addEventListener(ROUTE_EVENT, handleRouteChange);
+    window.addEventListener("popstate", handleRouteChange);
+  }
+
+  /** Página cargada de cero dentro de la misma sesión: re-aplica el último orden elegido. */
+  function restoreSessionSort() {
+    if (!shouldKeepSort() || getCurrentFilter()) return;
+    const spec = getSessionSort();
+    if (!spec) return;
+    debugLog("[Route] Restoring session sort", spec);
+    resetPageState(spec);
+    if (document.querySelector(".productos.row > .producto-card")) {
+      sortProducts(spec);
+    }
+    updateButtonStates(spec);
+  }
+
+  // Cambios de objetivos (popup, Vista Ligera u otra pestaña): re-pintar estrellas y highlights
+  onWatchlistChange(refreshBadges);
+
+  // Datos BFF nuevos por SKU (ofertas por medio de pago) o tarjetas cambiadas en el popup
+  onCatalogUpdate(refreshBadges);
+  onSettingsChange(refreshBadges);
+
   // ---- Inicialización ----
 
   function init() {
     debugLog("Initializing Coto Sorter");
 
     setupApiUrlCapture();
+    initSettings().then(restoreSessionSort);
+    initWatchlist();
+    initBasket();
     injectUI();
     setupObserver();
+    setupRouteWatcher();
 
     // Inyectar badges iniciales tras render de Angular
     setTimeout(() => {
       const products = document.querySelectorAll(".producto-card");
-      if (products.length > 0) {
+      if (products.length > 0 && getCurrentFilter()) {
+        sortProducts(getCurrentFilter());
+      } else if (products.length > 0) {
         injectAllBadges();
       } else {
         debugLog("No products found yet, observer will handle them");
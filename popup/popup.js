@@ -1,8 +1,25 @@
-// Popup script — manages debug toggle via chrome.storage.local
+// Popup script — debug toggle, sucursal, tarjetas, unidades, canasta, replay y watchlist via chrome.storage.local
 (function () {
   "use strict";
 
+  const { formatPrice, isCotoUrl } = window.CotoSorter.utils;
+  const { describeTarget, isTargetHit } = window.CotoSorter.watchlist;
+  const { PAYMENT_ISSUERS } = window.CotoSorter.paymentOffers;
+
   const toggle = document.getElementById("debug-toggle");
+  const storeSelect = document.getElementById("store-select");
+  const storeHint = document.getElementById("store-hint");
+  const basketOpen = document.getElementById("basket-open");
+  const replayOpen = document.getElementById("replay-open");
+  const cardsList = document.getElementById("cards-list");
+  const cardsSummary = document.getElementById("cards-summary");
+  const unitNormalizeToggle = document.getElementById("unit-normalize-toggle");
+  const unitDrainedToggle = document.getElementById("unit-drained-toggle");
+  const promoBasisSelect = document.getElementById("promo-basis-select");
+  const keepSortToggle = document.getElementById("keep-sort-toggle");
+  const scrapeCacheSelect = document.getElementById("scrape-cache-select");
+  const watchlistEl = document.getElementById("watchlist");
+  const watchlistEmpty = document.getElementById("watchlist-empty");
 
   // Load current state
   chrome.storage.local.get("debug", (result) => {
@@ -13,4 +30,212 @@
   toggle.addEventListener("change", () => {
     chrome.storage.local.set({ debug: toggle.checked });
   });
+
+  /** Mezcla cambios en chrome.storage.local.settings (el content script escucha onChanged). */
+  function saveSettings(patch) {
+    chrome.storage.local.get("settings", (result) => {
+      chrome.storage.local.set({ settings: { ...(result.settings || {}), ...patch } });
+    });
+  }
+
+  // ---- Mi sucursal ----
+
+  function renderStores(knownStores, storeId) {
+    const ids = new Set(knownStores?.ids || []);
+    if (storeId) ids.add(storeId);
+    const siteStoreId = knownStores?.siteStoreId || null;
+
+    storeSelect.length = 1;
+    for (const id of Array.from(ids).sort()) {
+      const label = id === siteStoreId ? `Sucursal ${id} (la del sitio)` : `Sucursal ${id}`;
+      storeSelect.appendChild(new Option(label, id));
+    }
+    storeSelect.value = storeId || "";
+    storeHint.hidden = ids.size > 0;
+  }
+
+  chrome.storage.local.get(["settings", "knownStores"], (result) => {
+    renderStores(result.knownStores, result.settings?.storeId || null);
+  });
+
+  storeSelect.addEventListener("change", () => {
+    saveSettings({ storeId: storeSelect.value || null });
+  });
+
+  // ---- Mis tarjetas ----
+
+  function renderCards(selected) {
+    const held = new Set(selected || []);
+    cardsSummary.textContent = held.size ? `💳 Mis tarjetas (${held.size})` : "💳 Mis tarjetas";
+    cardsList.textContent = "";
+
+    // "todas" no se elige: aplica a quien declare al menos una tarjeta.
+    for (const issuer of PAYMENT_ISSUERS.filter((i) => i.key !== "todas")) {
+      const label = document.createElement("label");
+      const input = document.createElement("input");
+      input.type = "checkbox";
+      input.value = issuer.key;
+      input.checked = held.has(issuer.key);
+      input.addEventListener("change", saveCards);
+      label.append(input, issuer.label);
+      cardsList.appendChild(label);
+    }
+  }
+
+  function saveCards() {
+    const paymentCards = Array.from(cardsList.querySelectorAll("input:checked")).map((i) => i.value);
+    cardsSummary.textContent = paymentCards.length ? `💳 Mis tarjetas (${paymentCards.length})` : "💳 Mis tarjetas";
+    saveSettings({ paymentCards });
+  }
+
+  chrome.storage.local.get("settings", (result) => renderCards(result.settings?.paymentCards));
+
+  // ---- Comparación entre unidades ----
+
+  function renderUnitToggles(settings) {
+    unitNormalizeToggle.checked = settings?.unitNormalize !== false;
+    unitDrainedToggle.checked = settings?.unitIncludeDrained === true;
+    unitDrainedToggle.disabled = !unitNormalizeToggle.checked;
+  }
+
+  chrome.storage.local.get("settings", (result) => renderUnitToggles(result.settings));
+
+  unitNormalizeToggle.addEventListener("change", () => {
+    unitDrainedToggle.disabled = !unitNormalizeToggle.checked;
+    saveSettings({ unitNormalize: unitNormalizeToggle.checked });
+  });
+
+  unitDrainedToggle.addEventListener("change", () => {
+    saveSettings({ unitIncludeDrained: unitDrainedToggle.checked });
+  });
+
+  // ---- Promos por cantidad ----
+
+  chrome.storage.local.get("settings", (result) => {
+    promoBasisSelect.value = result.settings?.promoSortBasis === "single" ? "single" : "take";
+  });
+
+  promoBasisSelect.addEventListener("change", () => {
+    saveSettings({ promoSortBasis: promoBasisSelect.value });
+  });
+
+  // ---- Orden entre páginas ----
+
+  chrome.storage.local.get("settings", (result) => {
+    keepSortToggle.checked = result.settings?.keepSortAcrossPages !== false;
+  });
+
+  keepSortToggle.addEventListener("change", () => {
+    saveSettings({ keepSortAcrossPages: keepSortToggle.checked });
+  });
+
+  // ---- Cache de la categoría (Vista Ligera / revista / Ordenar todo) ----
+
+  chrome.storage.local.get("settings", (result) => {
+    const minutes = result.settings?.scrapeCacheMinutes;
+    scrapeCacheSelect.value = String(Number.isFinite(minutes) ? minutes : 30);
+    if (!scrapeCacheSelect.value) scrapeCacheSelect.value = "30";
+  });
+
+  scrapeCacheSelect.addEventListener("change", () => {
+    saveSettings({ scrapeCacheMinutes: parseInt(scrapeCacheSelect.value, 10) || 0 });
+  });
+
+  // ---- Canasta ----
+
+  function renderBasketCount(basket) {
+    const count = Object.keys(basket || {}).length;
+    basketOpen.textContent = count
+      ? `🛒 Comparar canasta entre sucursales (${count})`
+      : "🛒 Comparar canasta entre sucursales";
+  }
+
+  chrome.storage.local.get("basket", (result) => renderBasketCount(result.basket));
+
+  basketOpen.addEventListener("click", () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL("basket/basket.html") });
+    window.close();
+  });
+
+  // ---- Replay offline ----
+
+  replayOpen.addEventListener("click", (event) => {
+    event.preventDefault();
+    chrome.tabs.create({ url: chrome.runtime.getURL("replay/replay.html") });
+    window.close();
+  });
+
+  // ---- Watchlist ----
+
+  function describeLastSeen(item) {
+    const seen = item.lastSeen;
+    if (!seen) return "Sin ver todavía";
+    const value = item.targetType === "unit" ? seen.unitPrice : seen.finalPrice;
+    if (!value) return "Sin ver todavía";
+    const [, mm, dd] = seen.date.split("-");
+    return `Último: ${formatPrice(value)} (${dd}/${mm})`;
+  }
+
+  function renderWatchlist(items) {
+    const list = Object.values(items || {}).sort((a, b) =>
+      (a.name || "").localeCompare(b.name || "", "es")
+    );
+
+    watchlistEl.textContent = "";
+    watchlistEmpty.hidden = list.length > 0;
+
+    for (const item of list) {
+      const li = document.createElement("li");
+      if (isTargetHit(item, item.lastSeen)) li.className = "watch-hit";
+
+      const info = document.createElement("div");
+      info.className = "watch-info";
+
+      const hasLink = isCotoUrl(item.href);
+      const name = document.createElement(hasLink ? "a" : "span");
+      name.className = "watch-name";
+      name.textContent = item.name || item.sku;
+      name.title = item.name || item.sku;
+      if (hasLink) {
+        name.href = item.href;
+        name.target = "_blank";
+        name.rel = "noopener";
+      }
+
+      const meta = document.createElement("div");
+      meta.className = "watch-meta";
+      meta.textContent = `${describeTarget(item)} · ${describeLastSeen(item)}`;
+
+      info.appendChild(name);
+      info.appendChild(meta);
+
+      const remove = document.createElement("button");
+      remove.className = "watch-remove";
+      remove.textContent = "✕";
+      remove.title = "Dejar de seguir";
+      remove.addEventListener("click", () => {
+        chrome.storage.local.get("watchlist", (result) => {
+          const next = { ...(result.watchlist || {}) };
+          delete next[item.sku];
+          chrome.storage.local.set({ watchlist: next });
+        });
+      });
+
+      li.appendChild(info);
+      li.appendChild(remove);
+      watchlistEl.appendChild(li);
+    }
+  }
+
+  chrome.storage.local.get("watchlist", (result) => {
+    renderWatchlist(result.watchlist);
+  });
+
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === "local" && changes.watchlist) renderWatchlist(changes.watchlist.newValue);
+    if (area === "local" && changes.basket) renderBasketCount(changes.basket.newValue);
+    if (area === "local" && changes.knownStores) {
+      renderStores(changes.knownStores.newValue, storeSelect.value || null);
+    }
+  });
 })();
@@ -0,0 +1,145 @@
+// Replay page — Vista Ligera / revista desde un HAR o JSON guardado, con los mismos parsers del scraping
+(function () {
+  "use strict";
+
+  const { debugLog, initDebugFlag } = window.CotoSorter.logger;
+  const { initSettings, getSetting } = window.CotoSorter.settings;
+  const { initWatchlist } = window.CotoSorter.watchlist;
+  const { initBasket } = window.CotoSorter.basket;
+  const { rememberCatalogProducts } = window.CotoSorter.catalog;
+  const { parseApiResponse } = window.CotoSorter.api;
+  const { mergeProductPages } = window.CotoSorter.scrapeMerge;
+  const { isSchemaDrift, describeSchemaDrift, schemaDiagnostic } = window.CotoSorter.schemaCheck;
+  const { extractPayloads, describeReplay } = window.CotoSorter.replayInput;
+  const { openVistaLigera, generateRevistaPDF } = window.CotoSorter.revista;
+
+  const dropEl = document.getElementById("drop");
+  const filesInput = document.getElementById("files");
+  const statusEl = document.getElementById("status");
+  const storeNoteEl = document.getElementById("store-note");
+  const contentEl = document.getElementById("content");
+  const responsesEl = document.getElementById("responses");
+
+  let replay = null; // { products, note } del último grupo de archivos cargado
+
+  function cell(tag, text, className) {
+    const el = document.createElement(tag);
+    if (text != null) el.textContent = text;
+    if (className) el.className = className;
+    return el;
+  }
+
+  function setStatus(text, isError) {
+    statusEl.textContent = text;
+    statusEl.classList.toggle("error", !!isError);
+  }
+
+  function renderResponses(rows) {
+    responsesEl.textContent = "";
+    for (const row of rows) {
+      const tr = document.createElement("tr");
+      const labelTd = cell("td", row.label, "label");
+      labelTd.title = row.label;
+      tr.appendChild(labelTd);
+      tr.appendChild(cell("td", row.source === "bff" ? "BFF" : "Endeca"));
+      tr.appendChild(cell("td", String(row.products.length), "num"));
+      tr.appendChild(cell("td", String(row.total), "num"));
+
+      const drift = isSchemaDrift(row.schema);
+      const schemaTd = cell("td", drift ? describeSchemaDrift(row.schema) : "✓ OK", drift ? "drift" : "ok");
+      if (row.schema?.failed) schemaTd.title = schemaDiagnostic(row.schema);
+      tr.appendChild(schemaTd);
+      responsesEl.appendChild(tr);
+    }
+  }
+
+  /** Lee los archivos, parsea cada respuesta de productos y une todo sin repetidos por SKU. */
+  async function loadFiles(files, settingsReady) {
+    const list = Array.from(files || []);
+    if (!list.length) return;
+    await settingsReady;
+
+    const pages = [];
+    const rows = [];
+    const sources = {};
+    let ignored = 0;
+    const unreadable = [];
+
+    for (const file of list) {
+      let json;
+      try { json = JSON.parse(await file.text()); }
+      catch {
+        unreadable.push(file.name);
+        continue;
+      }
+      const { payloads, skipped } = extractPayloads(json, file.name);
+      ignored += skipped;
+      for (const { label, data } of payloads) {
+        const parsed = parseApiResponse(data);
+        if (!parsed) {
+          ignored++;
+          continue;
+        }
+        sources[parsed.source] = (sources[parsed.source] || 0) + 1;
+        pages.push({ page: pages.length, products: parsed.products });
+        rows.push({ label, ...parsed });
+      }
+    }
+
+    const merged = mergeProductPages(pages);
+    debugLog(`[Replay] ${list.length} files, ${pages.length} product responses, ${merged.products.length} products`);
+
+    const summary = describeReplay({
+      sources,
+      products: merged.products.length,
+      duplicates: merged.duplicates,
+      ignored,
+    });
+    const unreadableNote = unreadable.length ? ` · No es JSON: ${unreadable.join(", ")}` : "";
+    setStatus(summary + unreadableNote, !merged.products.length);
+
+    renderResponses(rows);
+    contentEl.hidden = !merged.products.length;
+    // Catálogo por SKU: "+ Canasta" en la Vista usa sus precios por sucursal.
+    rememberCatalogProducts(merged.products);
+    replay = {
+      products: merged.products,
+      note: `Replay: ${list.map((file) => file.name).join(", ")}`,
+    };
+  }
+
+  function describeStore() {
+    const storeId = getSetting("storeId");
+    storeNoteEl.textContent = storeId
+      ? `Precios BFF de la sucursal ${storeId} (la elegida en el popup).`
+      : "Precios BFF: los del sitio (no hay sucursal elegida en el popup).";
+  }
+
+  const settingsReady = initSettings().then(describeStore);
+  initDebugFlag();
+  initWatchlist();
+  initBasket();
+
+  filesInput.addEventListener("change", () => {
+    loadFiles(filesInput.files, settingsReady).catch((err) => setStatus("✗ Error: " + err.message, true));
+    filesInput.value = "";
+  });
+
+  dropEl.addEventListener("dragover", (event) => {
+    event.preventDefault();
+    dropEl.classList.add("dragging");
+  });
+  dropEl.addEventListener("dragleave", () => dropEl.classList.remove("dragging"));
+  dropEl.addEventListener("drop", (event) => {
+    event.preventDefault();
+    dropEl.classList.remove("dragging");
+    loadFiles(event.dataTransfer?.files, settingsReady).catch((err) => setStatus("✗ Error: " + err.message, true));
+  });
+
+  document.getElementById("open-vista").addEventListener("click", () => {
+    if (replay) openVistaLigera(replay.products, { note: replay.note });
+  });
+  document.getElementById("open-revista").addEventListener("click", () => {
+    if (replay) generateRevistaPDF(replay.products, null, { note: replay.note });
+  });
+})();
@@ -12,9 +12,9 @@ fi
 
 filter_paths() {
   if command -v rg >/dev/null 2>&1; then
-    rg '^src/|^content\.js|^popup/' || true
+    rg '^src/|^content\.js|^popup/|^basket/|^replay/|^vista/' || true
   else
-    grep -E '^src/|^content\.js|^popup/' || true
+    grep -E '^src/|^content\.js|^popup/|^basket/|^replay/|^vista/' || true
   fi
 }
 
@@ -35,14 +35,36 @@ fi
 
 declare -A map
 map[content.js]='docs/ai-context/features/f01-bootstrap-observer.md docs/ai-context/features/f07-ui-panel-actions.md'
+map[src/routeHook.js]='docs/ai-context/features/f01-bootstrap-observer.md'
 map[src/badges.js]='docs/ai-context/features/f02-badges-price-extraction.md docs/ai-context/features/f08-utils-and-normalization.md'
 map[src/sorter.js]='docs/ai-context/features/f03-sorting-and-order-state.md'
+map[src/sortCriteria.js]='docs/ai-context/features/f03-sorting-and-order-state.md'
 map[src/api.js]='docs/ai-context/features/f04-api-capture-and-scraping.md'
 map[src/revista.js]='docs/ai-context/features/f05-revista-generation.md'
 map[src/vistaLigera.js]='docs/ai-context/features/f06-vista-ligera-rendering.md'
+map[src/vistaPage.js]='docs/ai-context/features/f06-vista-ligera-rendering.md'
 map[src/ui.js]='docs/ai-context/features/f07-ui-panel-actions.md'
 map[src/utils.js]='docs/ai-context/features/f08-utils-and-normalization.md'
+map[src/sizeParser.js]='docs/ai-context/features/f08-utils-and-normalization.md'
+map[src/taxRates.js]='docs/ai-context/features/f04-api-capture-and-scraping.md'
+map[src/scrapeMerge.js]='docs/ai-context/features/f04-api-capture-and-scraping.md'
+map[src/db.js]='docs/ai-context/features/f09-price-history-local.md docs/ai-context/features/f17-scrape-cache.md'
+map[src/scrapeCache.js]='docs/ai-context/features/f17-scrape-cache.md'
+map[src/schemaCheck.js]='docs/ai-context/features/f18-schema-check.md'
+map[src/replayInput.js]='docs/ai-context/features/f19-offline-replay.md'
+map[src/priceHistory.js]='docs/ai-context/features/f09-price-history-local.md'
+map[src/watchlist.js]='docs/ai-context/features/f10-watchlist-alerts.md'
+map[src/settings.js]='docs/ai-context/features/f11-settings-store-selection.md'
+map[src/basket.js]='docs/ai-context/features/f12-basket-store-comparison.md'
+map[src/paymentOffers.js]='docs/ai-context/features/f13-payment-offers.md'
+map[src/promoParser.js]='docs/ai-context/features/f14-promo-parser.md'
+map[src/discountResolver.js]='docs/ai-context/features/f15-discount-resolver.md'
+map[src/inlineResults.js]='docs/ai-context/features/f16-inline-results.md'
+map[src/catalog.js]='docs/ai-context/features/f13-payment-offers.md'
 map[popup/popup.js]='docs/ai-context/index.md'
+map[basket/basket.js]='docs/ai-context/features/f12-basket-store-comparison.md'
+map[replay/replay.js]='docs/ai-context/features/f19-offline-replay.md'
+map[vista/vista.js]='docs/ai-context/features/f06-vista-ligera-rendering.md docs/ai-context/features/f19-offline-replay.md'
 
 changed_docs="$(git diff --name-only -- 'docs/ai-context/**' '.github/copilot-instructions.md' || true)"
 
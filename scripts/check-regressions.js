@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+// Corre los casos de temp/regressions/*.json contra los módulos de src/ (sin navegador).
+// Uso: node scripts/check-regressions.js [filtro-de-archivo]
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const ROOT_DIR = path.resolve(__dirname, "..");
+const CASES_DIR = path.join(ROOT_DIR, "temp", "regressions");
+const NUMBER_TOLERANCE = 0.01;
+
+/** Carga scripts IIFE en un contexto con `window` propio (sin chrome.* ni DOM; URL, atob y TextDecoder sí). */
+function loadModules(scripts) {
+  const context = { console, URL, URLSearchParams, atob, TextDecoder };
+  context.window = context;
+  context.self = context; // db.js usa self (también corre en el service worker)
+  vm.createContext(context);
+  for (const rel of scripts) {
+    const file = path.join(ROOT_DIR, rel);
+    vm.runInContext(fs.readFileSync(file, "utf8"), context, { filename: rel });
+  }
+  return context.CotoSorter;
+}
+
+/** `expected` se compara como subconjunto de `actual`; números con tolerancia. */
+function matches(actual, expected, at = "") {
+  if (typeof expected === "number") {
+    return typeof actual === "number" && Math.abs(actual - expected) <= NUMBER_TOLERANCE
+      ? null
+      : `${at || "valor"}: esperado ${expected}, obtenido ${JSON.stringify(actual)}`;
+  }
+  if (expected === null || typeof expected !== "object") {
+    return actual === expected ? null : `${at || "valor"}: esperado ${JSON.stringify(expected)}, obtenido ${JSON.stringify(actual)}`;
+  }
+  if (actual === null || typeof actual !== "object") {
+    return `${at || "valor"}: esperado objeto, obtenido ${JSON.stringify(actual)}`;
+  }
+  for (const key of Object.keys(expected)) {
+    const error = matches(actual[key], expected[key], at ? `${at}.${key}` : key);
+    if (error) return error;
+  }
+  return null;
+}
+
+function runFile(file) {
+  const suite = JSON.parse(fs.readFileSync(file, "utf8"));
+  const mod = loadModules(suite.scripts || [])?.[suite.module];
+  if (!mod) throw new Error(`Módulo window.CotoSorter.${suite.module} no encontrado`);
+
+  let failed = 0;
+  for (const testCase of suite.cases || []) {
+    let error;
+    try {
+      error = matches(mod[testCase.fn](...(testCase.args || [])), testCase.expect);
+    } catch (err) {
+      error = `excepción: ${err?.message || err}`;
+    }
+    if (error) {
+      failed++;
+      console.log(`  [FAIL] ${testCase.name} — ${error}`);
+    }
+  }
+  console.log(`${path.basename(file)}: ${(suite.cases || []).length - failed}/${(suite.cases || []).length} OK`);
+  return failed;
+}
+
+const filter = process.argv[2] || "";
+const files = fs.readdirSync(CASES_DIR)
+  .filter((name) => name.endsWith(".json") && name.includes(filter))
+  .sort()
+  .map((name) => path.join(CASES_DIR, name));
+
+let totalFailed = 0;
+for (const file of files) totalFailed += runFile(file);
+
+console.log(`Regression check: ${totalFailed ? "FAIL" : "OK"}`);
+process.exit(totalFailed ? 1 : 0);
@@ -5,14 +5,39 @@ window.CotoSorter.api = (function () {
   "use strict";
 
   const { debugLog } = window.CotoSorter.logger;
-  const { cFormatoToUnitType, formatApiPrice, unitLabel } = window.CotoSorter.utils;
+  const { cFormatoToUnitType, formatApiPrice, unitLabel, normalizeSku, skuFromHref, parsePrice } = window.CotoSorter.utils;
+  const { productObservation } = window.CotoSorter.priceUtils;
+  const { getSetting, rememberKnownStores } = window.CotoSorter.settings;
+  const { recordProducts } = window.CotoSorter.priceHistory;
+  const { checkObservations } = window.CotoSorter.watchlist;
+  const { refreshBasketPrices } = window.CotoSorter.basket;
+  const { parsePaymentOffers, parseCashPrice } = window.CotoSorter.paymentOffers;
+  const { resolveRecordTaxRate, withTax } = window.CotoSorter.taxRates;
+  const { promoCandidate, resolveDiscounts } = window.CotoSorter.discountResolver;
+  const { rememberCatalogProducts } = window.CotoSorter.catalog;
+  const { parseWeighable } = window.CotoSorter.sizeParser;
+  const { mergeProductPages } = window.CotoSorter.scrapeMerge;
+  const { scrapeCacheKey, readScrapeCache, writeScrapeCache } = window.CotoSorter.scrapeCache;
+  const { extractProductData } = window.CotoSorter.badges;
+  const { checkBffPage, checkEndecaPage, mergeSchemaSummaries, isSchemaDrift, schemaDiagnostic } = window.CotoSorter.schemaCheck;
 
   const ENDeca_BATCH = 50;
   const ENDeca_PARALLEL = 3;
   const BFF_PARALLEL = 6;
+  // Tope de páginas solapadas que se vuelven a pedir en la pasada de consistencia.
+  const MAX_RECHECK_PAGES = 6;
+  // Reintentos por request ante errores de red, 429 y 5xx (backoff exponencial con jitter).
+  const MAX_RETRIES = 3;
+  const RETRY_BASE_MS = 500;
+  const RETRY_MAX_MS = 8000;
+  // Angular puede pedir los productos de la ruta nueva un instante antes del pushState.
+  const ROUTE_GRACE_MS = 1000;
 
   let capturedEndecaUrl = null;
   let capturedBffUrl = null;
+  let lastScrapeReport = null;
+  let schemaDriftListener = null;
+  let routeStartedAt = 0; // performance.now() de la última navegación SPA; lo anterior es de otra página
 
   // =========================================================
   // Captura de URL Endeca
@@ -56,6 +81,12 @@ window.CotoSorter.api = (function () {
     return current.startsWith(captured) || captured.startsWith(current);
   }
 
+  /** XHR/fetch de la ruta actual (las entradas previas a la última navegación SPA se ignoran). */
+  function isCurrentRouteRequest(entry) {
+    return (entry.initiatorType === "xmlhttprequest" || entry.initiatorType === "fetch") &&
+      entry.startTime >= routeStartedAt;
+  }
+
   /** Busca la última URL Endeca en PerformanceResourceTiming. */
   function findEndecaUrlInPerformance() {
     try {
@@ -63,7 +94,7 @@ window.CotoSorter.api = (function () {
       for (let i = entries.length - 1; i >= 0; i--) {
         const entry = entries[i];
         if (
-          (entry.initiatorType === "xmlhttprequest" || entry.initiatorType === "fetch") &&
+          isCurrentRouteRequest(entry) &&
           isEndecaUrl(entry.name)
         ) {
           return entry.name;
@@ -80,7 +111,7 @@ window.CotoSorter.api = (function () {
       for (let i = entries.length - 1; i >= 0; i--) {
         const entry = entries[i];
         if (
-          (entry.initiatorType === "xmlhttprequest" || entry.initiatorType === "fetch") &&
+          isCurrentRouteRequest(entry) &&
           isBffProductsUrl(entry.name)
         ) {
           return entry.name;
@@ -90,14 +121,17 @@ window.CotoSorter.api = (function () {
     return null;
   }
 
-  /** Espera unos ms para detectar URL BFF en Performance (evita carrera al generar muy rápido). */
-  async function waitForBffUrlInPerformance(timeoutMs = 2500, stepMs = 80) {
+  /**
+   * Espera unos ms para detectar URL BFF en Performance (evita carrera al generar muy rápido).
+   * Rechaza con AbortError apenas se cancela (botón Cancelar del panel).
+   */
+  async function waitForBffUrlInPerformance(signal, timeoutMs = 2500, stepMs = 80) {
     const started = Date.now();
     while (Date.now() - started < timeoutMs) {
       refreshCapturedUrls();
       const candidate = capturedBffUrl || findBffUrlInPerformance();
       if (candidate) return candidate;
-      await new Promise((resolve) => setTimeout(resolve, stepMs));
+      await sleep(stepMs, signal);
     }
     return null;
   }
@@ -123,8 +157,7 @@ window.CotoSorter.api = (function () {
 
     const obs = new PerformanceObserver((list) => {
       for (const entry of list.getEntries()) {
-        const isXHR = entry.initiatorType === "xmlhttprequest" || entry.initiatorType === "fetch";
-        if (!isXHR) continue;
+        if (!isCurrentRouteRequest(entry)) continue;
 
         if (isEndecaUrl(entry.name)) {
           capturedEndecaUrl = entry.name;
@@ -141,6 +174,20 @@ window.CotoSorter.api = (function () {
     obs.observe({ type: "resource", buffered: true });
   }
 
+  /**
+   * Navegación SPA a otra página/categoría: descarta las URLs capturadas de la ruta anterior
+   * y vuelve a buscarlas (PerformanceObserver completa cuando llegue el XHR nuevo).
+   */
+  function resetCapturedUrls() {
+    capturedEndecaUrl = null;
+    capturedBffUrl = null;
+    try {
+      routeStartedAt = Math.max(0, performance.now() - ROUTE_GRACE_MS);
+    } catch { routeStartedAt = 0; }
+    refreshCapturedUrls();
+    debugLog("[ApiCapture] Route changed; captured URLs reset");
+  }
+
   // =========================================================
   // Construcción de URL
   // =========================================================
@@ -238,11 +285,13 @@ window.CotoSorter.api = (function () {
     return Number.isFinite(n) && n > 0 ? n : 0;
   }
 
-  /** Convierte precio sin IVA a precio final aproximado con IVA. */
-  function fromWithoutTax(priceWithoutTax) {
-    const raw = numOrZero(priceWithoutTax);
-    if (!raw) return 0;
-    return raw * 1.21;
+  /**
+   * Convierte precio sin IVA a precio final con la alícuota de la entrada
+   * (inferida de su listPrice) o, si no se puede inferir, la del registro.
+   */
+  function fromWithoutTax(entry, tax) {
+    const rate = tax?.entryRates?.[String(entry?.store)] ?? tax?.rate;
+    return withTax(entry?.priceWithoutTax, rate);
   }
 
   /** Parsea strings monetarios con formato ES/US a número. */
@@ -330,6 +379,7 @@ window.CotoSorter.api = (function () {
           ? rawPath
           : "https://www.cotodigital.com.ar/sitios/cdigi/productos/" + rawPath.replace(/^\//, ""))
       : null;
+    const sku = normalizeSku(data.sku_plu) || normalizeSku(data.sku_id) || skuFromHref(href);
 
     const imgSrc = data.product_large_image_url || data.product_medium_image_url || data.image_url || null;
     const unitType = cFormatoToUnitType(data.product_format || "");
@@ -338,14 +388,37 @@ window.CotoSorter.api = (function () {
     const priceEntries = Array.isArray(data.price) ? data.price : [];
     const discounts = Array.isArray(data?.discounts) ? data.discounts : [];
 
+    // IVA efectivo: 21% general, 10,5% alimentos básicos, 0% exentos.
+    const tax = resolveRecordTaxRate(data);
+    if (tax.mismatch) debugLog(`[Tax] ${sku || name}: ${tax.mismatchReasons.join("; ")}`);
+
+    // Sucursal elegida en el popup: usar su entrada de price[] en lugar del máximo entre sucursales.
+    const storeId = getSetting("storeId");
+    const storeEntry = storeId
+      ? priceEntries.find((entry) => String(entry?.store) === storeId) || null
+      : null;
+    const availability = Array.isArray(data.store_availability) ? data.store_availability.map(String) : null;
+    const storeAvailable = storeId
+      ? (availability ? availability.includes(storeId) : !!storeEntry)
+      : null;
+
+    // Precio de lista por sucursal (comparación de canasta).
+    const storePrices = {};
+    for (const entry of priceEntries) {
+      const price = numOrZero(entry?.listPrice) || fromWithoutTax(entry, tax);
+      if (entry?.store && price > 0) storePrices[String(entry.store)] = price;
+    }
+
     const priceCandidates = priceEntries
-      .map((p) => fromWithoutTax(p?.priceWithoutTax))
+      .map((p) => fromWithoutTax(p, tax))
       .filter((n) => n > 0);
 
     const maxPrice = priceCandidates.length ? Math.max(...priceCandidates) : 0;
     const minPrice = priceCandidates.length ? Math.min(...priceCandidates) : 0;
 
-    const activePrice = listPrice || maxPrice || minPrice || 0;
+    const activePrice = storeEntry
+      ? (numOrZero(storeEntry.listPrice) || fromWithoutTax(storeEntry, tax) || listPrice || maxPrice)
+      : (listPrice || maxPrice || minPrice || 0);
     const formatCandidates = priceEntries
       .map((entry) => numOrZero(entry?.formatPrice))
       .filter((n) => n > 0);
@@ -353,8 +426,8 @@ window.CotoSorter.api = (function () {
 
     // Base de precio por X (regular) tomada desde formatPrice del registro de precio.
     // Priorizamos la entrada cuyo listPrice coincida mejor con product_list_price.
-    let referencePrice = 0;
-    if (priceEntries.length > 0) {
+    let referencePrice = storeEntry ? numOrZero(storeEntry.formatPrice) : 0;
+    if (!referencePrice && priceEntries.length > 0) {
       let bestEntry = null;
       let bestDiff = Infinity;
 
@@ -398,16 +471,29 @@ window.CotoSorter.api = (function () {
     let discountRatio = 1;
     let promoPrice = 0;
 
+    // Cada discounts[] es un candidato; el resolver combina los acumulables ("comments").
+    const discountCandidates = [];
     for (const dto of discounts) {
-      const parsed = parseMoneyLoose(dto?.discountPrice ?? dto?.precioDescuento);
-      if (Number.isFinite(parsed) && parsed > 0 && (!promoPrice || parsed < promoPrice)) {
-        promoPrice = parsed;
+      let parsed = parseMoneyLoose(dto?.discountPrice ?? dto?.precioDescuento);
+      // discountPrice viene calculado sobre el precio del sitio: escalar al de la sucursal elegida.
+      if (storeEntry && Number.isFinite(parsed) && parsed > 0) {
+        const promoBase = parseMoneyLoose(dto?.regularPriceText) || listPrice;
+        if (promoBase > 0 && activePrice > 0) parsed = parsed * (activePrice / promoBase);
       }
+      const candidate = promoCandidate({
+        label: dto?.discountText || dto?.takingText || dto?.textoDescuento,
+        price: parsed,
+        basePrice: activePrice,
+        comments: dto?.comments ?? dto?.comentarios,
+      });
+      if (candidate) discountCandidates.push(candidate);
     }
+    const discountResolution = resolveDiscounts(activePrice, discountCandidates);
+    if (discountResolution.applied.length) promoPrice = discountResolution.price;
 
     if (promoPrice > 0 && activePrice > 0 && promoPrice < activePrice) {
       discountRatio = promoPrice / activePrice;
-    } else if (minPrice > 0 && activePrice > 0 && minPrice < activePrice) {
+    } else if (!storeEntry && minPrice > 0 && activePrice > 0 && minPrice < activePrice) {
       discountRatio = minPrice / activePrice;
     }
 
@@ -431,16 +517,21 @@ window.CotoSorter.api = (function () {
       ...(Array.isArray(data?.sale_type) ? data.sale_type : []),
       ...discounts.map((d) => d?.discountText),
       ...discounts.map((d) => d?.takingText),
+      ...discounts.map((d) => d?.comments),
       ...badges,
     ]
       .map((x) => String(x || "").trim())
       .filter(Boolean);
 
+    const paymentOffers = parsePaymentOffers(data);
+    const cashPrice = parseCashPrice(data);
+
     const productBrand = String(data.product_brand || data.productBrand || data.brand || "").trim() || null;
     const brandName = String(data.brandName || "").trim() || null;
 
 
     return {
+      sku,
       name,
       brand: productBrand || brandName,
       productBrand,
@@ -460,6 +551,25 @@ window.CotoSorter.api = (function () {
       promoPriceRaw: promoPrice > 0 ? promoPrice : null,
       maxFormatPriceRaw: maxFormatPrice > 0 ? maxFormatPrice : null,
       promoTags,
+      storeId: storeEntry ? String(storeEntry.store) : null,
+      storeAvailable,
+      storePrices: Object.keys(storePrices).length ? storePrices : null,
+      availableStores: availability,
+      paymentOffers,
+      cashPrice: Number.isFinite(cashPrice) && cashPrice > 0 ? cashPrice : null,
+      discountCandidates: discountCandidates.length ? discountCandidates : null,
+      discountExplanation: discountResolution.explanation || null,
+      formatQuantity: numOrZero(data.product_format_quantity) || null,
+      unitOfMeasure: String(data.product_unit_of_measure || "").trim() || null,
+      weighable: parseWeighable({
+        weighable: data.product_weighable,
+        quantityStep: data.product_quantity_step,
+        minimumQuantity: data.product_minimum_quantity,
+        unitOfMeasure: data.product_unit_of_measure,
+      }),
+      taxRate: tax.rate,
+      taxRateSource: tax.source,
+      taxMismatch: tax.mismatch ? tax.mismatchReasons : null,
     };
   }
 
@@ -487,22 +597,27 @@ window.CotoSorter.api = (function () {
     return { name, imgSrc, activePrice, referencePrice, unitType, priceText, brand, get };
   }
 
-  /** Calcula el ratio de descuento a partir de dtoDescuentos o listPrice. */
+  /**
+   * Calcula el ratio de descuento a partir de dtoDescuentos (mejor combinación permitida) o listPrice.
+   * @returns {{ discountRatio: number, candidates: object[], explanation: string }}
+   */
   function calcDiscountRatio(dtoArr, activePrice, get) {
     let discountRatio = 1;
 
+    const candidates = [];
     if (dtoArr.length > 0 && activePrice > 0) {
-      let bestEffectivePrice = Infinity;
       for (const dto of dtoArr) {
-        const pd = parseMoneyLoose(dto?.precioDescuento);
-        if (!isNaN(pd) && pd > 0 && pd < bestEffectivePrice) {
-          bestEffectivePrice = pd;
-        }
-      }
-      if (bestEffectivePrice < Infinity && bestEffectivePrice < activePrice) {
-        discountRatio = bestEffectivePrice / activePrice;
+        const candidate = promoCandidate({
+          label: dto?.textoDescuento || dto?.textoLlevando,
+          price: parseMoneyLoose(dto?.precioDescuento),
+          basePrice: activePrice,
+          comments: dto?.comentarios ?? dto?.comments,
+        });
+        if (candidate) candidates.push(candidate);
       }
     }
+    const resolution = resolveDiscounts(activePrice, candidates);
+    if (resolution.applied.length) discountRatio = resolution.ratio;
 
     // Fallback: sku.listPrice vs activePrice
     if (discountRatio === 1) {
@@ -512,7 +627,7 @@ window.CotoSorter.api = (function () {
       }
     }
 
-    return discountRatio;
+    return { discountRatio, candidates, explanation: resolution.explanation };
   }
 
   /** Extrae badges de texto de dtoDescuentos. */
@@ -538,12 +653,13 @@ window.CotoSorter.api = (function () {
     if (recordState) {
       href = "https://www.cotodigital.com.ar/sitios/cdigi/productos" + recordState.split("?")[0];
     }
+    const sku = skuFromHref(href) || normalizeSku(get("sku.repositoryId"));
 
     // Descuentos
     let dtoArr = [];
     try { dtoArr = JSON.parse(get("product.dtoDescuentos") || "[]"); } catch { /* ignorar */ }
 
-    const discountRatio = calcDiscountRatio(dtoArr, activePrice, get);
+    const { discountRatio, candidates, explanation } = calcDiscountRatio(dtoArr, activePrice, get);
     const hasDiscount = discountRatio < 0.999;
 
     // Precio de referencia ajustado
@@ -571,12 +687,18 @@ window.CotoSorter.api = (function () {
 
 
     return {
+      sku,
       brand: brand ? String(brand).trim() : null,
       productBrand: brand ? String(brand).trim() : null,
       product_brand: brand ? String(brand).trim() : null,
       name, href, imgSrc, priceText, discountedPriceText, badges, unitPriceText, unitType,
       activePrice, referencePrice, adjustedReferencePrice, discountRatio,
       promoPriceRaw, promoTags,
+      // Endeca no expone precios por sucursal
+      storeId: null, storeAvailable: null, storePrices: null, availableStores: null,
+      paymentOffers: [], cashPrice: null,
+      discountCandidates: candidates.length ? candidates : null,
+      discountExplanation: explanation || null,
     };
   }
 
@@ -596,148 +718,544 @@ window.CotoSorter.api = (function () {
     return products;
   }
 
+  /** Parsea los registros BFF (response.results) que se puedan; los rotos van al log de debug. */
+  function parseBffResults(results) {
+    const products = [];
+    for (const result of results || []) {
+      try { products.push(parseBffRecord(result)); }
+      catch (e) { debugLog("Error parsing BFF record:", e); }
+    }
+    return products;
+  }
+
   /** Extrae productos de una respuesta BFF (response.results). */
   function extractProductsFromBffResponse(data) {
-    const products = [];
     const results = data?.response?.results || [];
+    const products = parseBffResults(results);
 
+    // Sucursales vistas en price[] → opciones del selector "Mi sucursal" del popup
+    const storeIds = new Set();
     for (const result of results) {
-      try { products.push(parseBffRecord(result)); }
-      catch (e) { debugLog("Error parsing BFF record:", e); }
+      for (const entry of result?.data?.price || []) {
+        if (entry?.store) storeIds.add(String(entry.store));
+      }
     }
+    const preFilter = data?.request?.pre_filter_expression;
+    const siteStoreId = preFilter?.name === "store_availability" ? preFilter.value : null;
+    rememberKnownStores(Array.from(storeIds), siteStoreId);
 
     return products;
   }
 
-  /** Scraping paginado usando Endeca legado. */
-  async function scrapeViaEndeca(progressCallback) {
-    debugLog("Fetching first batch from Endeca JSON API...");
-    const firstUrl = buildEndecaApiUrl(0, ENDeca_BATCH);
-    debugLog(`Endeca URL: ${firstUrl}`);
+  // ---- Requests resistentes: reintentos, concurrencia adaptativa y cancelación ----
 
-    const firstResp = await fetch(firstUrl, { credentials: "same-origin" });
-    if (!firstResp.ok) throw new Error(`Endeca API error ${firstResp.status}`);
+  function abortError() {
+    return new DOMException("Carga cancelada", "AbortError");
+  }
 
-    const firstData = await firstResp.json();
-    const resultsList = findResultsList(firstData);
-    if (!resultsList) {
-      throw new Error("Endeca response sin Category_ResultsList");
-    }
+  /** True si el error viene de cancelar con AbortController (no es una falla de la API). */
+  function isAbortError(err) {
+    return err?.name === "AbortError";
+  }
 
-    const totalNumRecs = resultsList.totalNumRecs || 0;
-    if (progressCallback) progressCallback(0, totalNumRecs);
+  /** Espera `ms`; corta con AbortError si se cancela antes. */
+  function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) return reject(abortError());
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(abortError());
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener("abort", onAbort);
+        resolve();
+      }, ms);
+      signal?.addEventListener("abort", onAbort, { once: true });
+    });
+  }
 
-    const allProducts = extractProductsFromResultsList(resultsList);
-    if (progressCallback) progressCallback(allProducts.length, totalNumRecs);
+  function isRetryableStatus(status) {
+    return status === 429 || status >= 500;
+  }
+
+  /** Espera antes del reintento `attempt` (0 = primero): Retry-After si viene, si no base·2^n con jitter. */
+  function retryDelay(attempt, resp) {
+    const retryAfter = Number(resp?.headers?.get?.("Retry-After"));
+    if (retryAfter > 0) return Math.min(retryAfter * 1000, RETRY_MAX_MS);
+    const ceiling = Math.min(RETRY_BASE_MS * 2 ** attempt, RETRY_MAX_MS);
+    return ceiling / 2 + Math.random() * (ceiling / 2);
+  }
 
-    const remainingOffsets = [];
-    for (let offset = ENDeca_BATCH; offset < totalNumRecs; offset += ENDeca_BATCH) {
-      remainingOffsets.push(offset);
+  /**
+   * fetch con reintentos ante errores de red, 429 y 5xx. Devuelve la última respuesta
+   * (el que llama decide qué hacer con un !ok); los errores de red agotados se propagan.
+   * @param {string} url
+   * @param {{ signal?: AbortSignal, concurrency?: object }} [options] — concurrency: ver createConcurrency
+   */
+  async function fetchWithRetry(url, { signal, concurrency } = {}) {
+    for (let attempt = 0; ; attempt++) {
+      let resp = null;
+      try {
+        resp = await fetch(url, { credentials: "same-origin", signal });
+      } catch (err) {
+        if (isAbortError(err) || signal?.aborted) throw abortError();
+        if (attempt >= MAX_RETRIES) throw err;
+        debugLog(`[Retry] Network error (${err?.message || err}), retry ${attempt + 1}/${MAX_RETRIES}: ${url}`);
+      }
+      if (resp) {
+        if (!isRetryableStatus(resp.status)) return resp;
+        if (concurrency) concurrency.throttled();
+        if (attempt >= MAX_RETRIES) return resp;
+        debugLog(`[Retry] HTTP ${resp.status}, retry ${attempt + 1}/${MAX_RETRIES}: ${url}`);
+      }
+      await sleep(retryDelay(attempt, resp), signal);
     }
+  }
 
-    for (let i = 0; i < remainingOffsets.length; i += ENDeca_PARALLEL) {
-      const group = remainingOffsets.slice(i, i + ENDeca_PARALLEL);
-      const results = await Promise.all(
-        group.map(async (offset) => {
-          const url = buildEndecaApiUrl(offset, ENDeca_BATCH);
-          debugLog(`Fetching Endeca offset ${offset}: ${url}`);
-          const resp = await fetch(url, { credentials: "same-origin" });
-          if (!resp.ok) throw new Error(`Endeca API error ${resp.status} at offset ${offset}`);
-          const data = await resp.json();
-          return extractProductsFromResultsList(findResultsList(data));
-        })
-      );
+  /**
+   * Concurrencia adaptativa: arranca en `max`; una tanda con 429/5xx la baja a la mitad
+   * y cada tanda limpia la sube de a 1 hasta volver a `max`.
+   */
+  function createConcurrency(max) {
+    let limit = max;
+    let throttledInRound = false;
+    return {
+      get limit() { return limit; },
+      throttled() { throttledInRound = true; },
+      endRound() {
+        const previous = limit;
+        limit = throttledInRound ? Math.max(1, Math.floor(limit / 2)) : Math.min(max, limit + 1);
+        if (limit !== previous) debugLog(`[Retry] Concurrency ${previous} → ${limit}`);
+        throttledInRound = false;
+      },
+    };
+  }
 
-      for (const batch of results) allProducts.push(...batch);
-      if (progressCallback) progressCallback(allProducts.length, totalNumRecs);
+  /**
+   * Pide las páginas en tandas de concurrencia adaptativa. Una página que falla tras los
+   * reintentos queda en `failed` (resultado parcial); la cancelación corta todo.
+   * @param {number[]} keys — páginas u offsets
+   * @param {function(number, object): Promise<object[]>} fetchPage — (key, concurrency) → productos
+   * @param {number} maxParallel
+   * @param {function(object[]): void} [onPage] — productos de cada página que llega
+   * @returns {Promise<{ pages: { page: number, products: object[] }[], failed: number[] }>}
+   */
+  async function fetchPagesAdaptive(keys, fetchPage, maxParallel, onPage) {
+    const concurrency = createConcurrency(maxParallel);
+    const pages = [];
+    const failed = [];
+
+    let next = 0;
+    while (next < keys.length) {
+      const group = keys.slice(next, next + concurrency.limit);
+      next += group.length;
+      const results = await Promise.all(group.map(async (key) => {
+        try {
+          return { page: key, products: await fetchPage(key, concurrency) };
+        } catch (err) {
+          if (isAbortError(err)) throw err;
+          debugLog(`[Retry] Page ${key} failed, continuing without it:`, err?.message || err);
+          failed.push(key);
+          return null;
+        }
+      }));
+
+      for (const result of results) {
+        if (!result) continue;
+        pages.push(result);
+        if (onPage) onPage(result.products);
+      }
+      concurrency.endRound();
     }
 
-    debugLog(`Endeca scraping complete: ${allProducts.length}/${totalNumRecs}`);
-    return allProducts;
+    return { pages, failed: failed.sort((a, b) => a - b) };
   }
 
-  /** Scraping paginado usando endpoint BFF auto-detectado. */
-  async function scrapeViaBff(progressCallback) {
-    refreshCapturedUrls();
+  // ---- Fuentes de productos (adapters) ----
 
-    let baseUrl = capturedBffUrl || findBffUrlInPerformance();
-    if (!baseUrl) {
-      debugLog("BFF URL not available yet, waiting for Performance capture...");
-      baseUrl = await waitForBffUrlInPerformance();
-    }
+  /**
+   * Adapter de fuente: misma interfaz para Endeca, BFF y el DOM de la página.
+   *   name: queda en cada producto (product.source) y en getLastScrapeReport().source.
+   *   detect(signal) → ctx | null: null = no aplica en esta página; puede rechazar con el motivo.
+   *   firstPage / nextPageKeys(ctx, total): claves de página (offset Endeca, número BFF).
+   *   buildPageUrl(ctx, key) → URL JSON, o null si la página es el documento actual.
+   *   parsePage(data, ctx) → productos; rechaza si la respuesta no tiene la forma esperada.
+   *   totalCount(data, ctx) → total de productos que informa la fuente.
+   *   checkPage(data, ctx) → resumen de schemaCheck (opcional): campos faltantes o renombrados de la página.
+   *   parallel: requests simultáneos máximos.
+   */
 
-    if (!baseUrl) {
-      throw new Error(
-        "No se detectó endpoint BFF de productos en Performance. " +
-        "Esperá 1 segundo a que cargue resultados y volvé a intentar."
-      );
-    }
+  const endecaAdapter = {
+    name: "endeca",
+    parallel: ENDeca_PARALLEL,
+    firstPage: 0,
+    async detect() { return {}; },
+    buildPageUrl(ctx, offset) { return buildEndecaApiUrl(offset, ENDeca_BATCH); },
+    parsePage(data) {
+      const resultsList = findResultsList(data);
+      if (!resultsList) throw new Error("Endeca response sin Category_ResultsList");
+      return extractProductsFromResultsList(resultsList);
+    },
+    totalCount(data) { return findResultsList(data)?.totalNumRecs || 0; },
+    checkPage(data) { return checkEndecaPage(findResultsList(data)); },
+    nextPageKeys(ctx, total) {
+      const offsets = [];
+      for (let offset = ENDeca_BATCH; offset < total; offset += ENDeca_BATCH) offsets.push(offset);
+      return offsets;
+    },
+  };
+
+  const bffAdapter = {
+    name: "bff",
+    parallel: BFF_PARALLEL,
+    firstPage: 1,
+    async detect(signal) {
+      refreshCapturedUrls();
+
+      let baseUrl = capturedBffUrl || findBffUrlInPerformance();
+      if (!baseUrl) {
+        debugLog("BFF URL not available yet, waiting for Performance capture...");
+        baseUrl = await waitForBffUrlInPerformance(signal);
+      }
+
+      if (!baseUrl) {
+        throw new Error(
+          "No se detectó endpoint BFF de productos en Performance. " +
+          "Esperá 1 segundo a que cargue resultados y volvé a intentar."
+        );
+      }
 
-    const parsedBase = new URL(baseUrl);
-    const nrpp = Math.max(1, parseInt(parsedBase.searchParams.get("num_results_per_page") || "24", 10));
-    const firstUrl = buildBffPageUrl(baseUrl, 1, nrpp);
+      debugLog(`BFF template detected: ${baseUrl}`);
+      const nrpp = Math.max(1, parseInt(new URL(baseUrl).searchParams.get("num_results_per_page") || "24", 10));
+      return { baseUrl, nrpp };
+    },
+    buildPageUrl(ctx, page) { return buildBffPageUrl(ctx.baseUrl, page, ctx.nrpp); },
+    parsePage(data) {
+      if (!isValidBffResponse(data)) throw new Error("BFF response inválida: falta response.results");
+      return extractProductsFromBffResponse(data);
+    },
+    totalCount(data) { return Number(data?.response?.total_num_results) || data.response.results.length; },
+    checkPage(data) { return checkBffPage(data); },
+    nextPageKeys(ctx, total) {
+      const pages = [];
+      const totalPages = Math.max(1, Math.ceil(total / ctx.nrpp));
+      for (let page = 2; page <= totalPages; page++) pages.push(page);
+      return pages;
+    },
+  };
+
+  const DOM_CARD_SELECTOR = ".productos.row > .producto-card:not(.coto-sorter-inline-card)";
 
-    debugLog(`BFF template detected: ${baseUrl}`);
-    debugLog(`Fetching BFF page 1: ${firstUrl}`);
+  /**
+   * Producto normalizado desde un card del DOM. Usa extractProductData (precios, promos y medios de pago
+   * ya resueltos); si el card no muestra precio por unidad, se queda con nombre, imagen, link y precio.
+   */
+  function parseDomCard(wrapper) {
+    const productEl = wrapper.querySelector("catalogue-product, constructor-result-item, .card-container") || wrapper;
+    const data = extractProductData(productEl);
+
+    const attrHolder = wrapper.querySelector("[data-cnstrc-item-price]");
+    const link = wrapper.querySelector('a[href*="/R-"]');
+    const img = wrapper.querySelector("img.product-image, img");
+    const href = data?.href || (link ? new URL(link.getAttribute("href"), window.location.origin).href : null);
+    const name = data?.name
+      || attrHolder?.getAttribute("data-cnstrc-item-name")?.trim()
+      || wrapper.querySelector(".nombre-producto")?.textContent.trim()
+      || null;
+    const sku = data?.sku || skuFromHref(href) || normalizeSku(attrHolder?.getAttribute("data-cnstrc-item-id"));
+
+    const h4 = wrapper.querySelector("h4.card-title");
+    const activePrice = data?.regularPrice > 0 ? data.regularPrice
+      : parseFloat(attrHolder?.getAttribute("data-cnstrc-item-price")) || (h4 ? parsePrice(h4.textContent) : NaN) || 0;
+    // Precio promo inferido de la cucarda: no es del card; queda en promoTags y resolveDisplayPrices lo vuelve a inferir.
+    const shelfPrice = data?.promoInferred ? NaN : data?.displayedPrice;
+    const discountRatio = activePrice > 0 && shelfPrice > 0 && shelfPrice < activePrice ? shelfPrice / activePrice : 1;
+    const hasDiscount = discountRatio < 0.999;
+    const referencePrice = data?.listedUnitPrice || 0;
+    const unitType = data?.unitType || null;
 
-    const firstResp = await fetch(firstUrl, { credentials: "same-origin" });
-    if (!firstResp.ok) throw new Error(`BFF API error ${firstResp.status}`);
+    return {
+      sku,
+      name,
+      brand: data?.brand || null,
+      productBrand: null,
+      product_brand: null,
+      brandName: null,
+      href,
+      imgSrc: data?.imgSrc || (img ? img.getAttribute("src") : null),
+      priceText: activePrice > 0 ? formatApiPrice(activePrice) : null,
+      discountedPriceText: hasDiscount ? formatApiPrice(shelfPrice) : null,
+      badges: [],
+      unitPriceText: referencePrice > 0 && unitType ? `$/${unitLabel(unitType)}: ${formatApiPrice(referencePrice)}` : null,
+      unitType,
+      activePrice,
+      referencePrice,
+      adjustedReferencePrice: referencePrice * discountRatio,
+      discountRatio,
+      promoPriceRaw: hasDiscount ? shelfPrice : null,
+      promoTags: (data?.promoInfo?.promos || []).map((promo) => promo.text).filter(Boolean),
+      // El card no dice de qué sucursal es el precio
+      storeId: null, storeAvailable: null, storePrices: null, availableStores: null,
+      paymentOffers: data?.paymentOffers || [], cashPrice: null,
+      discountCandidates: null,
+      discountExplanation: null,
+    };
+  }
+
+  /** Último recurso si las dos APIs fallan: los cards ya renderizados (solo la página visible). */
+  const domAdapter = {
+    name: "dom",
+    parallel: 1,
+    firstPage: 0,
+    async detect() {
+      return document.querySelector(DOM_CARD_SELECTOR) ? {} : null;
+    },
+    buildPageUrl() { return null; },
+    parsePage(doc) {
+      const products = [];
+      for (const wrapper of doc.querySelectorAll(DOM_CARD_SELECTOR)) {
+        try { products.push(parseDomCard(wrapper)); }
+        catch (e) { debugLog("Error parsing DOM card:", e); }
+      }
+      return products;
+    },
+    totalCount(doc) { return doc.querySelectorAll(DOM_CARD_SELECTOR).length; },
+    nextPageKeys() { return []; },
+  };
+
+  /**
+   * Orden de prueba: la primera fuente que detecta y carga gana. Los registros Endeca no traen
+   * precios ni disponibilidad por sucursal ("Mi sucursal", "+ Canasta") ni ofertas por medio de
+   * pago ("Mis tarjetas"), así que BFF va primero si el usuario los usa o si la página ya pidió
+   * su XHR BFF (no hay que esperarlo); si no, Endeca.
+   */
+  function sourceAdapters() {
+    refreshCapturedUrls();
+    const needsBff = getSetting("storeId") || (getSetting("paymentCards") || []).length > 0;
+    return needsBff || capturedBffUrl
+      ? [bffAdapter, endecaAdapter, domAdapter]
+      : [endecaAdapter, bffAdapter, domAdapter];
+  }
+
+  /** Pide una página del adapter (o lee el documento) y devuelve la respuesta cruda. */
+  async function fetchAdapterData(adapter, ctx, key, signal, concurrency) {
+    const url = adapter.buildPageUrl(ctx, key);
+    if (!url) return document;
+    debugLog(`Fetching ${adapter.name} page ${key}: ${url}`);
+    const resp = await fetchWithRetry(url, { signal, concurrency });
+    if (!resp.ok) throw new Error(`${adapter.name} API error ${resp.status} at page ${key}`);
+    return resp.json();
+  }
+
+  /**
+   * Une las páginas sin repetidos y, si la lista se corrió durante la carga (productos repetidos
+   * entre páginas), vuelve a pedir las páginas solapadas para recuperar lo que entró entre medio.
+   * @param {{ page: number, products: object[] }[]} pages
+   * @param {number} totalNumRecs
+   * @param {function(number): Promise<object[]>} fetchPage — misma clave que pages[].page
+   * @param {{ recheck: boolean, failedPages: number[], source: string }} options — failedPages: no cargaron
+   *   tras los reintentos; source: adapter que produjo las páginas
+   */
+  async function mergeWithRecheck(pages, totalNumRecs, fetchPage, { recheck, failedPages, source }) {
+    const firstPass = mergeProductPages(pages, totalNumRecs);
+    if (firstPass.duplicates) {
+      debugLog(`[Merge] ${firstPass.duplicates} duplicates, ${firstPass.missing} missing, overlapped: ${firstPass.overlappedPages.join(", ")}`);
+    }
 
-    const firstData = await firstResp.json();
-    if (!isValidBffResponse(firstData)) {
-      throw new Error("BFF response inválida: falta response.results");
+    let merged = firstPass;
+    let rechecked = 0;
+    if (recheck && firstPass.overlappedPages.length) {
+      const toRecheck = firstPass.overlappedPages.slice(0, MAX_RECHECK_PAGES);
+      const refetched = await Promise.all(toRecheck.map(async (page) => {
+        try { return { page, products: await fetchPage(page) }; }
+        catch (err) {
+          if (isAbortError(err)) throw err;
+          debugLog(`[Merge] Recheck of page ${page} failed:`, err?.message || err);
+          return null;
+        }
+      }));
+      merged = mergeProductPages([...pages, ...refetched.filter(Boolean)], totalNumRecs);
+      rechecked = toRecheck.length;
+      debugLog(`[Merge] After recheck: ${merged.products.length}/${totalNumRecs}, ${merged.missing} missing`);
     }
 
-    const totalNumRecs = Number(firstData?.response?.total_num_results) || firstData.response.results.length;
-    const totalPages = Math.max(1, Math.ceil(totalNumRecs / nrpp));
+    // duplicates = los de la primera pasada (las páginas re-consultadas repiten todo a propósito).
+    lastScrapeReport = {
+      total: totalNumRecs,
+      loaded: merged.products.length,
+      duplicates: firstPass.duplicates,
+      missing: merged.missing,
+      rechecked,
+      failedPages: failedPages.length,
+      source,
+    };
+    return merged.products;
+  }
+
+  /**
+   * Scraping paginado con un adapter: primera página → total → resto en paralelo adaptativo → unión.
+   * Cada producto queda marcado con product.source = adapter.name; con adapter.checkPage, el resumen de
+   * campos faltantes de la primera pasada queda en report.schema.
+   * @returns {Promise<object[]|null>} null si el adapter no aplica en esta página (detect → null)
+   */
+  async function scrapeWithAdapter(adapter, progressCallback, { recheck, signal }) {
+    const ctx = await adapter.detect(signal);
+    if (!ctx) return null;
+
+    const schemaPages = [];
+    const parsePage = (data, key) => {
+      const products = adapter.parsePage(data, ctx);
+      const schema = adapter.checkPage ? adapter.checkPage(data, ctx) : null;
+      if (schema) {
+        schemaPages.push(schema);
+        if (schema.failed) debugLog(`[Schema] ${adapter.name} page ${key}: ${schemaDiagnostic(schema)}`);
+      }
+      return products;
+    };
 
+    const firstData = await fetchAdapterData(adapter, ctx, adapter.firstPage, signal);
+    const totalNumRecs = adapter.totalCount(firstData, ctx);
     if (progressCallback) progressCallback(0, totalNumRecs);
 
-    const allProducts = extractProductsFromBffResponse(firstData);
-    if (progressCallback) progressCallback(allProducts.length, totalNumRecs);
+    const pages = [{ page: adapter.firstPage, products: parsePage(firstData, adapter.firstPage) }];
+    let loaded = pages[0].products.length;
+    if (progressCallback) progressCallback(loaded, totalNumRecs);
 
-    const pages = [];
-    for (let page = 2; page <= totalPages; page++) pages.push(page);
-
-    for (let i = 0; i < pages.length; i += BFF_PARALLEL) {
-      const group = pages.slice(i, i + BFF_PARALLEL);
-      const results = await Promise.all(
-        group.map(async (page) => {
-          const url = buildBffPageUrl(baseUrl, page, nrpp);
-          debugLog(`Fetching BFF page ${page}: ${url}`);
-          const resp = await fetch(url, { credentials: "same-origin" });
-          if (!resp.ok) throw new Error(`BFF API error ${resp.status} at page ${page}`);
-          const data = await resp.json();
-          if (!isValidBffResponse(data)) {
-            throw new Error(`BFF response inválida en page ${page}: falta response.results`);
-          }
-          return extractProductsFromBffResponse(data);
-        })
-      );
+    const fetchPage = async (key, concurrency) =>
+      parsePage(await fetchAdapterData(adapter, ctx, key, signal, concurrency), key);
+    const { pages: rest, failed } = await fetchPagesAdaptive(adapter.nextPageKeys(ctx, totalNumRecs), fetchPage, adapter.parallel, (batch) => {
+      loaded += batch.length;
+      if (progressCallback) progressCallback(Math.min(loaded, totalNumRecs), totalNumRecs);
+    });
+    pages.push(...rest);
+    // Antes de la re-consulta: las páginas re-pedidas no cuentan dos veces.
+    const schema = schemaPages.length ? mergeSchemaSummaries(schemaPages) : null;
+
+    const allProducts = await mergeWithRecheck(pages, totalNumRecs, fetchPage, { recheck, failedPages: failed, source: adapter.name });
+    lastScrapeReport.schema = schema;
+    for (const product of allProducts) product.source = adapter.name;
+    debugLog(`[Source] ${adapter.name} scraping complete: ${allProducts.length}/${totalNumRecs}`);
+    return allProducts;
+  }
 
-      for (const batch of results) allProducts.push(...batch);
-      if (progressCallback) progressCallback(Math.min(allProducts.length, totalNumRecs), totalNumRecs);
+  /**
+   * Parsea una respuesta Endeca o BFF ya guardada (replay offline) con los mismos parsers del scraping.
+   * No pide nada ni registra las sucursales vistas (el archivo puede ser de otra persona).
+   * @returns {{ source: "endeca"|"bff", products: object[], total: number, schema: object }|null}
+   *   null si no es una respuesta de productos
+   */
+  function parseApiResponse(data) {
+    let parsed = null;
+    const resultsList = findResultsList(data);
+    if (resultsList) {
+      const products = extractProductsFromResultsList(resultsList);
+      parsed = { source: "endeca", products, total: resultsList.totalNumRecs || products.length, schema: checkEndecaPage(resultsList) };
+    } else if (isValidBffResponse(data)) {
+      const products = parseBffResults(data.response.results);
+      parsed = { source: "bff", products, total: Number(data.response.total_num_results) || products.length, schema: checkBffPage(data) };
     }
+    if (parsed) for (const product of parsed.products) product.source = parsed.source;
+    return parsed;
+  }
 
-    debugLog(`BFF scraping complete: ${allProducts.length}/${totalNumRecs}`);
-    return allProducts;
+  /** Avisa al panel (onSchemaDrift) si demasiados registros vinieron sin precio/nombre/SKU; null lo limpia. */
+  function reportSchemaDrift(schema) {
+    const drift = isSchemaDrift(schema);
+    if (drift) debugLog(`[Schema] Response drift: ${schemaDiagnostic(schema)}`);
+    if (schemaDriftListener) schemaDriftListener(drift ? schema : null);
   }
 
   /**
-   * Obtiene TODOS los productos usando estrategia endpoint-agnostic.
-   * 1) Intenta Endeca legado.
-   * 2) Si falla (o no hay Category_ResultsList), detecta XHR BFF y pagina por template.
+   * Obtiene TODOS los productos probando las fuentes de sourceAdapters() en orden:
+   * 1) Endeca legado (BFF primero con sucursal o tarjetas elegidas, o XHR BFF ya capturado). 2) Si falla (o no hay Category_ResultsList),
+   * XHR BFF paginado por template (o Endeca). 3) Si las dos APIs fallan, los cards del DOM (solo la
+   * página visible; report.source = "dom").
+   * Las páginas se unen sin repetidos por SKU/PLU; las que fallan tras los reintentos se omiten
+   * y el resultado queda parcial (ver getLastScrapeReport).
+   * Si la categoría se scrapeó hace menos de settings.scrapeCacheMinutes, devuelve la copia de
+   * IndexedDB sin pedir nada (report.cachedAt); los resultados completos se guardan para la próxima.
+   * La copia no se usa si se guardó con otra fuente preferida (ej. Endeca antes de declarar tarjetas).
    * @param {Function} progressCallback — (loaded, total) => void
+   * @param {{ recheck?: boolean, signal?: AbortSignal, useCache?: boolean }} [options]
+   *   recheck: re-consultar páginas solapadas (default true); signal: cancela con AbortError;
+   *   useCache: false = "Refrescar datos" (ignora la copia guardada y la reemplaza).
    */
-  async function scrapeAllPages(progressCallback) {
-    try {
-      return await scrapeViaEndeca(progressCallback);
-    } catch (endecaErr) {
-      debugLog("Endeca fallback triggered:", endecaErr?.message || endecaErr);
+  async function scrapeAllPages(progressCallback, { recheck = true, signal, useCache = true } = {}) {
+    let products = null;
+    lastScrapeReport = null;
+
+    const adapters = sourceAdapters();
+    const cacheKey = scrapeCacheKey(window.location.href, getSetting("storeId"));
+    const cached = useCache ? await readScrapeCache(cacheKey) : null;
+    if (cached && cached.report?.preferredSource !== adapters[0].name) {
+      debugLog(`[ScrapeCache] Ignoring cached ${cached.report?.source} copy: ${adapters[0].name} is preferred now`);
+    } else if (cached) {
+      debugLog(`[ScrapeCache] Using ${cached.products.length} cached products for ${cacheKey}`);
+      lastScrapeReport = { ...(cached.report || {}), cachedAt: cached.savedAt };
+      if (progressCallback) progressCallback(cached.products.length, cached.products.length);
+      // Historial y alertas ya se registraron al scrapear; el catálogo se pierde al recargar.
+      rememberCatalogProducts(cached.products);
+      reportSchemaDrift(lastScrapeReport.schema);
+      return cached.products;
+    }
+
+    let lastError = null;
+    for (const [index, adapter] of adapters.entries()) {
+      const next = adapters[index + 1];
+      const fallback = next ? ` → trying ${next.name}` : "";
+      try {
+        products = await scrapeWithAdapter(adapter, progressCallback, { recheck, signal });
+      } catch (err) {
+        if (isAbortError(err)) throw err;
+        lastError = err;
+        debugLog(`[Source] ${adapter.name} failed: ${err?.message || err}${fallback}`);
+        continue;
+      }
+      if (products) break;
+      debugLog(`[Source] ${adapter.name} not available on this page${fallback}`);
     }
+    if (!products) throw lastError || new Error("No se encontraron productos en esta página");
+    lastScrapeReport.preferredSource = adapters[0].name;
+    debugLog(`[Source] ${lastScrapeReport.source}: ${products.length} products`);
+    reportSchemaDrift(lastScrapeReport.schema);
+
+    // Historial local de precios (no bloquea si IndexedDB falla), alertas de watchlist,
+    // índice por SKU (badges/canasta) y precios por sucursal de la canasta.
+    await recordProducts(products);
+    checkObservations(products.map(productObservation));
+    rememberCatalogProducts(products);
+    refreshBasketPrices(products);
+    // Un resultado parcial (páginas caídas o solo el DOM) no se guarda: el próximo intento vuelve a la API.
+    if (!lastScrapeReport.failedPages && lastScrapeReport.source !== "dom") {
+      writeScrapeCache(cacheKey, products, lastScrapeReport);
+    }
+    return products;
+  }
+
+  /**
+   * Resumen del último scrapeAllPages: { total, loaded, duplicates, missing, rechecked, failedPages, source, cachedAt? }.
+   * source = adapter que produjo los productos ("endeca" | "bff" | "dom"); preferredSource = el primero
+   * que se probó (sourceAdapters).
+   * schema = resumen de schemaCheck (registros, fallidos, campos faltantes) o null (DOM).
+   * cachedAt = momento del scraping original cuando los productos salieron del cache.
+   * null si todavía no terminó ninguno.
+   */
+  function getLastScrapeReport() {
+    return lastScrapeReport;
+  }
 
-    return scrapeViaBff(progressCallback);
+  /** Registra el aviso de formato cambiado: fn(summary) con drift, fn(null) cuando un scraping sale bien. */
+  function onSchemaDrift(fn) {
+    schemaDriftListener = fn;
   }
 
-  return { setupApiUrlCapture, scrapeAllPages };
+  return {
+    setupApiUrlCapture,
+    resetCapturedUrls,
+    scrapeAllPages,
+    getLastScrapeReport,
+    onSchemaDrift,
+    parseApiResponse,
+    isAbortError,
+  };
 })();
@@ -5,10 +5,137 @@ window.CotoSorter.badges = (function () {
   "use strict";
 
   const { UNIT_PRICE_REGEX, UNIT_QTY_REGEX, BADGE_CLASS, BADGE_ATTR,
-          parsePrice, formatPrice, normalizeUnitType, unitLabel } = window.CotoSorter.utils;
+          parsePrice, formatPrice, normalizeUnitType, unitLabel,
+          normalizeSku, skuFromHref, comparableUnit } = window.CotoSorter.utils;
+  const { recordObservation, getHistory, summarizeHistory, describeHistory,
+          buildSparklineSVG } = window.CotoSorter.priceHistory;
+  const { checkObservation, getWatchItem, describeTarget, showWatchDialog } = window.CotoSorter.watchlist;
+  const { isOfferEligible, eligibleOffers, describeOffer } = window.CotoSorter.paymentOffers;
+  const { resolveEffectivePrice } = window.CotoSorter.discountResolver;
+  const { getCatalogProduct } = window.CotoSorter.catalog;
+  const { parsePromoTexts, collectPromoTexts } = window.CotoSorter.promoParser;
+  const { resolveBrand } = window.CotoSorter.promoUtils;
+  const { productObservation } = window.CotoSorter.priceUtils;
+  const { getSetting, getUnitCompareOptions } = window.CotoSorter.settings;
+  const {
+    checkListedUnitPrice,
+    parsePaperRolls,
+    paperUnitPrices,
+    parseMultipack,
+    innerUnitPrice,
+    parseWeightInput,
+    formatWeight,
+    weighableKgPrice,
+    weighablePrices,
+  } = window.CotoSorter.sizeParser;
 
-  /** Extrae datos de precio unitario ajustado de un elemento producto del DOM. */
+  const WATCH_HIT_CLASS = "coto-sorter-watch-hit";
+  // Lo que lee extractProductData del card (precios, "Precio por", cucardas).
+  const SIGNATURE_SELECTOR = "h4.card-title, small, .cucarda-promo, .offer-crum, a[href*='/R-']";
+  const SIGNATURE_ATTRS = ["data-cnstrc-item-price", "data-cnstrc-item-id", "data-cnstrc-item-name"];
+
+  // Datos extraídos por elemento; se vuelven a parsear solo si cambia la firma del card.
+  let productDataCache = new WeakMap();
+
+  /** Obtiene el SKU/PLU del card: href "R-xxxx" o data-cnstrc-item-id. */
+  function extractSku(productEl) {
+    const link = productEl.querySelector('a[href*="/R-"]');
+    const fromHref = link ? skuFromHref(link.getAttribute("href")) : null;
+    if (fromHref) return fromHref;
+
+    const idHolder = productEl.matches?.("[data-cnstrc-item-id]")
+      ? productEl
+      : productEl.querySelector("[data-cnstrc-item-id]");
+    return idHolder ? normalizeSku(idHolder.getAttribute("data-cnstrc-item-id")) : null;
+  }
+
+  /** Nombre visible del producto (para el historial). */
+  function extractName(productEl) {
+    const nameHolder = productEl.matches?.("[data-cnstrc-item-name]")
+      ? productEl
+      : productEl.querySelector("[data-cnstrc-item-name]");
+    const fromAttr = nameHolder ? nameHolder.getAttribute("data-cnstrc-item-name") : "";
+    if (fromAttr) return fromAttr.trim();
+    const h3 = productEl.querySelector(".nombre-producto");
+    return h3 ? h3.textContent.trim() : null;
+  }
+
+  /** Textos de cucardas de promo del card ("2X1", "LLEVANDO 2", "PRECIO CON 2X1"). */
+  function extractPromoTexts(productEl) {
+    return Array.from(productEl.querySelectorAll(".cucarda-promo, .offer-crum"))
+      .map((el) => el.textContent.trim())
+      .filter(Boolean);
+  }
+
+  /** Link absoluto e imagen del card (para watchlist). */
+  function extractLinks(productEl) {
+    const link = productEl.querySelector('a[href*="/R-"]');
+    const img = productEl.querySelector("img.product-image, img");
+    return {
+      href: link ? new URL(link.getAttribute("href"), window.location.origin).href : null,
+      imgSrc: img ? img.getAttribute("src") : null,
+    };
+  }
+
+  /**
+   * Observación de precio compartida por historial y watchlist (precio de góndola, sin medio de pago).
+   * Con precio de sucursal en el catálogo se usa esa (la misma que guarda el scraping): el card muestra
+   * el precio del sitio y mezclar las dos bases haría saltar el historial y las alertas.
+   * Un precio promo inferido de la cucarda ("Llevando 3 25% dto") no se muestra en el card ni se paga
+   * comprando 1: se observa el regular.
+   */
+  function toObservation(data) {
+    if (data.storeObservation) return data.storeObservation;
+    const shownPromo = !data.promoInferred && data.displayedPrice < data.regularPrice;
+    return {
+      sku: data.sku,
+      name: data.name,
+      href: data.href,
+      imgSrc: data.imgSrc,
+      regularPrice: data.regularPrice,
+      promoPrice: shownPromo ? data.displayedPrice : null,
+      unitPrice: shownPromo ? data.shelfUnitPrice : data.listedUnitPrice,
+      unitType: data.unitType,
+    };
+  }
+
+  /** Firma de texto del card: lo que lee la extracción, sin los badges propios. */
+  function productSignature(productEl) {
+    const parts = [];
+    const attrHolder = productEl.matches?.("[data-cnstrc-item-price]")
+      ? productEl
+      : productEl.querySelector("[data-cnstrc-item-price]");
+    if (attrHolder) {
+      for (const attr of SIGNATURE_ATTRS) parts.push(attrHolder.getAttribute(attr) || "");
+    }
+    for (const el of productEl.querySelectorAll(SIGNATURE_SELECTOR)) {
+      if (el.closest("." + BADGE_CLASS)) continue;
+      parts.push(el.getAttribute("href") || el.textContent);
+    }
+    return parts.join("\u0001");
+  }
+
+  /**
+   * Datos del card con cache por elemento: si la firma no cambió devuelve lo ya extraído
+   * (los cards ya ordenados no se re-parsean en cada mutación).
+   */
   function extractProductData(productEl) {
+    const signature = productSignature(productEl);
+    const cached = productDataCache.get(productEl);
+    if (cached && cached.signature === signature) return cached.data;
+
+    const data = parseProductData(productEl);
+    productDataCache.set(productEl, { signature, data });
+    return data;
+  }
+
+  /** Descarta los datos cacheados (catálogo BFF nuevo, tarjetas o settings: cambian precios sin cambiar el card). */
+  function invalidateProductData() {
+    productDataCache = new WeakMap();
+  }
+
+  /** Extrae datos de precio unitario ajustado de un elemento producto del DOM. */
+  function parseProductData(productEl) {
     const smalls = productEl.querySelectorAll("small");
     let unitMatch = null;
     let qtyStr = "1";
@@ -81,6 +208,19 @@ window.CotoSorter.badges = (function () {
       regularPrice = displayedPrice;
     }
 
+    // Promos estructuradas (cucardas del card + tags de API si el SKU está en el catálogo).
+    const sku = extractSku(productEl);
+    const catalogProduct = getCatalogProduct(sku);
+    const promoInfo = parsePromoTexts([
+      ...extractPromoTexts(productEl),
+      ...collectPromoTexts(catalogProduct),
+    ]);
+    // El card no muestra precio promo pero la promo es parseable: precio efectivo inferido
+    // (solo badge y orden; historial y watchlist usan lo que muestra el card, ver toObservation).
+    const promoInferred = !!promoInfo.best && Number.isFinite(regularPrice) && regularPrice > 0 &&
+      !(displayedPrice < regularPrice);
+    if (promoInferred) displayedPrice = regularPrice * promoInfo.best.ratio;
+
     const hasDiscount =
       Number.isFinite(displayedPrice) && displayedPrice > 0 &&
       Number.isFinite(regularPrice) && regularPrice > 0 &&
@@ -88,25 +228,249 @@ window.CotoSorter.badges = (function () {
 
     // Misma regla de tres que Vista Ligera:
     // (precioDescuento * precioPorXRegular) / precioRegular
-    const adjustedUnitPrice = hasDiscount
+    const shelfUnitPrice = hasDiscount
       ? ((displayedPrice * listedUnitPrice) / regularPrice)
       : listedUnitPrice;
 
-    const discountRatio = hasDiscount ? (displayedPrice / regularPrice) : 1;
+    const name = extractName(productEl);
+    const { href, imgSrc } = extractLinks(productEl);
 
-    return {
+    // Mejor combinación de promos de góndola y ofertas por medio de pago (solo vienen en BFF)
+    // de las tarjetas del usuario, respetando "No acumulable". Badge y sort usan ese precio.
+    const paymentOffers = catalogProduct?.paymentOffers || [];
+    const effective = resolveEffectivePrice({
+      regularPrice,
+      shelfPrice: displayedPrice,
+      promoInfo,
+      discountCandidates: catalogProduct?.discountCandidates,
+      paymentOffers: eligibleOffers(paymentOffers),
+    });
+    const discountResolution = effective.resolution;
+    const paymentOffer = effective.paymentOffer;
+
+    const paidPrice = effective.price;
+    const discountRatio = Number.isFinite(paidPrice) && regularPrice > 0 && paidPrice < regularPrice
+      ? paidPrice / regularPrice
+      : 1;
+    const adjustedUnitPrice = discountResolution.applied.length ? listedUnitPrice * discountRatio : shelfUnitPrice;
+
+    // Promo por cantidad: el precio con promo solo vale llevando N; comprando 1 se paga el regular
+    // (con la tarjeta sola, si aplica).
+    const takeQty = hasDiscount ? effective.takeQty : null;
+    const singleUnitPrice = takeQty ? listedUnitPrice * effective.singleRatio : adjustedUnitPrice;
+    const singlePaymentOffer = takeQty ? effective.singlePaymentOffer : null;
+    const sortUnitPrice = takeQty && getSetting("promoSortBasis") === "single" ? singleUnitPrice : adjustedUnitPrice;
+
+    // Escala común para ordenar ($/100g → $/kg en modo normalizado).
+    const comparable = comparableUnit(type, getUnitCompareOptions());
+
+    // "Precio por 1 Kilo" del sitio vs tamaño del nombre (ambos regulares).
+    const unitCheck = checkListedUnitPrice({ name, unitType: type, price: regularPrice, listedUnitPrice });
+
+    // Papel: $/metro (y de hoja simple) sobre el precio que se paga.
+    const paperRolls = parsePaperRolls(name);
+    const paper = paperRolls ? { ...paperRolls, ...paperUnitPrices(paidPrice, paperRolls) } : null;
+
+    // Multipack: $/unidad interna (nombre o product_unit_of_measure de BFF).
+    const pack = parseMultipack(name, catalogProduct?.unitOfMeasure, catalogProduct?.formatQuantity);
+    const multipack = pack ? { ...pack, perInnerUnit: innerUnitPrice(paidPrice, pack) } : null;
+
+    // Pesables (product_weighable de BFF): precio por paso, compra mínima y $/kg con descuento para el estimador.
+    const weighableInfo = catalogProduct?.weighable || null;
+    const kgPrice = weighableInfo ? weighableKgPrice(type, adjustedUnitPrice, paidPrice) : NaN;
+    const weighable = weighableInfo
+      ? { ...weighableInfo, kgPrice, ...weighablePrices(kgPrice, weighableInfo) }
+      : null;
+
+    const data = {
+      sku,
+      name,
+      brand: resolveBrand({ ...catalogProduct, name }),
+      href,
+      imgSrc,
       unitType: type,
       unitRawLabel: rawUnitType,
       listedUnitPrice,
       adjustedUnitPrice,
+      comparableUnitType: comparable.unitType,
+      comparableUnitPrice: sortUnitPrice * comparable.factor,
+      takeQty,
+      singleUnitPrice,
+      singlePaymentOffer,
+      shelfUnitPrice,
       displayedPrice,
+      promoInferred,
       regularPrice,
       discountRatio,
+      paymentOffer,
+      paymentOffers,
+      unitCheck,
+      paper,
+      multipack,
+      weighable,
+      promoInfo,
+      discountResolution,
+      storeObservation: catalogProduct?.storeId ? productObservation(catalogProduct) : null,
     };
+
+    return data;
   }
 
   // ---- Badge Injection ----
 
+  /** Botón ☆/★ para seguir el producto con precio objetivo. */
+  function createWatchButton(data) {
+    const watched = getWatchItem(data.sku);
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "coto-sorter-watch-btn";
+    btn.classList.toggle("coto-sorter-watching", !!watched);
+    btn.textContent = watched ? "★" : "☆";
+    btn.title = watched
+      ? `Siguiendo (objetivo ${describeTarget(watched)}) — click para editar`
+      : "Seguir producto y avisarme cuando baje";
+    btn.addEventListener("click", (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      const obs = toObservation(data);
+      showWatchDialog({
+        ...obs,
+        finalPrice: obs.promoPrice || obs.regularPrice,
+      });
+    });
+    return btn;
+  }
+
+  /** Línea "⚖️ 100 g: $X · mín. 250 g: $Y" de un pesable. */
+  function describeWeighable(weighable) {
+    const parts = [];
+    if (Number.isFinite(weighable.perStep)) parts.push(`${formatWeight(weighable.stepKg)}: ${formatPrice(weighable.perStep)}`);
+    if (Number.isFinite(weighable.minimumCost) && weighable.minKg !== weighable.stepKg) {
+      parts.push(`mín. ${formatWeight(weighable.minKg)}: ${formatPrice(weighable.minimumCost)}`);
+    }
+    return parts.length ? `⚖️ ${parts.join(" · ")}` : "";
+  }
+
+  /** Input "350 g" → precio estimado con descuento. No dispara la navegación del card. */
+  function createWeightEstimator(data) {
+    const box = document.createElement("label");
+    box.className = "coto-sorter-weight-estimate";
+    box.title = `Estimado a ${formatPrice(data.weighable.kgPrice)}/kg`;
+
+    const input = document.createElement("input");
+    input.type = "text";
+    input.inputMode = "decimal";
+    input.placeholder = "350 g";
+    const result = document.createElement("span");
+    result.className = "coto-sorter-weight-result";
+
+    input.addEventListener("input", () => {
+      const kg = parseWeightInput(input.value);
+      result.textContent = kg > 0 ? `≈ ${formatPrice(data.weighable.kgPrice * kg)}` : "";
+    });
+    for (const type of ["click", "mousedown", "keydown"]) {
+      input.addEventListener(type, (e) => {
+        if (type === "click") e.preventDefault();
+        e.stopPropagation();
+      });
+    }
+
+    box.append("⚖️ ", input, result);
+    return box;
+  }
+
+  /** Sección del tooltip con ofertas por medio de pago y sus cuotas. */
+  function buildPaymentSection(data) {
+    const section = document.createElement("div");
+    section.className = "coto-sorter-tooltip-section coto-sorter-payment-section";
+
+    const title = document.createElement("div");
+    title.className = "coto-sorter-tooltip-title";
+    title.textContent = data.paymentOffer
+      ? `Con tu tarjeta: ${formatPrice(data.regularPrice * data.discountRatio)}`
+      : "Medios de pago";
+    section.appendChild(title);
+
+    for (const offer of data.paymentOffers) {
+      const line = document.createElement("div");
+      line.className = "coto-sorter-payment-line";
+      line.classList.toggle("coto-sorter-payment-eligible", isOfferEligible(offer));
+      line.textContent = describeOffer(offer);
+      section.appendChild(line);
+    }
+
+    return section;
+  }
+
+  /** Sección del tooltip con los descuentos aplicados (y los que quedaron afuera por no acumulables). */
+  function buildDiscountSection(data) {
+    const section = document.createElement("div");
+    section.className = "coto-sorter-tooltip-section";
+
+    const title = document.createElement("div");
+    title.className = "coto-sorter-tooltip-title";
+    title.textContent = `Descuentos aplicados: ${formatPrice(data.discountResolution.price)}`;
+    section.appendChild(title);
+
+    for (const candidate of data.discountResolution.applied) {
+      const line = document.createElement("div");
+      line.className = "coto-sorter-discount-line";
+      line.textContent = `✓ ${candidate.label} (-${Math.round((1 - candidate.ratio) * 100)}%)`;
+      section.appendChild(line);
+    }
+    for (const candidate of data.discountResolution.blocked) {
+      const line = document.createElement("div");
+      line.className = "coto-sorter-discount-line coto-sorter-discount-blocked";
+      line.textContent = `✗ ${candidate.label} (no acumulable)`;
+      section.appendChild(line);
+    }
+
+    return section;
+  }
+
+  /** Sección del tooltip que explica el $/X dudoso (sitio vs tamaño del nombre). */
+  function buildUnitCheckSection(data, label) {
+    const section = document.createElement("div");
+    section.className = "coto-sorter-tooltip-section";
+
+    const title = document.createElement("div");
+    title.className = "coto-sorter-tooltip-title";
+    title.textContent = `⚠ $/${label} dudoso`;
+
+    const detail = document.createElement("div");
+    detail.className = "coto-sorter-unit-check";
+    detail.textContent =
+      `El sitio informa $/${label}: ${formatPrice(data.listedUnitPrice)}; ` +
+      `por tamaño (${data.unitCheck.size.text}) da ${formatPrice(data.unitCheck.estimate)} a precio regular.`;
+
+    section.append(title, detail);
+    return section;
+  }
+
+  /** Completa el tooltip del badge con sparkline + hint de mínimo en 90 días. */
+  function fillHistoryTooltip(tooltip, data) {
+    if (!data.sku) return;
+
+    getHistory(data.sku).then((points) => {
+      if (!tooltip.isConnected) return;
+      const obs = toObservation(data);
+      const currentPrice = obs.promoPrice || obs.regularPrice;
+      const summary = summarizeHistory(points, currentPrice);
+      if (!summary) return;
+
+      const hint = document.createElement("div");
+      hint.className = "coto-sorter-history-hint";
+      hint.classList.toggle("coto-sorter-history-lowest", summary.isLowest && summary.days >= 1);
+      hint.textContent = describeHistory(summary);
+
+      const section = document.createElement("div");
+      section.className = "coto-sorter-tooltip-section";
+      section.innerHTML = buildSparklineSVG(points);
+      section.appendChild(hint);
+      tooltip.appendChild(section);
+    });
+  }
+
   /** Inyecta o actualiza el badge de precio en un card wrapper. */
   function injectBadgeOnProduct(wrapper) {
     const productEl = wrapper.querySelector("catalogue-product, constructor-result-item, .card-container");
@@ -128,14 +492,95 @@ window.CotoSorter.badges = (function () {
     const label = unitLabel(data.unitType);
     const hasDiscount = data.discountRatio < 0.999;
 
+    const priceEl = document.createElement("span");
+    priceEl.className = "coto-sorter-badge-price";
+
     if (hasDiscount) {
       badge.classList.add("coto-sorter-badge-discount");
-      badge.textContent = `$/${label}: ${formatPrice(data.adjustedUnitPrice)}`;
+      // 💳 en cada línea cuyo precio usa una tarjeta (comprando 1 puede usarla aunque llevando N no).
+      const card = data.paymentOffer ? " 💳" : "";
+      if (data.paymentOffer || data.singlePaymentOffer) badge.classList.add("coto-sorter-badge-payment");
+      if (!data.takeQty) {
+        priceEl.textContent = `$/${label}: ${formatPrice(data.adjustedUnitPrice)}${card}`;
+      } else {
+        const singleCard = data.singlePaymentOffer ? " 💳" : "";
+        priceEl.textContent = `$/${label} comprando 1: ${formatPrice(data.singleUnitPrice)}${singleCard}`;
+        const takeEl = document.createElement("span");
+        takeEl.className = "coto-sorter-badge-take";
+        takeEl.textContent = `$/${label} llevando ${data.takeQty}: ${formatPrice(data.adjustedUnitPrice)}${card}`;
+        priceEl.appendChild(takeEl);
+        priceEl.title = getSetting("promoSortBasis") === "single"
+          ? "El orden usa el precio comprando 1"
+          : `El orden usa el precio llevando ${data.takeQty}`;
+      }
     } else {
       badge.classList.add("coto-sorter-badge-regular");
-      badge.textContent = `$/${label}: ${formatPrice(data.listedUnitPrice)}`;
+      priceEl.textContent = `$/${label}: ${formatPrice(data.listedUnitPrice)}`;
+    }
+
+    const tooltip = document.createElement("div");
+    tooltip.className = "coto-sorter-badge-tooltip";
+
+    // Listado en otra unidad: mostrar también el precio en la escala con la que se ordena.
+    if (data.comparableUnitType !== data.unitType) {
+      const comparableEl = document.createElement("span");
+      comparableEl.className = "coto-sorter-badge-comparable";
+      comparableEl.textContent = `≈ $/${unitLabel(data.comparableUnitType)}: ${formatPrice(data.comparableUnitPrice)}`;
+      priceEl.appendChild(comparableEl);
     }
 
+    if (data.paper?.perMeter) {
+      const paperEl = document.createElement("span");
+      paperEl.className = "coto-sorter-badge-paper";
+      paperEl.textContent = `🧻 $/m: ${formatPrice(data.paper.perMeter)}` +
+        (data.paper.plies > 1 ? ` · 1 hoja: ${formatPrice(data.paper.perSinglePlyMeter)}` : "");
+      paperEl.title = `${data.paper.rolls} × ${data.paper.metersPerRoll} m` +
+        (data.paper.plies > 1 ? ` (${data.paper.plies} hojas = ${data.paper.singlePlyMeters} m de hoja simple)` : "");
+      priceEl.appendChild(paperEl);
+    }
+
+    if (Number.isFinite(data.multipack?.perInnerUnit)) {
+      const packEl = document.createElement("span");
+      packEl.className = "coto-sorter-badge-pack";
+      packEl.textContent = `📦 $/unidad interna: ${formatPrice(data.multipack.perInnerUnit)}`;
+      packEl.title = `Pack de ${data.multipack.units} (${data.multipack.text})`;
+      priceEl.appendChild(packEl);
+    }
+
+    if (data.weighable) {
+      const weighText = describeWeighable(data.weighable);
+      if (weighText) {
+        const weighEl = document.createElement("span");
+        weighEl.className = "coto-sorter-badge-weigh";
+        weighEl.textContent = weighText;
+        priceEl.appendChild(weighEl);
+      }
+    }
+
+    // $/X del sitio inconsistente con el tamaño: estimado propio al lado (misma base que el badge).
+    if (data.unitCheck?.doubtful) {
+      badge.classList.add("coto-sorter-badge-doubtful");
+      const shownRatio = hasDiscount ? data.adjustedUnitPrice / data.listedUnitPrice : 1;
+      const doubtfulEl = document.createElement("span");
+      doubtfulEl.className = "coto-sorter-badge-doubtful-note";
+      doubtfulEl.textContent = `⚠ dudoso · calc. $/${label}: ${formatPrice(data.unitCheck.estimate * shownRatio)}`;
+      priceEl.appendChild(doubtfulEl);
+    }
+
+    badge.appendChild(priceEl);
+    if (Number.isFinite(data.weighable?.kgPrice)) badge.appendChild(createWeightEstimator(data));
+    if (data.sku) badge.appendChild(createWatchButton(data));
+    badge.appendChild(tooltip);
+    if (data.unitCheck?.doubtful) tooltip.appendChild(buildUnitCheckSection(data, label));
+    if (data.discountResolution.applied.length) tooltip.appendChild(buildDiscountSection(data));
+    if (data.paymentOffers.length) tooltip.appendChild(buildPaymentSection(data));
+    fillHistoryTooltip(tooltip, data);
+
+    // Historial y watchlist con el card que se muestra (extractProductData no escribe nada).
+    if (data.sku) recordObservation(toObservation(data));
+    const isWatchHit = data.sku ? checkObservation(toObservation(data)) : false;
+    wrapper.classList.toggle(WATCH_HIT_CLASS, isWatchHit);
+
     const cardContainer = wrapper.querySelector(".card-container");
     if (cardContainer) {
       cardContainer.insertBefore(badge, cardContainer.firstChild);
@@ -152,13 +597,26 @@ window.CotoSorter.badges = (function () {
     wrappers.forEach(injectBadgeOnProduct);
   }
 
+  /** Badges solo para los cards que todavía no tienen uno terminado (nuevos o "no-data"). */
+  function injectPendingBadges(root = document) {
+    root.querySelectorAll(`.producto-card:not([${BADGE_ATTR}="done"])`).forEach(injectBadgeOnProduct);
+  }
+
   /** Remueve todos los badges inyectados y resetea atributos. */
   function removeAllBadges() {
     document.querySelectorAll("." + BADGE_CLASS).forEach((el) => el.remove());
+    document.querySelectorAll("." + WATCH_HIT_CLASS).forEach((el) => el.classList.remove(WATCH_HIT_CLASS));
     document.querySelectorAll(`[${BADGE_ATTR}]`).forEach((el) => {
       el.removeAttribute(BADGE_ATTR);
     });
   }
 
-  return { extractProductData, injectBadgeOnProduct, injectAllBadges, removeAllBadges };
+  return {
+    extractProductData,
+    invalidateProductData,
+    injectBadgeOnProduct,
+    injectAllBadges,
+    injectPendingBadges,
+    removeAllBadges,
+  };
 })();
@@ -0,0 +1,224 @@
+// basket.js — Canasta de SKUs y comparación de costo entre sucursales (precios BFF price[])
+window.CotoSorter = window.CotoSorter || {};
+
+window.CotoSorter.basket = (function () {
+  "use strict";
+
+  const { debugLog } = window.CotoSorter.logger;
+  const { getCatalogProduct } = window.CotoSorter.catalog;
+
+  const BASKET_KEY = "basket";
+
+  // Cache sincrónico de chrome.storage.local[BASKET_KEY]: { [sku]: item }
+  let items = {};
+
+  /**
+   * Item: { sku, name, href, imgSrc, qty, storePrices: { [storeId]: listPrice },
+   *         availableStores: string[]|null, updatedAt }
+   */
+
+  function saveItems() {
+    try {
+      chrome.storage.local.set({ [BASKET_KEY]: items });
+    } catch (err) {
+      debugLog("[Basket] Could not save:", err?.message || err);
+    }
+  }
+
+  function toBasketFields(product) {
+    return {
+      name: product.name || null,
+      href: product.href || null,
+      imgSrc: product.imgSrc || null,
+      storePrices: { ...(product.storePrices || {}) },
+      availableStores: Array.isArray(product.availableStores) ? [...product.availableStores] : null,
+      updatedAt: new Date().toISOString(),
+    };
+  }
+
+  /** Refresca precios por sucursal de los items de la canasta vistos en un scraping. */
+  function refreshBasketPrices(products) {
+    let changed = false;
+    for (const product of products || []) {
+      if (!product?.sku || !product.storePrices) continue;
+      if (items[product.sku]) {
+        items[product.sku] = { ...items[product.sku], ...toBasketFields(product) };
+        changed = true;
+      }
+    }
+    if (changed) saveItems();
+  }
+
+  function getBasket() {
+    return JSON.parse(JSON.stringify(items));
+  }
+
+  function isInBasket(sku) {
+    return !!(sku && items[sku]);
+  }
+
+  /** Agrega (o suma cantidad) un SKU del catálogo scrapeado. False si no hay precios por sucursal. */
+  function addToBasket(sku, qty = 1) {
+    const catalogProduct = getCatalogProduct(sku);
+    const product = catalogProduct?.storePrices ? catalogProduct : null;
+    if (!product && !items[sku]) return false;
+
+    const previousQty = items[sku]?.qty || 0;
+    items[sku] = {
+      ...(items[sku] || {}),
+      sku,
+      ...(product ? toBasketFields(product) : {}),
+      qty: previousQty + Math.max(1, Math.round(qty)),
+    };
+    saveItems();
+    return true;
+  }
+
+  function setBasketQty(sku, qty) {
+    if (!items[sku]) return;
+    const n = Math.round(Number(qty));
+    if (!Number.isFinite(n) || n <= 0) {
+      removeFromBasket(sku);
+      return;
+    }
+    items[sku] = { ...items[sku], qty: n };
+    saveItems();
+  }
+
+  function removeFromBasket(sku) {
+    if (!items[sku]) return;
+    delete items[sku];
+    saveItems();
+  }
+
+  function clearBasket() {
+    items = {};
+    saveItems();
+  }
+
+  /** True si la sucursal vende el item (store_availability; sin ese dato, tener precio alcanza). */
+  function isSoldAt(item, storeId) {
+    const price = Number(item.storePrices?.[storeId]);
+    if (!Number.isFinite(price) || price <= 0) return false;
+    return item.availableStores ? item.availableStores.includes(storeId) : true;
+  }
+
+  /**
+   * Calcula el total de la canasta en cada sucursal con precios de lista por sucursal.
+   * Ranking: primero sucursales con menos faltantes, después menor total.
+   * Sucursales que no venden ningún item quedan afuera.
+   * @param {object[]} basketItems — items de canasta (con qty y storePrices)
+   * @returns {{ stores: object[], bestPrices: Object<string, number> }}
+   *   stores[i] = { storeId, total, missing: sku[], lines: [{ sku, unitPrice, qty, subtotal, diff }] }
+   *   diff = sobreprecio del item vs la sucursal más barata para ese item (0 = la más barata).
+   */
+  function compareBasketByStore(basketItems) {
+    const list = (basketItems || []).filter((item) => item?.sku && item.qty > 0);
+
+    const storeIds = new Set();
+    for (const item of list) {
+      for (const storeId of Object.keys(item.storePrices || {})) storeIds.add(storeId);
+    }
+
+    const bestPrices = {};
+    for (const item of list) {
+      const prices = Array.from(storeIds)
+        .filter((storeId) => isSoldAt(item, storeId))
+        .map((storeId) => Number(item.storePrices[storeId]));
+      if (prices.length) bestPrices[item.sku] = Math.min(...prices);
+    }
+
+    const stores = Array.from(storeIds).map((storeId) => {
+      const lines = [];
+      const missing = [];
+      let total = 0;
+
+      for (const item of list) {
+        if (!isSoldAt(item, storeId)) {
+          missing.push(item.sku);
+          continue;
+        }
+        const unitPrice = Number(item.storePrices[storeId]);
+        const subtotal = unitPrice * item.qty;
+        total += subtotal;
+        lines.push({
+          sku: item.sku,
+          unitPrice,
+          qty: item.qty,
+          subtotal,
+          diff: (unitPrice - bestPrices[item.sku]) * item.qty,
+        });
+      }
+
+      return { storeId, total, missing, lines };
+    }).filter((store) => store.lines.length > 0);
+
+    stores.sort((a, b) =>
+      a.missing.length - b.missing.length ||
+      a.total - b.total ||
+      a.storeId.localeCompare(b.storeId)
+    );
+
+    return { stores, bestPrices };
+  }
+
+  // =========================================================
+  // Inicialización y puente con Vista Ligera
+  // =========================================================
+
+  /**
+   * Altas/bajas pedidas por una pestaña de Vista Ligera (llegan por su MessagePort, ver vistaLigera.js).
+   * @param {object} msg — { type: "basket:add"|"basket:remove", sku }
+   * @param {(state: object) => void} reply — responde a esa pestaña ({ error } si no se pudo agregar)
+   * @returns {boolean} true si el mensaje era de la canasta
+   */
+  function handleVistaMessage(msg, reply) {
+    let error = null;
+    if (msg?.type === "basket:add") {
+      if (!addToBasket(msg.sku)) {
+        debugLog(`[Basket] No store prices for ${msg.sku}`);
+        error = "No se pudo agregar a la canasta: la pestaña de COTO ya no tiene los precios por sucursal de este producto. Volvé a abrir la Vista Ligera desde COTO.";
+      }
+    } else if (msg?.type === "basket:remove") {
+      removeFromBasket(msg.sku);
+    } else {
+      return false;
+    }
+
+    debugLog(`[Basket] Vista Ligera ${msg.type}`, msg.sku);
+    reply({ type: "basket:state", sku: msg.sku, inBasket: isInBasket(msg.sku), error });
+    return true;
+  }
+
+  /** Carga la canasta en cache y escucha cambios (página de comparación u otras pestañas). */
+  function initBasket(onChange) {
+    try {
+      chrome.storage.local.get(BASKET_KEY, (result) => {
+        items = result?.[BASKET_KEY] || {};
+        debugLog(`[Basket] Loaded ${Object.keys(items).length} items`);
+        if (onChange) onChange(getBasket());
+      });
+      chrome.storage.onChanged.addListener((changes, area) => {
+        if (area === "local" && changes[BASKET_KEY]) {
+          items = changes[BASKET_KEY].newValue || {};
+          if (onChange) onChange(getBasket());
+        }
+      });
+    } catch {
+      items = {};
+    }
+  }
+
+  return {
+    initBasket,
+    refreshBasketPrices,
+    getBasket,
+    isInBasket,
+    addToBasket,
+    setBasketQty,
+    removeFromBasket,
+    clearBasket,
+    compareBasketByStore,
+    handleVistaMessage,
+  };
+})();
@@ -0,0 +1,38 @@
+// catalog.js — Índice en memoria de productos de API por SKU (datos que el DOM no muestra)
+window.CotoSorter = window.CotoSorter || {};
+
+window.CotoSorter.catalog = (function () {
+  "use strict";
+
+  const { debugLog } = window.CotoSorter.logger;
+
+  // SKU → último producto normalizado visto (scraping o precarga de la página actual).
+  const productsBySku = new Map();
+  const updateListeners = [];
+
+  /** Indexa productos normalizados de API. Notifica si se agregó o cambió alguno. */
+  function rememberCatalogProducts(products) {
+    let added = 0;
+    for (const product of products || []) {
+      if (!product?.sku) continue;
+      productsBySku.set(product.sku, product);
+      added++;
+    }
+    if (!added) return;
+
+    debugLog(`[Catalog] Indexed ${added} products (${productsBySku.size} total)`);
+    for (const fn of updateListeners) {
+      try { fn(); } catch (err) { debugLog("[Catalog] Listener error:", err); }
+    }
+  }
+
+  function getCatalogProduct(sku) {
+    return sku ? productsBySku.get(sku) || null : null;
+  }
+
+  function onCatalogUpdate(fn) {
+    updateListeners.push(fn);
+  }
+
+  return { rememberCatalogProducts, getCatalogProduct, onCatalogUpdate };
+})();
@@ -0,0 +1,232 @@
+// db.js — Acceso mínimo a IndexedDB en el origen de la extensión (todo queda en la máquina del usuario)
+// Service worker y páginas de la extensión abren la base directo. Los content scripts corren en el origen
+// de COTO (ahí el sitio podría leer o borrar la base): le piden cada operación al background por mensaje.
+// `self` en lugar de `window`: también se carga en el service worker (background.js).
+self.CotoSorter = self.CotoSorter || {};
+
+self.CotoSorter.db = (function () {
+  "use strict";
+
+  const DB_NAME = "coto-sorter";
+  const DB_VERSION = 2;
+  const DB_MESSAGE = "coto-sorter:db";
+  // Background sin responder (base trabada): rechazar en vez de dejar colgado a quien espera.
+  const REQUEST_TIMEOUT_MS = 5000;
+
+  // Un object store por feature; agregar acá y subir DB_VERSION. indexes: nombre → keyPath.
+  const STORES = {
+    priceHistory: { keyPath: "sku" },
+    scrapeCache: { keyPath: "key", indexes: { savedAt: "savedAt" } },
+  };
+
+  /** True en el service worker y en páginas chrome-extension:// (mismo origen que la base). */
+  const IN_EXTENSION_ORIGIN = (() => {
+    try {
+      return self.location.href.startsWith(chrome.runtime.getURL(""));
+    } catch { return false; }
+  })();
+
+  let dbPromise = null;
+
+  // =========================================================
+  // IndexedDB local (origen de la extensión)
+  // =========================================================
+
+  /** Convierte un IDBRequest en Promise. */
+  function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Abre (una sola vez) la base y crea los stores faltantes.
+   * Una conexión con la versión anterior (otra página de la extensión sin recargar) bloquea la
+   * actualización: se rechaza en vez de esperar, y esta conexión se cierra si otra sube la versión.
+   */
+  function openDb() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === "undefined") {
+        reject(new Error("IndexedDB no disponible"));
+        return;
+      }
+
+      let blocked = false;
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        for (const [name, { indexes, ...options }] of Object.entries(STORES)) {
+          if (db.objectStoreNames.contains(name)) continue;
+          const store = db.createObjectStore(name, options);
+          for (const [indexName, keyPath] of Object.entries(indexes || {})) {
+            store.createIndex(indexName, keyPath);
+          }
+        }
+      };
+      request.onblocked = () => {
+        blocked = true;
+        reject(new Error("IndexedDB bloqueada por otra página de la extensión con una versión anterior"));
+      };
+      request.onsuccess = () => {
+        const db = request.result;
+        // Se desbloqueó después de rechazar: nadie usa esta conexión.
+        if (blocked) {
+          db.close();
+          return;
+        }
+        db.onversionchange = () => {
+          db.close();
+          dbPromise = null;
+        };
+        resolve(db);
+      };
+      request.onerror = () => reject(request.error);
+    });
+
+    // Si falla, permitir reintento en la próxima llamada.
+    dbPromise.catch(() => { dbPromise = null; });
+    return dbPromise;
+  }
+
+  /** Espera a que termine una transacción. */
+  function transactionDone(tx) {
+    return new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error("Transacción abortada"));
+    });
+  }
+
+  async function localGetRecords(storeName, keys) {
+    const db = await openDb();
+    const tx = db.transaction(storeName, "readonly");
+    const store = tx.objectStore(storeName);
+    const uniqueKeys = Array.from(new Set(keys.filter((k) => k != null)));
+
+    const values = await Promise.all(uniqueKeys.map((key) => requestToPromise(store.get(key))));
+    const result = new Map();
+    uniqueKeys.forEach((key, i) => {
+      if (values[i] !== undefined) result.set(key, values[i]);
+    });
+    return result;
+  }
+
+  async function localPutRecords(storeName, records) {
+    const db = await openDb();
+    const tx = db.transaction(storeName, "readwrite");
+    const store = tx.objectStore(storeName);
+    const done = transactionDone(tx);
+    for (const record of records) store.put(record);
+    return done;
+  }
+
+  async function localDeleteRecords(storeName, keys) {
+    const db = await openDb();
+    const tx = db.transaction(storeName, "readwrite");
+    const store = tx.objectStore(storeName);
+    const done = transactionDone(tx);
+    for (const key of new Set(keys.filter((k) => k != null))) store.delete(key);
+    return done;
+  }
+
+  async function localGetKeysByIndex(storeName, indexName) {
+    const db = await openDb();
+    const tx = db.transaction(storeName, "readonly");
+    return requestToPromise(tx.objectStore(storeName).index(indexName).getAllKeys());
+  }
+
+  // =========================================================
+  // Puente content script → background
+  // =========================================================
+
+  // Operaciones que un content script puede pedir. Los resultados viajan como JSON (Map → entries).
+  const REMOTE_OPS = {
+    getRecords: async (storeName, keys) => Array.from((await localGetRecords(storeName, keys)).entries()),
+    putRecords: localPutRecords,
+    deleteRecords: localDeleteRecords,
+    getKeysByIndex: localGetKeysByIndex,
+  };
+
+  /**
+   * Atiende un pedido { type: DB_MESSAGE, op, storeName, args } (background.js).
+   * @returns {Promise<any>} rechaza con operaciones o stores desconocidos
+   */
+  function handleDbMessage(msg) {
+    const op = Object.hasOwn(REMOTE_OPS, msg?.op) ? REMOTE_OPS[msg.op] : null;
+    if (!op || !Object.hasOwn(STORES, msg.storeName)) {
+      return Promise.reject(new Error(`Operación de base inválida: ${msg?.op} ${msg?.storeName}`));
+    }
+    return op(msg.storeName, ...(Array.isArray(msg.args) ? msg.args : []));
+  }
+
+  /** Pide la operación al background; rechaza si no responde (REQUEST_TIMEOUT_MS) o si la operación falló allá. */
+  function requestFromBackground(op, storeName, args) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error(`Sin respuesta del background: ${op}`)), REQUEST_TIMEOUT_MS);
+      chrome.runtime.sendMessage({ type: DB_MESSAGE, op, storeName, args }, (response) => {
+        clearTimeout(timer);
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+        } else if (!response?.ok) {
+          reject(new Error(response?.error || "Sin respuesta del background"));
+        } else {
+          resolve(response.result);
+        }
+      });
+    });
+  }
+
+  // =========================================================
+  // API pública (igual en los dos contextos)
+  // =========================================================
+
+  /** Lee varios registros por clave. Devuelve Map clave → registro (solo existentes). */
+  async function getRecords(storeName, keys) {
+    if (IN_EXTENSION_ORIGIN) return localGetRecords(storeName, keys);
+    return new Map(await requestFromBackground("getRecords", storeName, [keys]));
+  }
+
+  /** Lee un registro por clave (undefined si no existe). */
+  async function getRecord(storeName, key) {
+    const records = await getRecords(storeName, [key]);
+    return records.get(key);
+  }
+
+  /** Escribe (o reemplaza) varios registros completos en una misma transacción. */
+  function putRecords(storeName, records) {
+    if (IN_EXTENSION_ORIGIN) return localPutRecords(storeName, records);
+    return requestFromBackground("putRecords", storeName, [records]);
+  }
+
+  /** Escribe (o reemplaza) un registro completo. */
+  function putRecord(storeName, record) {
+    return putRecords(storeName, [record]);
+  }
+
+  /** Borra varios registros por clave. */
+  function deleteRecords(storeName, keys) {
+    if (IN_EXTENSION_ORIGIN) return localDeleteRecords(storeName, keys);
+    return requestFromBackground("deleteRecords", storeName, [keys]);
+  }
+
+  /** Claves primarias ordenadas por un índice (sin leer los registros, que pueden ser grandes). */
+  function getKeysByIndex(storeName, indexName) {
+    if (IN_EXTENSION_ORIGIN) return localGetKeysByIndex(storeName, indexName);
+    return requestFromBackground("getKeysByIndex", storeName, [indexName]);
+  }
+
+  return {
+    DB_MESSAGE,
+    openDb,
+    handleDbMessage,
+    getRecord,
+    getRecords,
+    putRecord,
+    putRecords,
+    deleteRecords,
+    getKeysByIndex,
+  };
+})();
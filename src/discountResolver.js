@@ -0,0 +1,170 @@
+// discountResolver.js — Mejor combinación de descuentos (promos de góndola + medio de pago) según reglas de acumulación
+window.CotoSorter = window.CotoSorter || {};
+
+window.CotoSorter.discountResolver = (function () {
+  "use strict";
+
+  const { parsePromoText } = window.CotoSorter.promoParser;
+
+  // Tope de candidatos evaluados (2^n combinaciones); más que esto no aparece en un registro real.
+  const MAX_CANDIDATES = 10;
+
+  /**
+   * Candidato: { kind: "promo"|"payment", label, ratio, accumulable, offer? }
+   *   ratio: precio con el descuento / precio base del descuento (góndola: regular; pago: precio del sitio).
+   *   Solo entra un medio de pago por combinación (se paga con una tarjeta).
+   */
+
+  /** False si el texto ("No acumulable con otras promos") prohíbe combinar. */
+  function isAccumulableText(...texts) {
+    return !texts.some((text) => parsePromoText(text).accumulable === false);
+  }
+
+  /**
+   * Candidato de góndola a partir de un precio con descuento.
+   * @param {{ label: string, price: number, basePrice: number, comments?: string, accumulable?: boolean }} input
+   * @returns {object|null} null si el precio no mejora la base
+   */
+  function promoCandidate(input) {
+    const price = Number(input?.price);
+    const base = Number(input?.basePrice);
+    if (!(price > 0) || !(base > 0) || price >= base) return null;
+    return {
+      kind: "promo",
+      label: String(input.label || "Promo").trim(),
+      ratio: price / base,
+      accumulable: input.accumulable !== false && isAccumulableText(input.label, input.comments),
+    };
+  }
+
+  /**
+   * Candidato de medio de pago. El total de la oferta viene calculado sobre el precio del sitio
+   * (ya con la promo de góndola), así que su ratio es relativo a ese precio.
+   */
+  function paymentCandidate(offer, sitePrice, label) {
+    const base = Number(sitePrice);
+    const total = Number(offer?.totalPrice);
+    if (!(total > 0) || !(base > 0) || total >= base - 0.005) return null;
+    return {
+      kind: "payment",
+      label: label || offer.issuerLabel || "Medio de pago",
+      ratio: total / base,
+      accumulable: isAccumulableText(offer.comments),
+      offer,
+    };
+  }
+
+  /** Una combinación es válida si tiene a lo sumo un pago y, con más de un descuento, todos son acumulables. */
+  function isValidCombination(combo) {
+    if (combo.filter((c) => c.kind === "payment").length > 1) return false;
+    return combo.length < 2 || combo.every((c) => c.accumulable);
+  }
+
+  /**
+   * Evalúa todas las combinaciones permitidas y devuelve la de menor precio.
+   * A igual precio gana la que aplica menos descuentos.
+   * @param {number} regularPrice
+   * @param {object[]} candidates — promoCandidate / paymentCandidate
+   * @returns {{ price: number, ratio: number, applied: object[], blocked: object[], explanation: string }}
+   *   blocked = candidatos que quedaron afuera por reglas de no acumulación con los aplicados.
+   */
+  function resolveDiscounts(regularPrice, candidates) {
+    const list = (candidates || []).filter((c) => c && c.ratio > 0 && c.ratio < 1).slice(0, MAX_CANDIDATES);
+
+    let bestCombo = [];
+    let bestRatio = 1;
+    for (let mask = 1; mask < (1 << list.length); mask++) {
+      const combo = list.filter((_, i) => mask & (1 << i));
+      if (!isValidCombination(combo)) continue;
+      const ratio = combo.reduce((acc, c) => acc * c.ratio, 1);
+      if (ratio < bestRatio - 1e-9 || (Math.abs(ratio - bestRatio) <= 1e-9 && combo.length < bestCombo.length)) {
+        bestRatio = ratio;
+        bestCombo = combo;
+      }
+    }
+
+    const hasPayment = bestCombo.some((c) => c.kind === "payment");
+    const blocked = list.filter((c) =>
+      !bestCombo.includes(c) &&
+      !(c.kind === "payment" && hasPayment) && // otra tarjeta: alternativa, no "no acumulable"
+      !isValidCombination([...bestCombo, c])
+    );
+    const resolution = {
+      price: Number(regularPrice) * bestRatio,
+      ratio: bestRatio,
+      applied: bestCombo,
+      blocked,
+    };
+    resolution.explanation = describeResolution(resolution);
+    return resolution;
+  }
+
+  /**
+   * Precio efectivo de un producto: único motor para badges (cards) y priceUtils (API, Vista, revista).
+   * Promo de góndola (candidatos del registro, o uno armado con el precio de góndola) + ofertas de pago,
+   * y para promos por cantidad también lo que se paga comprando 1 (la tarjeta sola).
+   * @param {{ regularPrice: number, shelfPrice: number, promoInfo?: object, discountCandidates?: object[], paymentOffers?: object[] }} input
+   *   shelfPrice: precio de góndola (promo mostrada o inferida; sin promo, el regular).
+   *   paymentOffers: solo las habilitadas por las tarjetas del usuario (paymentOffers.eligibleOffers).
+   * @returns {{ resolution: object, price: number, paymentOffer: object|null, takeQty: number|null,
+   *   singleRatio: number, singlePaymentOffer: object|null }} sin precio regular, ningún descuento aplicado
+   */
+  function resolveEffectivePrice({ regularPrice, shelfPrice, promoInfo, discountCandidates, paymentOffers }) {
+    if (!(regularPrice > 0)) {
+      return {
+        resolution: resolveDiscounts(regularPrice, []),
+        price: regularPrice,
+        paymentOffer: null,
+        takeQty: null,
+        singleRatio: 1,
+        singlePaymentOffer: null,
+      };
+    }
+
+    const shelf = shelfPrice > 0 && shelfPrice < regularPrice ? shelfPrice : regularPrice;
+    const shelfCandidates = discountCandidates?.length
+      ? discountCandidates
+      : [promoCandidate({
+        label: promoInfo?.best?.text || "Precio promo",
+        price: shelf,
+        basePrice: regularPrice,
+        accumulable: promoInfo?.accumulable,
+      })];
+    const paymentCandidates = (paymentOffers || []).map((offer) => paymentCandidate(offer, shelf));
+    const resolution = resolveDiscounts(regularPrice, [...shelfCandidates, ...paymentCandidates]);
+
+    // Promo por cantidad (2x1, 2da al 70%, Llevando N): el precio con promo solo vale llevando N.
+    // Si la tarjeta le ganó a una promo no acumulable, no hay promo aplicada ni "llevando N".
+    const promoApplied = resolution.applied.some((c) => c.kind === "promo");
+    const takeQty = promoApplied && promoInfo?.best?.minQty > 1 ? promoInfo.best.minQty : null;
+    const single = takeQty ? resolveDiscounts(regularPrice, paymentCandidates) : null;
+
+    return {
+      resolution,
+      price: resolution.applied.length ? resolution.price : shelf,
+      paymentOffer: resolution.applied.find((c) => c.kind === "payment")?.offer || null,
+      takeQty,
+      singleRatio: single ? single.ratio : 1,
+      singlePaymentOffer: single?.applied[0]?.offer || null,
+    };
+  }
+
+  /** "2x1 (-50%) + Galicia (-10%) · no acumulable: 25% dto" */
+  function describeResolution(resolution) {
+    const applied = (resolution?.applied || [])
+      .map((c) => `${c.label} (-${Math.round((1 - c.ratio) * 100)}%)`)
+      .join(" + ");
+    if (!applied) return "";
+    const blocked = (resolution.blocked || []).map((c) => c.label).join(", ");
+    return blocked ? `${applied} · no acumulable: ${blocked}` : applied;
+  }
+
+  return {
+    isAccumulableText,
+    promoCandidate,
+    paymentCandidate,
+    resolveDiscounts,
+    resolveEffectivePrice,
+    describeResolution,
+  };
+})();
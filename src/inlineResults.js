@@ -0,0 +1,332 @@
+// inlineResults.js — "Ordenar todo": categoría completa ordenada y renderizada dentro de la página de Coto
+window.CotoSorter = window.CotoSorter || {};
+
+window.CotoSorter.inlineResults = (function () {
+  "use strict";
+
+  const { debugLog } = window.CotoSorter.logger;
+  const { formatPrice, comparableUnit, detectUnitTypeFromProduct } = window.CotoSorter.utils;
+  const { parseMoneyLoose, resolveDisplayPrices, sortUnitPriceValue } = window.CotoSorter.priceUtils;
+  const { parsePaperRolls, paperUnitPrices, parseMultipack, innerUnitPrice } = window.CotoSorter.sizeParser;
+  const { pickPromoLabel, resolveBrand } = window.CotoSorter.promoUtils;
+  const { getSetting, getUnitCompareOptions } = window.CotoSorter.settings;
+  const { eligibleOffers } = window.CotoSorter.paymentOffers;
+  const { injectBadgeOnProduct } = window.CotoSorter.badges;
+  const { scrapeAllPages } = window.CotoSorter.api;
+  const { filterByStore, withScrapeNote, reportFlowError } = window.CotoSorter.revista;
+  const { toSortSpec, isGeneralCriterion, criterionValue, sortBySpec } = window.CotoSorter.sortCriteria;
+
+  const BATCH_SIZE = 48;
+  const ROOT_CLASS = "coto-sorter-inline-results";
+  const HIDDEN_CLASS = "coto-sorter-inline-hidden";
+
+  /** Texto "Precio por ..." del sitio por tipo interno (lo lee badges.extractProductData). */
+  const SITE_UNIT_TEXT = {
+    weight: "1 Kilo",
+    drained: "1 Kilo escurrido",
+    volume: "1 Litro",
+    "100g": "100 Gramos",
+    square: "1 Cuadrado",
+    unit: "1 Unidad",
+  };
+
+  let products = null;      // categoría completa en orden de API
+  let ordered = [];         // orden actual (global)
+  let renderedCount = 0;
+  let rootEl = null;
+  let gridEl = null;
+  let sentinelEl = null;
+  let summaryEl = null;
+  let intersection = null;
+  let exitListener = null;
+  let sortedWith = null;    // sortInputsKey() con la que se ordenó `ordered` (null = orden de API)
+
+  function isActive() { return !!products; }
+
+  /** Preferencias que cambian los valores de orden: tarjetas (precio con medio de pago), escala de unidades y base de promos. */
+  function sortInputsKey() {
+    return JSON.stringify([getSetting("paymentCards"), getUnitCompareOptions(), getSetting("promoSortBasis")]);
+  }
+
+  /**
+   * True si el orden actual se calculó con otras preferencias. Watchlist y catálogo no cambian el orden
+   * (los productos son los de la API): ahí alcanza con re-pintar badges sin volver al primer lote.
+   */
+  function isSortStale() {
+    return !!products && sortedWith !== null && sortedWith !== sortInputsKey();
+  }
+
+  /** Precio que se paga en góndola (promo de API o regular). */
+  function primaryPrice(resolved) {
+    return resolved.hasDiscount
+      ? parseMoneyLoose(resolved.promoPriceText)
+      : parseMoneyLoose(resolved.regularPriceText);
+  }
+
+  /**
+   * Valor de orden de un producto de API para la clave (NaN/"" = no aplica, va al final).
+   * Misma semántica que sorter.sortValue sobre los cards: $/X efectivo en escala común,
+   * papel por metro, multipacks por unidad interna y criterios generales (descuento, ahorro, precio, nombre, marca).
+   */
+  function productSortValue(product, filterType, targetType) {
+    const resolved = resolveDisplayPrices(product, eligibleOffers(product.paymentOffers));
+    const price = primaryPrice(resolved);
+
+    if (isGeneralCriterion(filterType)) {
+      return criterionValue({
+        regularPrice: parseMoneyLoose(resolved.regularPriceText),
+        paidPrice: price,
+        name: product.name,
+        brand: resolveBrand(product),
+      }, filterType);
+    }
+
+    if (filterType === "paperMeter" || filterType === "paperPly") {
+      const prices = paperUnitPrices(price, parsePaperRolls(product.name));
+      if (!prices) return NaN;
+      return filterType === "paperMeter" ? prices.perMeter : prices.perSinglePlyMeter;
+    }
+    if (filterType === "innerUnit") {
+      return innerUnitPrice(price, parseMultipack(product.name, product.unitOfMeasure, product.formatQuantity));
+    }
+
+    const comparable = comparableUnit(detectUnitTypeFromProduct(product), getUnitCompareOptions());
+    if (comparable.unitType !== targetType) return NaN;
+    const unitPrice = sortUnitPriceValue(resolved, getSetting("promoSortBasis"));
+    return unitPrice > 0 ? unitPrice * comparable.factor : NaN;
+  }
+
+  /** Card propio con la estructura que leen badges (h4 precio, small "Precio por", cucarda). */
+  function buildCard(product) {
+    const resolved = resolveDisplayPrices(product, eligibleOffers(product.paymentOffers));
+    const regular = parseMoneyLoose(resolved.regularPriceText);
+    const shelf = Number(product.promoPriceRaw);
+    const hasShelfPromo = shelf > 0 && regular > 0 && shelf < regular;
+
+    const wrapper = document.createElement("div");
+    wrapper.className = "producto-card coto-sorter-inline-card";
+
+    const card = document.createElement("div");
+    card.className = "card-container";
+    if (regular > 0) card.setAttribute("data-cnstrc-item-price", String(regular));
+    if (product.sku) card.setAttribute("data-cnstrc-item-id", product.sku);
+    if (product.name) card.setAttribute("data-cnstrc-item-name", product.name);
+
+    const link = document.createElement(product.href ? "a" : "div");
+    link.className = "coto-sorter-inline-link";
+    if (product.href) link.href = product.href;
+
+    const imgBox = document.createElement("div");
+    imgBox.className = "coto-sorter-inline-img";
+    if (product.imgSrc) {
+      const img = document.createElement("img");
+      img.loading = "lazy";
+      img.alt = "";
+      img.src = product.imgSrc;
+      imgBox.appendChild(img);
+    }
+
+    const name = document.createElement("h3");
+    name.className = "nombre-producto";
+    name.textContent = product.name || "Producto";
+
+    link.append(imgBox, name);
+    card.appendChild(link);
+
+    const promoLabel = pickPromoLabel(product);
+    if (promoLabel) {
+      const promo = document.createElement("span");
+      promo.className = "cucarda-promo";
+      promo.textContent = promoLabel;
+      card.appendChild(promo);
+    }
+
+    const price = document.createElement("h4");
+    price.className = "card-title";
+    price.textContent = formatPrice(hasShelfPromo ? shelf : regular);
+    card.appendChild(price);
+
+    if (hasShelfPromo) {
+      const regularEl = document.createElement("small");
+      regularEl.textContent = `Precio Regular: ${formatPrice(regular)}`;
+      card.appendChild(regularEl);
+    }
+
+    const unitText = SITE_UNIT_TEXT[product.unitType];
+    const listedUnit = Number(product.referencePrice);
+    if (unitText && listedUnit > 0) {
+      const unitEl = document.createElement("small");
+      unitEl.textContent = `Precio por ${unitText} : ${formatPrice(listedUnit)}`;
+      card.appendChild(unitEl);
+    }
+
+    wrapper.appendChild(card);
+    return wrapper;
+  }
+
+  /** Agrega el siguiente lote de cards (con badges) al grid. */
+  function renderNextBatch() {
+    if (!gridEl || renderedCount >= ordered.length) return;
+    const batch = ordered.slice(renderedCount, renderedCount + BATCH_SIZE);
+    const fragment = document.createDocumentFragment();
+    const wrappers = batch.map(buildCard);
+    wrappers.forEach((w) => fragment.appendChild(w));
+    gridEl.appendChild(fragment);
+    wrappers.forEach(injectBadgeOnProduct);
+    renderedCount += batch.length;
+
+    if (renderedCount >= ordered.length) {
+      sentinelEl.hidden = true;
+    } else if (intersection) {
+      // Re-observar: si el sentinel sigue visible tras el lote, el observer vuelve a avisar.
+      intersection.unobserve(sentinelEl);
+      intersection.observe(sentinelEl);
+    }
+    debugLog(`[Inline] Rendered ${renderedCount}/${ordered.length}`);
+  }
+
+  /** Vacía el grid y vuelve a renderizar desde el primer lote (lazy loading por scroll). */
+  function rerender() {
+    gridEl.textContent = "";
+    renderedCount = 0;
+    sentinelEl.hidden = false;
+    renderNextBatch();
+    if (!intersection) {
+      // Sin IntersectionObserver: todo de una vez.
+      while (renderedCount < ordered.length) renderNextBatch();
+    }
+  }
+
+  function updateSummary(filterLabel) {
+    if (!summaryEl) return;
+    summaryEl.textContent = `${ordered.length} productos de la categoría completa` +
+      (filterLabel ? ` · ordenados por ${filterLabel}` : " · orden del sitio");
+  }
+
+  function buildRoot(siteContainer, note) {
+    rootEl = document.createElement("div");
+    rootEl.className = ROOT_CLASS;
+
+    const header = document.createElement("div");
+    header.className = "coto-sorter-inline-header";
+    summaryEl = document.createElement("span");
+    const exitBtn = document.createElement("button");
+    exitBtn.type = "button";
+    exitBtn.className = "coto-sorter-btn";
+    exitBtn.textContent = "Volver a la página";
+    exitBtn.addEventListener("click", () => exitInline());
+    header.append(summaryEl, exitBtn);
+    if (note) {
+      const noteEl = document.createElement("small");
+      noteEl.textContent = note;
+      header.appendChild(noteEl);
+    }
+
+    gridEl = document.createElement("div");
+    gridEl.className = "productos row coto-sorter-inline-grid";
+
+    sentinelEl = document.createElement("div");
+    sentinelEl.className = "coto-sorter-inline-sentinel";
+    sentinelEl.textContent = "Cargando más productos...";
+
+    rootEl.append(header, gridEl, sentinelEl);
+    siteContainer.parentNode.insertBefore(rootEl, siteContainer.nextSibling);
+    siteContainer.classList.add(HIDDEN_CLASS);
+
+    if ("IntersectionObserver" in window) {
+      intersection = new IntersectionObserver((entries) => {
+        if (entries.some((e) => e.isIntersecting)) renderNextBatch();
+      }, { rootMargin: "800px 0px" });
+      intersection.observe(sentinelEl);
+    }
+  }
+
+  /**
+   * Trae la categoría completa con scrapeAllPages y la muestra dentro de la página
+   * en lugar de los cards del sitio. Ordenar/Reset operan sobre la lista completa.
+   * @param {function(string|null, number)} updateProgressFn
+   * @param {AbortSignal} [signal] — botón Cancelar del panel
+   * @returns {Promise<boolean>} false si no hubo productos, falló o se canceló
+   */
+  async function enterInline(updateProgressFn, signal) {
+    const siteContainer = document.querySelector(".productos.row");
+    if (!siteContainer) {
+      debugLog("ERROR: Product container .productos.row not found");
+      return false;
+    }
+
+    try {
+      updateProgressFn("Consultando API de COTO...", 5);
+      const all = await scrapeAllPages((loaded, total) => {
+        const pct = total > 0 ? Math.min((loaded / total) * 90, 90) : 10;
+        updateProgressFn(total > 0 ? `Obteniendo productos (${loaded}/${total})...` : "Obteniendo productos...", pct);
+      }, { signal });
+      if (!all.length) {
+        updateProgressFn(null, 0);
+        alert("No se encontraron productos en esta página.");
+        return false;
+      }
+
+      const { products: available, storeNote } = filterByStore(all);
+      if (rootEl) exitInline();
+      products = available;
+      ordered = products.slice();
+      sortedWith = null;
+      buildRoot(siteContainer, withScrapeNote(storeNote));
+      updateSummary(null);
+      rerender();
+
+      updateProgressFn(withScrapeNote(`✓ ${products.length} productos cargados`, all), 100);
+      setTimeout(() => updateProgressFn(null, 0), 3000);
+      return true;
+    } catch (err) {
+      reportFlowError(err, "Inline results", updateProgressFn);
+      return false;
+    }
+  }
+
+  /**
+   * Ordena la categoría completa (estable: empates y sin valor conservan el orden del sitio).
+   * @param {object|string|null} filterType — spec { key, dir, tieKey } o clave; null restablece el orden de API
+   * @param {string} [filterLabel]
+   */
+  function sortInline(filterType, filterLabel) {
+    if (!products) return;
+    const spec = toSortSpec(filterType);
+    sortedWith = spec ? sortInputsKey() : null;
+    if (!spec) {
+      ordered = products.slice();
+    } else {
+      const targetTypes = {};
+      ordered = sortBySpec(products, spec, (product, key) => {
+        if (!(key in targetTypes)) targetTypes[key] = comparableUnit(key, getUnitCompareOptions()).unitType;
+        return productSortValue(product, key, targetTypes[key]);
+      });
+      debugLog(`[Inline] Sorted ${ordered.length} products by ${filterLabel || spec.key}`);
+    }
+    updateSummary(filterLabel);
+    rerender();
+  }
+
+  /** Quita los resultados propios y vuelve a mostrar los cards del sitio. */
+  function exitInline() {
+    if (intersection) intersection.disconnect();
+    intersection = null;
+    if (rootEl) rootEl.remove();
+    document.querySelectorAll("." + HIDDEN_CLASS).forEach((el) => el.classList.remove(HIDDEN_CLASS));
+    rootEl = gridEl = sentinelEl = summaryEl = null;
+    products = null;
+    ordered = [];
+    renderedCount = 0;
+    sortedWith = null;
+    if (exitListener) exitListener();
+    debugLog("[Inline] Back to site results");
+  }
+
+  /** Callback al salir del modo (el panel actualiza sus botones). */
+  function onInlineExit(fn) {
+    exitListener = fn;
+  }
+
+  return { isActive, isSortStale, enterInline, sortInline, exitInline, onInlineExit, productSortValue };
+})();
@@ -0,0 +1,120 @@
+// paymentOffers.js — Descuentos por medio de pago (BFF discounts_payment_methods) y cuotas
+window.CotoSorter = window.CotoSorter || {};
+
+window.CotoSorter.paymentOffers = (function () {
+  "use strict";
+
+  const { formatPrice } = window.CotoSorter.utils;
+  const { parseMoneyLoose } = window.CotoSorter.priceUtils;
+  const { getSetting } = window.CotoSorter.settings;
+  const { parsePromoText } = window.CotoSorter.promoParser;
+
+  // Emisores/bancos reconocidos en imagenDescuento/comentarios. "todas" va último:
+  // aplica a cualquiera que haya declarado al menos una tarjeta.
+  const PAYMENT_ISSUERS = [
+    { key: "comunidad-coto", label: "Tarjeta Comunidad Coto", pattern: /comunidad|tarjeta[-_\s]?coto|tcoto/i },
+    { key: "visa", label: "Visa", pattern: /visa/i },
+    { key: "mastercard", label: "Mastercard", pattern: /master/i },
+    { key: "amex", label: "American Express", pattern: /amex|american/i },
+    { key: "cabal", label: "Cabal", pattern: /cabal/i },
+    { key: "naranja", label: "Naranja X", pattern: /naranja/i },
+    { key: "galicia", label: "Banco Galicia", pattern: /galicia/i },
+    { key: "santander", label: "Santander", pattern: /santander/i },
+    { key: "bbva", label: "BBVA", pattern: /bbva|frances/i },
+    { key: "macro", label: "Banco Macro", pattern: /macro/i },
+    { key: "nacion", label: "Banco Nación", pattern: /naci[oó]n|\bbna\b/i },
+    { key: "provincia", label: "Banco Provincia / Cuenta DNI", pattern: /provincia|bapro|cuenta[-_\s]?dni/i },
+    { key: "icbc", label: "ICBC", pattern: /icbc/i },
+    { key: "credicoop", label: "Credicoop", pattern: /credicoop/i },
+    { key: "mercadopago", label: "Mercado Pago", pattern: /mercado[-_\s]?pago/i },
+    { key: "modo", label: "MODO", pattern: /\bmodo\b/i },
+    { key: "todas", label: "Todas las tarjetas", pattern: /todas/i },
+  ];
+
+  function detectIssuer(text) {
+    const found = PAYMENT_ISSUERS.find((issuer) => issuer.pattern.test(text || ""));
+    return found || null;
+  }
+
+  /**
+   * Ofertas por medio de pago de un registro BFF.
+   * @returns {object[]} [{ id, issuer, issuerLabel, installments, installmentPrice, totalPrice, image, comments }]
+   */
+  function parsePaymentOffers(data) {
+    const raw = Array.isArray(data?.discounts_payment_methods) ? data.discounts_payment_methods : [];
+    const offers = [];
+
+    for (const entry of raw) {
+      const installmentPrice = parseMoneyLoose(entry?.precioCuota);
+      if (!Number.isFinite(installmentPrice) || installmentPrice <= 0) continue;
+
+      const installments = Math.max(1, parseInt(entry?.cantidadCuotas, 10) || 1);
+      const image = entry?.imagenDescuento || null;
+      const comments = String(entry?.comentarios || "").trim() || null;
+      const issuer = detectIssuer(`${image || ""} ${comments || ""}`);
+
+      offers.push({
+        id: entry?.id != null ? String(entry.id) : null,
+        issuer: issuer ? issuer.key : null,
+        issuerLabel: issuer ? issuer.label : (comments || "Medio de pago"),
+        installments,
+        installmentPrice,
+        totalPrice: installmentPrice * installments,
+        image,
+        comments,
+      });
+    }
+
+    return offers;
+  }
+
+  /** Precio contado de discounts[].regularPriceText ("Precio Contado: $2999"). NaN si no está. */
+  function parseCashPrice(data) {
+    const discounts = Array.isArray(data?.discounts) ? data.discounts : [];
+    for (const dto of discounts) {
+      const { cashPrice } = parsePromoText(dto?.regularPriceText);
+      if (cashPrice) return cashPrice;
+    }
+    return NaN;
+  }
+
+  /** True si el usuario declaró una tarjeta/banco que habilita la oferta. */
+  function isOfferEligible(offer, cards) {
+    const held = cards || getSetting("paymentCards") || [];
+    if (!offer?.issuer || held.length === 0) return false;
+    return offer.issuer === "todas" || held.includes(offer.issuer);
+  }
+
+  /** Ofertas habilitadas por las tarjetas del usuario (entrada de discountResolver.resolveEffectivePrice). */
+  function eligibleOffers(offers, cards) {
+    return (offers || []).filter((offer) => isOfferEligible(offer, cards));
+  }
+
+  /** Oferta habilitada de menor total, o null. */
+  function bestPaymentOffer(offers, cards) {
+    let best = null;
+    for (const offer of offers || []) {
+      if (!isOfferEligible(offer, cards)) continue;
+      if (!best || offer.totalPrice < best.totalPrice) best = offer;
+    }
+    return best;
+  }
+
+  /** "3 cuotas de $1.000,00 ($3.000,00) · Visa" / "1 pago de $1.498,90 · Todas las tarjetas" */
+  function describeOffer(offer) {
+    const plan = offer.installments > 1
+      ? `${offer.installments} cuotas de ${formatPrice(offer.installmentPrice)} (${formatPrice(offer.totalPrice)})`
+      : `1 pago de ${formatPrice(offer.installmentPrice)}`;
+    return `${plan} · ${offer.issuerLabel}`;
+  }
+
+  return {
+    PAYMENT_ISSUERS,
+    parsePaymentOffers,
+    parseCashPrice,
+    isOfferEligible,
+    eligibleOffers,
+    bestPaymentOffer,
+    describeOffer,
+  };
+})();
@@ -0,0 +1,194 @@
+// priceHistory.js — Historial local de precios por SKU (IndexedDB de la extensión) y sparklines
+window.CotoSorter = window.CotoSorter || {};
+
+window.CotoSorter.priceHistory = (function () {
+  "use strict";
+
+  const { formatPrice, localDateKey: dateKey } = window.CotoSorter.utils;
+  const { productObservation } = window.CotoSorter.priceUtils;
+  const { debugLog } = window.CotoSorter.logger;
+  const { getRecords, putRecords } = window.CotoSorter.db;
+
+  const STORE = "priceHistory";
+  const HISTORY_MAX_DAYS = 365;
+  const LOWEST_WINDOW_DAYS = 90;
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  // Evita reescribir el mismo precio varias veces en la sesión (sort/observer re-extraen).
+  const recordedThisSession = new Map();
+
+  function daysBetween(fromKey, toKey) {
+    return Math.round((Date.parse(toKey) - Date.parse(fromKey)) / DAY_MS);
+  }
+
+  function positiveOrNull(value) {
+    const n = Number(value);
+    return Number.isFinite(n) && n > 0 ? n : null;
+  }
+
+  /** Precio final pagado en un punto: promo si existe, si no regular. */
+  function finalPriceOf(point) {
+    return positiveOrNull(point?.promoPrice) || positiveOrNull(point?.regularPrice);
+  }
+
+  /** Normaliza una observación a punto de historial. Null si no hay precio usable. */
+  function toPoint(obs) {
+    const regularPrice = positiveOrNull(obs.regularPrice);
+    const promoPrice = positiveOrNull(obs.promoPrice);
+    if (!regularPrice && !promoPrice) return null;
+    return {
+      date: dateKey(),
+      regularPrice,
+      promoPrice: promoPrice && (!regularPrice || promoPrice < regularPrice) ? promoPrice : null,
+      unitPrice: positiveOrNull(obs.unitPrice),
+      unitType: obs.unitType || null,
+    };
+  }
+
+  function mergePoint(sku, current, name, point) {
+    const cutoff = dateKey(new Date(Date.now() - HISTORY_MAX_DAYS * DAY_MS));
+    const points = (current?.points || []).filter((p) => p.date !== point.date && p.date >= cutoff);
+    points.push(point);
+    points.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+    return { sku, name: name || current?.name || null, points };
+  }
+
+  /**
+   * Registra observaciones {sku, name, regularPrice, promoPrice, unitPrice, unitType}.
+   * Reemplaza el punto del día si ya existía. Nunca rechaza: errores van al debug log.
+   */
+  async function recordObservations(observations) {
+    const pending = new Map();
+
+    for (const obs of observations) {
+      if (!obs?.sku) continue;
+      const point = toPoint(obs);
+      if (!point) continue;
+
+      const signature = [point.date, point.regularPrice, point.promoPrice, point.unitPrice].join("|");
+      if (recordedThisSession.get(obs.sku) === signature) continue;
+      recordedThisSession.set(obs.sku, signature);
+      pending.set(obs.sku, { name: obs.name, point });
+    }
+
+    if (pending.size === 0) return;
+
+    try {
+      const current = await getRecords(STORE, Array.from(pending.keys()));
+      await putRecords(STORE, Array.from(pending, ([sku, { name, point }]) => mergePoint(sku, current.get(sku), name, point)));
+      debugLog(`[PriceHistory] Recorded ${pending.size} price points`);
+    } catch (err) {
+      for (const sku of pending.keys()) recordedThisSession.delete(sku);
+      debugLog("[PriceHistory] Could not record prices:", err?.message || err);
+    }
+  }
+
+  /** Registra una única observación (ver recordObservations). */
+  function recordObservation(observation) {
+    return recordObservations([observation]);
+  }
+
+  /** Registra productos normalizados de API (scrapeAllPages). */
+  function recordProducts(products) {
+    return recordObservations((products || []).map(productObservation));
+  }
+
+  /** Devuelve { [sku]: points[] } para los SKUs con historial. Vacío si IndexedDB falla. */
+  async function getHistories(skus) {
+    const result = {};
+    try {
+      const records = await getRecords(STORE, (skus || []).filter(Boolean));
+      for (const [sku, record] of records) result[sku] = record.points || [];
+    } catch (err) {
+      debugLog("[PriceHistory] Could not read history:", err?.message || err);
+    }
+    return result;
+  }
+
+  /** Devuelve los puntos de un SKU ([] si no hay). */
+  async function getHistory(sku) {
+    if (!sku) return [];
+    const histories = await getHistories([sku]);
+    return histories[sku] || [];
+  }
+
+  /**
+   * Resume el historial de los últimos 90 días frente al precio actual.
+   * @returns {{lowest:number, lowestDate:string, isLowest:boolean, days:number}|null}
+   */
+  function summarizeHistory(points, currentPrice) {
+    const today = dateKey();
+    const recent = (points || []).filter((p) => daysBetween(p.date, today) <= LOWEST_WINDOW_DAYS);
+    let lowest = null;
+
+    for (const point of recent) {
+      const price = finalPriceOf(point);
+      if (price && (!lowest || price < lowest.price)) lowest = { price, date: point.date };
+    }
+
+    if (!lowest) return null;
+
+    const current = positiveOrNull(currentPrice);
+    return {
+      lowest: lowest.price,
+      lowestDate: lowest.date,
+      isLowest: !!current && current <= lowest.price * 1.001,
+      days: recent.length ? daysBetween(recent[0].date, today) : 0,
+    };
+  }
+
+  /** Texto corto para tooltip/card: "Precio más bajo en 90 días" o "Mín. 90 días: $X (dd/mm)". */
+  function describeHistory(summary) {
+    if (!summary) return "";
+    if (summary.days < 1) return "Primer registro de este precio";
+    if (summary.isLowest) return `Precio más bajo en ${LOWEST_WINDOW_DAYS} días`;
+    const [, mm, dd] = summary.lowestDate.split("-");
+    return `Mín. ${LOWEST_WINDOW_DAYS} días: ${formatPrice(summary.lowest)} (${dd}/${mm})`;
+  }
+
+  /** SVG inline con la evolución del precio final. "" si hay menos de 2 puntos. */
+  function buildSparklineSVG(points, width = 120, height = 28) {
+    const series = (points || [])
+      .map((p) => ({ date: p.date, price: finalPriceOf(p) }))
+      .filter((p) => p.price);
+    if (series.length < 2) return "";
+
+    const pad = 3;
+    const firstDate = series[0].date;
+    const spanDays = Math.max(1, daysBetween(firstDate, series[series.length - 1].date));
+    const prices = series.map((p) => p.price);
+    const min = Math.min(...prices);
+    const max = Math.max(...prices);
+    const range = max - min || 1;
+
+    const coords = series.map((p) => {
+      const x = pad + (daysBetween(firstDate, p.date) / spanDays) * (width - pad * 2);
+      const y = max === min
+        ? height / 2
+        : pad + (1 - (p.price - min) / range) * (height - pad * 2);
+      return [x.toFixed(1), y.toFixed(1)];
+    });
+
+    const last = coords[coords.length - 1];
+    const lowIdx = prices.indexOf(min);
+    const low = coords[lowIdx];
+
+    return `<svg class="coto-sorter-sparkline" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" aria-hidden="true">` +
+      `<polyline fill="none" stroke="currentColor" stroke-width="1.5" points="${coords.map((c) => c.join(",")).join(" ")}"/>` +
+      `<circle cx="${low[0]}" cy="${low[1]}" r="2.2" fill="#1f9866"/>` +
+      `<circle cx="${last[0]}" cy="${last[1]}" r="2.2" fill="currentColor"/>` +
+      `</svg>`;
+  }
+
+  return {
+    finalPriceOf,
+    recordObservation,
+    recordObservations,
+    recordProducts,
+    getHistory,
+    getHistories,
+    summarizeHistory,
+    describeHistory,
+    buildSparklineSVG,
+  };
+})();
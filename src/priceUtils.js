@@ -4,8 +4,11 @@ window.CotoSorter = window.CotoSorter || {};
 window.CotoSorter.priceUtils = (function () {
   "use strict";
 
-  const { formatPrice, unitLabel } = window.CotoSorter.utils;
-  const { collectPromoText, getMeaningfulPromoTokens } = window.CotoSorter.promoUtils;
+  const { formatPrice, unitLabel, detectUnitTypeFromProduct } = window.CotoSorter.utils;
+  const { checkListedUnitPrice } = window.CotoSorter.sizeParser;
+  const { getMeaningfulPromoTokens } = window.CotoSorter.promoUtils;
+  const { parseProductPromos } = window.CotoSorter.promoParser;
+  const { resolveEffectivePrice } = window.CotoSorter.discountResolver;
 
   function parseMoneyLoose(value) {
     if (value == null) return NaN;
@@ -56,40 +59,18 @@ window.CotoSorter.priceUtils = (function () {
     };
   }
 
-  function inferPromoRatio(product) {
-    const text = collectPromoText(product);
-    if (!text) return null;
-
-    const nxmRegex = /(\d+)\s*x\s*(\d+)/g;
-    let nxmMatch;
-    while ((nxmMatch = nxmRegex.exec(text)) !== null) {
-      const units = parseInt(nxmMatch[1], 10);
-      const pay = parseInt(nxmMatch[2], 10);
-      if (Number.isFinite(units) && Number.isFinite(pay) && units > 0 && pay > 0 && pay < units) {
-        return pay / units;
-      }
-    }
-
-    const secondUnit = text.match(/(?:segunda|2da)\s+unidad[^\d]*(\d{1,3})\s*%/i);
-    if (secondUnit) {
-      const pct = parseFloat(secondUnit[1]);
-      if (Number.isFinite(pct) && pct > 0 && pct < 100) {
-        const hasDiscountWord = /\b(dto|descuento|off)\b/i.test(text);
-        const secondUnitRatio = hasDiscountWord ? (1 - pct / 100) : (pct / 100);
-        const effective = (1 + secondUnitRatio) / 2;
-        if (effective > 0 && effective < 1) return effective;
-      }
-    }
-
-    return null;
-  }
-
-  function resolveDisplayPrices(product) {
+  /**
+   * Precios para mostrar de un producto normalizado (Vista Ligera, revista, "Ordenar todo").
+   * @param {object} product
+   * @param {object[]} [paymentOffers] — ofertas de pago habilitadas del producto (paymentOffers.eligibleOffers)
+   */
+  function resolveDisplayPrices(product, paymentOffers) {
     const regularPrice = parseMoneyLoose(product?.priceText);
     const promoFromRaw = parseMoneyLoose(product?.promoPriceRaw);
     const promoFromDiscountedText = parseMoneyLoose(product?.discountedPriceText);
     const unitParsed = parseUnitPrice(product?.unitPriceText);
     const hasPromoEvidence = getMeaningfulPromoTokens(product).length > 0;
+    const promoInfo = parseProductPromos(product);
 
     let promoPrice = NaN;
     if (hasPromoEvidence) {
@@ -105,12 +86,22 @@ window.CotoSorter.priceUtils = (function () {
     }
 
     if (hasPromoEvidence && !Number.isFinite(promoPrice) && Number.isFinite(regularPrice) && regularPrice > 0) {
-      const inferredRatio = inferPromoRatio(product);
-      if (Number.isFinite(inferredRatio) && inferredRatio > 0 && inferredRatio < 1) {
-        promoPrice = regularPrice * inferredRatio;
-      }
+      // Sin precio promo explícito: ratio de la mejor promo parseada ("3x2", "2do al 70%", ...).
+      if (promoInfo.best) promoPrice = regularPrice * promoInfo.best.ratio;
     }
 
+    // Mejor combinación de promos de góndola y tarjetas del usuario respetando "No acumulable".
+    const effective = resolveEffectivePrice({
+      regularPrice,
+      shelfPrice: promoPrice,
+      promoInfo,
+      discountCandidates: product?.discountCandidates,
+      paymentOffers,
+    });
+    const discountResolution = effective.resolution;
+    const paymentOffer = effective.paymentOffer;
+    if (discountResolution.applied.length) promoPrice = effective.price;
+
     const hasDiscount =
       Number.isFinite(regularPrice) && regularPrice > 0 &&
       Number.isFinite(promoPrice) && promoPrice > 0 && promoPrice < regularPrice;
@@ -127,10 +118,35 @@ window.CotoSorter.priceUtils = (function () {
       ? ((promoPrice * unitBase) / regularPrice)
       : (Number.isFinite(unitBase) ? unitBase : NaN);
 
+    // Promo por cantidad: "llevando N" con la promo, "comprando 1" solo con la tarjeta (resolveEffectivePrice).
+    const takeQty = hasDiscount ? effective.takeQty : null;
+    const singleUnitPriceValue = takeQty && Number.isFinite(unitBase) ? unitBase * effective.singleRatio : NaN;
+
+    // Control del $/X del sitio contra el tamaño del nombre (ambos sobre precio regular).
+    const listedUnitPrice = Number(product?.referencePrice) > 0 ? Number(product.referencePrice) : unitBase;
+    const unitCheck = checkListedUnitPrice({
+      name: product?.name,
+      unitType: detectUnitTypeFromProduct(product || {}),
+      price: regularPrice,
+      listedUnitPrice,
+      formatQuantity: product?.formatQuantity,
+    });
+    // Estimado propio en la misma base que el $/X mostrado (con promo si aplica).
+    const unitEstimate = unitCheck
+      ? unitCheck.estimate * (hasDiscount ? promoPrice / regularPrice : 1)
+      : NaN;
+
     const regularPriceText = Number.isFinite(regularPrice) ? formatPrice(regularPrice) : (product?.priceText || "");
     const promoPriceText = hasDiscount ? formatPrice(promoPrice) : null;
+    const unitText = unitParsed.label || unitLabel(product?.unitType) || "u";
     const unitPriceText = Number.isFinite(unitPriceResolved) && unitPriceResolved > 0
-      ? `$/` + (unitParsed.label || unitLabel(product?.unitType) || "u") + `: ${formatPrice(unitPriceResolved)}`
+      ? `$/${unitText}: ${formatPrice(unitPriceResolved)}`
+      : "";
+    const singleUnitPriceText = Number.isFinite(singleUnitPriceValue) && unitPriceText
+      ? `$/${unitText} comprando 1: ${formatPrice(singleUnitPriceValue)}`
+      : "";
+    const takeUnitPriceText = singleUnitPriceText
+      ? `$/${unitText} llevando ${takeQty}: ${formatPrice(unitPriceResolved)}`
       : "";
 
     return {
@@ -139,6 +155,42 @@ window.CotoSorter.priceUtils = (function () {
       promoPriceText,
       unitPriceText,
       unitPriceValue: Number.isFinite(unitPriceResolved) && unitPriceResolved > 0 ? unitPriceResolved : NaN,
+      takeQty,
+      singleUnitPriceValue,
+      singleUnitPriceText,
+      takeUnitPriceText,
+      paymentOffer,
+      unitCheck,
+      unitEstimate,
+      promoInfo,
+      discountExplanation: discountResolution.explanation,
+    };
+  }
+
+  /**
+   * $/X con el que se ordena según `settings.promoSortBasis`:
+   * "single" usa el precio comprando 1 cuando la promo exige llevar más de una unidad.
+   */
+  function sortUnitPriceValue(resolved, basis) {
+    if (basis === "single" && Number.isFinite(resolved?.singleUnitPriceValue)) return resolved.singleUnitPriceValue;
+    return resolved?.unitPriceValue;
+  }
+
+  /**
+   * Convierte un producto normalizado de API en observación de precio
+   * {sku, name, href, imgSrc, regularPrice, promoPrice, unitPrice, unitType}.
+   */
+  function productObservation(product) {
+    const hasDiscount = Number(product?.discountRatio) < 0.999;
+    return {
+      sku: product?.sku,
+      name: product?.name,
+      href: product?.href || null,
+      imgSrc: product?.imgSrc || null,
+      regularPrice: product?.activePrice,
+      promoPrice: hasDiscount ? product?.promoPriceRaw : null,
+      unitPrice: product?.adjustedReferencePrice || product?.referencePrice,
+      unitType: product?.unitType,
     };
   }
 
@@ -146,5 +198,7 @@ window.CotoSorter.priceUtils = (function () {
     parseMoneyLoose,
     parseUnitPrice,
     resolveDisplayPrices,
+    sortUnitPriceValue,
+    productObservation,
   };
 })();
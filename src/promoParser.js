@@ -0,0 +1,217 @@
+// promoParser.js — Textos de promo ("3x2", "2do al 70%", "Llevando 3 25% dto") → objetos estructurados
+window.CotoSorter = window.CotoSorter || {};
+
+window.CotoSorter.promoParser = (function () {
+  "use strict";
+
+  const { formatPrice } = window.CotoSorter.utils;
+
+  /**
+   * Promo: { type, text, minQty, ratio, maxUnits, accumulable, price? }
+   *   type: "nxm" | "nthUnit" | "volumePercent" | "percent" | "cash"
+   *   ratio: precio efectivo / precio regular comprando minQty (null en "cash").
+   */
+
+  // Ordinal de unidad: "2da", "2do", "2°", "segunda", "tercer", ...
+  const ORDINAL = "(?:(\\d+)\\s*(?:da|do|ra|ro|er|ta|to|°|º|a|o)?|(segund|tercer|cuart)[ao]?)";
+  const ORDINAL_WORDS = { segund: 2, tercer: 3, cuart: 4 };
+
+  const NXM_REGEX = /(\d+)\s*x\s*(\d+)/;
+  // "2do al 70%", "2da unidad al 50%": la unidad N se paga al X%.
+  const NTH_PAY_REGEX = new RegExp(`${ORDINAL}\\s*(?:unidad|u\\.?)?\\s*al\\s*(\\d{1,3})\\s*%`);
+  // "70% en la 2da unidad", "70% dto 2da unidad": la unidad N tiene X% de descuento.
+  const NTH_OFF_REGEX = new RegExp(`(\\d{1,3})\\s*%\\s*(?:off|dto\\.?|de\\s+descuento|descuento)?\\s*(?:en\\s*)?(?:la\\s*)?${ORDINAL}\\s*(?:unidad|u\\b)`);
+  // "segunda unidad 70%" / "2da unidad 70% dto" (formato viejo; sin "dto" se toma como precio al X%).
+  const NTH_LOOSE_REGEX = new RegExp(`${ORDINAL}\\s*unidad[^\\d]*(\\d{1,3})\\s*%`);
+  const VOLUME_REGEX = /llevando\s*(\d+)\D{0,20}?(\d{1,3})\s*%/;
+  const PERCENT_REGEX = /(\d{1,3})\s*%\s*(?:off|dto\.?|de\s+descuento|descuento)/;
+  const TAKING_REGEX = /^llevando\s*(\d+)(?:\s*u(?:nidades)?)?$/;
+  const MAX_UNITS_REGEX = /(?:hasta|m[aá]ximo|tope(?:\s+de)?)\s*(\d+)\s*(?:unidades|unid|uni|un|u)\b/;
+  const NOT_ACCUMULABLE_REGEX = /no\s+acumulable/;
+  const CASH_REGEX = /precio\s+contado\s*:?\s*\$?\s*([\d.,]+)/;
+  const DISCOUNT_WORD_REGEX = /\b(dto|descuento|off)\b/;
+
+  function normalizeText(text) {
+    return String(text || "").toLowerCase().replace(/\s+/g, " ").trim();
+  }
+
+  /** "2999" / "2.999,00" / "1498.90" → número. */
+  function parseAmount(raw) {
+    const text = String(raw || "").replace(/[^\d.,]/g, "");
+    if (text.includes(",")) return parseFloat(text.replace(/\./g, "").replace(",", "."));
+    if (/^\d{1,3}(\.\d{3})+$/.test(text)) return parseFloat(text.replace(/\./g, ""));
+    return parseFloat(text);
+  }
+
+  function ordinalValue(digits, word) {
+    return digits ? parseInt(digits, 10) : (ORDINAL_WORDS[word] || NaN);
+  }
+
+  /** Unidad N a `payFraction` del precio: ratio promedio comprando N. */
+  function nthUnitPromo(text, nth, payFraction) {
+    if (!(nth >= 2) || !(payFraction >= 0 && payFraction < 1)) return null;
+    return { type: "nthUnit", text, minQty: nth, ratio: (nth - 1 + payFraction) / nth };
+  }
+
+  /** Promo con descuento de un texto suelto (sin modificadores). null si no describe un precio. */
+  function parseDiscount(text, raw) {
+    const nxm = text.match(NXM_REGEX);
+    if (nxm) {
+      const units = parseInt(nxm[1], 10);
+      const pay = parseInt(nxm[2], 10);
+      if (units > 0 && pay > 0 && pay < units) {
+        return { type: "nxm", text: raw, minQty: units, ratio: pay / units };
+      }
+    }
+
+    const nthPay = text.match(NTH_PAY_REGEX);
+    if (nthPay) return nthUnitPromo(raw, ordinalValue(nthPay[1], nthPay[2]), parseFloat(nthPay[3]) / 100);
+
+    const nthOff = text.match(NTH_OFF_REGEX);
+    if (nthOff) return nthUnitPromo(raw, ordinalValue(nthOff[2], nthOff[3]), 1 - parseFloat(nthOff[1]) / 100);
+
+    const nthLoose = text.match(NTH_LOOSE_REGEX);
+    if (nthLoose) {
+      const pct = parseFloat(nthLoose[3]) / 100;
+      const payFraction = DISCOUNT_WORD_REGEX.test(text) ? 1 - pct : pct;
+      return nthUnitPromo(raw, ordinalValue(nthLoose[1], nthLoose[2]), payFraction);
+    }
+
+    const volume = text.match(VOLUME_REGEX);
+    if (volume) {
+      const pct = parseFloat(volume[2]);
+      if (pct > 0 && pct < 100) {
+        return { type: "volumePercent", text: raw, minQty: parseInt(volume[1], 10), ratio: 1 - pct / 100 };
+      }
+    }
+
+    const percent = text.match(PERCENT_REGEX);
+    if (percent) {
+      const pct = parseFloat(percent[1]);
+      if (pct > 0 && pct < 100) return { type: "percent", text: raw, minQty: 1, ratio: 1 - pct / 100 };
+    }
+
+    return null;
+  }
+
+  /**
+   * Interpreta un texto de promo suelto.
+   * @param {string} rawText
+   * @returns {{ promo: object|null, takingQty: number|null, maxUnits: number|null,
+   *             accumulable: boolean|null, cashPrice: number|null }}
+   *   promo también es de tipo "cash" para "Precio Contado: $2999".
+   */
+  function parsePromoText(rawText) {
+    const raw = String(rawText || "").trim();
+    const text = normalizeText(raw);
+
+    const taking = text.match(TAKING_REGEX);
+    const maxUnits = text.match(MAX_UNITS_REGEX);
+    const cash = text.match(CASH_REGEX);
+    const cashPrice = cash ? parseAmount(cash[1]) : NaN;
+
+    let promo = taking ? null : parseDiscount(text, raw);
+    if (!promo && Number.isFinite(cashPrice) && cashPrice > 0) {
+      promo = { type: "cash", text: raw, minQty: 1, ratio: null, price: cashPrice };
+    }
+
+    return {
+      promo,
+      takingQty: taking ? parseInt(taking[1], 10) : null,
+      maxUnits: maxUnits ? parseInt(maxUnits[1], 10) : null,
+      accumulable: NOT_ACCUMULABLE_REGEX.test(text) ? false : null,
+      cashPrice: Number.isFinite(cashPrice) && cashPrice > 0 ? cashPrice : null,
+    };
+  }
+
+  /** Textos de promo de un producto normalizado (promoTags + badges, sin repetidos). */
+  function collectPromoTexts(product) {
+    const texts = [
+      ...(Array.isArray(product?.promoTags) ? product.promoTags : []),
+      ...(Array.isArray(product?.badges) ? product.badges : []),
+    ]
+      .map((x) => String(x || "").trim())
+      .filter((x) => x && !/^todas\s+las\s+ofertas$/i.test(x));
+
+    const seen = new Set();
+    return texts.filter((x) => {
+      const key = normalizeText(x);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
+  /**
+   * Promos estructuradas de una lista de textos. "Llevando N", "hasta N unidades" y
+   * "No acumulable" son modificadores: se aplican a todas las promos del producto.
+   * @param {string[]} texts
+   * @returns {{ promos: object[], best: object|null, maxUnits: number|null,
+   *             accumulable: boolean, cashPrice: number|null }}
+   *   best = promo con menor ratio (la que usan los precios efectivos).
+   */
+  function parsePromoTexts(texts) {
+    const promos = [];
+    let takingQty = null;
+    let maxUnits = null;
+    let accumulable = true;
+    let cashPrice = null;
+
+    for (const text of texts || []) {
+      const parsed = parsePromoText(text);
+      if (parsed.promo && !promos.some((p) => p.type === parsed.promo.type && p.ratio === parsed.promo.ratio)) {
+        promos.push(parsed.promo);
+      }
+      if (parsed.takingQty) takingQty = parsed.takingQty;
+      if (parsed.maxUnits) maxUnits = parsed.maxUnits;
+      if (parsed.accumulable === false) accumulable = false;
+      if (parsed.cashPrice) cashPrice = parsed.cashPrice;
+    }
+
+    for (const promo of promos) {
+      // "25% dto" + "Llevando 3" (tokens separados) = descuento por volumen.
+      if (promo.type === "percent" && takingQty > 1) {
+        promo.type = "volumePercent";
+        promo.minQty = takingQty;
+      }
+      promo.maxUnits = maxUnits;
+      promo.accumulable = accumulable;
+    }
+
+    let best = null;
+    for (const promo of promos) {
+      if (promo.ratio == null || !(promo.ratio > 0 && promo.ratio < 1)) continue;
+      if (!best || promo.ratio < best.ratio) best = promo;
+    }
+
+    return { promos, best, maxUnits, accumulable, cashPrice };
+  }
+
+  /** Promos estructuradas de un producto normalizado de API. */
+  function parseProductPromos(product) {
+    return parsePromoTexts(collectPromoTexts(product));
+  }
+
+  /** Resumen legible: "Llevando 2: -50% c/u · hasta 6 u · no acumulable". */
+  function describePromo(promo) {
+    if (!promo) return "";
+    const parts = [];
+    if (promo.type === "cash") {
+      parts.push(`Precio contado: ${formatPrice(promo.price)}`);
+    } else {
+      const off = Math.round((1 - promo.ratio) * 100);
+      parts.push(promo.minQty > 1 ? `Llevando ${promo.minQty}: -${off}% c/u` : `-${off}%`);
+    }
+    if (promo.maxUnits) parts.push(`hasta ${promo.maxUnits} u`);
+    if (promo.accumulable === false) parts.push("no acumulable");
+    return parts.join(" · ");
+  }
+
+  return {
+    parsePromoText,
+    parsePromoTexts,
+    parseProductPromos,
+    collectPromoTexts,
+    describePromo,
+  };
+})();
@@ -0,0 +1,85 @@
+// replayInput.js — Archivos guardados (HAR de DevTools o JSON crudo de Endeca/BFF) → respuestas para el replay offline
+window.CotoSorter = window.CotoSorter || {};
+
+window.CotoSorter.replayInput = (function () {
+  "use strict";
+
+  /**
+   * Payload: { label, data }
+   *   label: URL del request (HAR) o "archivo.json" / "archivo.json #2" (JSON crudo).
+   *   data: JSON de la respuesta, todavía sin saber si es de productos (eso lo decide api.parseApiResponse).
+   */
+
+  function isHar(json) {
+    return Array.isArray(json?.log?.entries);
+  }
+
+  /** Body de una entrada HAR como texto (DevTools usa base64 para algunos bodies). null si no se guardó. */
+  function harEntryText(entry) {
+    const content = entry?.response?.content;
+    if (typeof content?.text !== "string" || !content.text) return null;
+    if (content.encoding !== "base64") return content.text;
+    const bytes = Uint8Array.from(atob(content.text), (c) => c.charCodeAt(0));
+    return new TextDecoder().decode(bytes);
+  }
+
+  function parseJsonOrNull(text) {
+    try { return JSON.parse(text); }
+    catch { return null; }
+  }
+
+  /**
+   * Respuestas JSON de un archivo ya parseado, en el orden del archivo.
+   * HAR: cada entrada con body JSON (el resto se descarta); JSON crudo: el objeto o cada elemento del array.
+   * @param {any} json
+   * @param {string} fileName
+   * @returns {{ payloads: { label: string, data: any }[], skipped: number }} skipped = entradas HAR sin body JSON
+   */
+  function extractPayloads(json, fileName) {
+    if (isHar(json)) {
+      const payloads = [];
+      let skipped = 0;
+      for (const entry of json.log.entries) {
+        const text = harEntryText(entry);
+        const data = text ? parseJsonOrNull(text) : null;
+        if (data && typeof data === "object") payloads.push({ label: entry?.request?.url || fileName, data });
+        else skipped++;
+      }
+      return { payloads, skipped };
+    }
+
+    const list = Array.isArray(json) ? json : [json];
+    return {
+      payloads: list
+        .filter((data) => data && typeof data === "object")
+        .map((data, index) => ({ label: list.length > 1 ? `${fileName} #${index + 1}` : fileName, data })),
+      skipped: 0,
+    };
+  }
+
+  /**
+   * Resumen del replay: "3 respuestas de productos (2 BFF, 1 Endeca) · 70 productos · 2 repetidos · 14 ignoradas".
+   * @param {{ sources: { [source: string]: number }, products: number, duplicates?: number, ignored?: number }} stats
+   */
+  function describeReplay(stats) {
+    const sources = Object.entries(stats?.sources || {}).filter(([, count]) => count > 0);
+    const responses = sources.reduce((sum, [, count]) => sum + count, 0);
+    if (!responses) return "No se encontraron respuestas de productos (Endeca o BFF) en los archivos.";
+
+    const bySource = sources.map(([source, count]) => `${count} ${source === "bff" ? "BFF" : "Endeca"}`).join(", ");
+    const parts = [
+      `${responses} ${responses === 1 ? "respuesta" : "respuestas"} de productos (${bySource})`,
+      `${stats.products} ${stats.products === 1 ? "producto" : "productos"}`,
+    ];
+    if (stats.duplicates > 0) parts.push(`${stats.duplicates} ${stats.duplicates === 1 ? "repetido" : "repetidos"}`);
+    if (stats.ignored > 0) parts.push(`${stats.ignored} ${stats.ignored === 1 ? "ignorada" : "ignoradas"}`);
+    return parts.join(" · ");
+  }
+
+  return {
+    isHar,
+    harEntryText,
+    extractPayloads,
+    describeReplay,
+  };
+})();
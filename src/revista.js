@@ -5,34 +5,47 @@ window.CotoSorter.revista = (function () {
   "use strict";
 
   const { debugLog } = window.CotoSorter.logger;
-  const { detectUnitTypeFromProduct, unitTypeSeparatorLabel } = window.CotoSorter.utils;
-  const { scrapeAllPages } = window.CotoSorter.api;
+  const { detectUnitTypeFromProduct, unitTypeSeparatorLabel, comparableUnit } = window.CotoSorter.utils;
+  const { scrapeAllPages, getLastScrapeReport, isAbortError } = window.CotoSorter.api;
+  const { describeScrapeReport } = window.CotoSorter.scrapeMerge;
+  const { describeCacheAge } = window.CotoSorter.scrapeCache;
+  const { getHistories } = window.CotoSorter.priceHistory;
+  const { getWatchlist } = window.CotoSorter.watchlist;
+  const { getSetting, getUnitCompareOptions } = window.CotoSorter.settings;
+  const { eligibleOffers } = window.CotoSorter.paymentOffers;
+  const { getBasket } = window.CotoSorter.basket;
+  const { resolveDisplayPrices, sortUnitPriceValue } = window.CotoSorter.priceUtils;
 
   /**
    * Agrupa productos por tipo de unidad y ordena cada grupo de menor a mayor.
-   * Orden: Kg → L → 100g → m² → Unidad → Sin categoría
+   * En modo normalizado, los listados por 100g (y kilo escurrido si se pidió) van al grupo Kg.
+   * Orden: Kg → Kg escurrido → L → 100g → m² → Unidad → Sin categoría
    */
   function groupAndSortProducts(products) {
-    const ORDER = ["weight", "volume", "100g", "square", "unit", null];
+    const ORDER = ["weight", "drained", "volume", "100g", "square", "unit", null];
+    const unitOptions = getUnitCompareOptions();
     const groups = new Map();
+    const factors = new Map();
 
     for (const p of products) {
-      const type = detectUnitTypeFromProduct(p) || null;
+      const { unitType, factor } = comparableUnit(detectUnitTypeFromProduct(p) || null, unitOptions);
+      const type = unitType || null;
       if (!groups.has(type)) groups.set(type, []);
       groups.get(type).push(p);
+      factors.set(p, factor);
     }
 
-    // Ordenar cada grupo por precio unitario ascendente
+    // Ordenar cada grupo por precio unitario ascendente (en la escala del grupo).
+    // Mismo $/X efectivo que muestra Vista Ligera (promos parseadas y medios de pago incluidos;
+    // promos por cantidad según settings.promoSortBasis).
+    const promoBasis = getSetting("promoSortBasis");
+    const sortPrice = (p, type) => {
+      const unitPrice = sortUnitPriceValue(resolveDisplayPrices(p, eligibleOffers(p.paymentOffers)), promoBasis);
+      if (type && unitPrice > 0) return unitPrice * factors.get(p);
+      return p.activePrice || Infinity;
+    };
     for (const [type, prods] of groups) {
-      prods.sort((a, b) => {
-        const priceA = type
-          ? (a.adjustedReferencePrice || a.referencePrice || a.activePrice || Infinity)
-          : (a.activePrice || Infinity);
-        const priceB = type
-          ? (b.adjustedReferencePrice || b.referencePrice || b.activePrice || Infinity)
-          : (b.activePrice || Infinity);
-        return priceA - priceB;
-      });
+      prods.sort((a, b) => sortPrice(a, type) - sortPrice(b, type));
     }
 
     const result = [];
@@ -49,15 +62,88 @@ window.CotoSorter.revista = (function () {
     return result;
   }
 
+  /**
+   * Aviso si hay sucursal elegida pero ningún producto trae datos por sucursal (vinieron de Endeca
+   * o del DOM): los precios son los generales del sitio y no se pudo filtrar disponibilidad.
+   */
+  function missingStoreDataNote(products) {
+    const storeId = getSetting("storeId");
+    if (!storeId || !products.length || products.some((p) => p.storeAvailable != null)) return null;
+    return `⚠ Sin precios de la sucursal ${storeId}: se muestran los generales del sitio`;
+  }
+
+  /**
+   * Con sucursal elegida, oculta productos que BFF marca como no disponibles ahí.
+   * Sin datos por sucursal no oculta nada y la nota lo avisa (missingStoreDataNote).
+   * @returns {{products: object[], storeNote: string|null}}
+   */
+  function filterByStore(products) {
+    const storeId = getSetting("storeId");
+    if (!storeId) return { products, storeNote: null };
+
+    const missingNote = missingStoreDataNote(products);
+    if (missingNote) {
+      debugLog(`No per-store data for store ${storeId} (source ${products[0]?.source})`);
+      return { products, storeNote: missingNote };
+    }
+
+    const available = products.filter((p) => p.storeAvailable !== false);
+    const hidden = products.length - available.length;
+    if (hidden > 0) debugLog(`Hidden ${hidden} products not available at store ${storeId}`);
+
+    return {
+      products: available,
+      storeNote: `Sucursal ${storeId}` + (hidden > 0 ? ` · ${hidden} no disponibles ocultos` : ""),
+    };
+  }
+
+  /**
+   * Agrega a `note` la antigüedad de los datos si salieron del cache ("datos de hace 12 min") y el
+   * aviso de resultado parcial ("⚠ Faltan N productos"). Se usa en encabezados y en el mensaje final de progreso.
+   * @param {object[]} [products] — en el mensaje del panel: agrega el aviso de sucursal sin precios
+   */
+  function withScrapeNote(note, products) {
+    const report = getLastScrapeReport();
+    const parts = [
+      note,
+      products ? missingStoreDataNote(products) : "",
+      report?.cachedAt ? describeCacheAge(report.cachedAt) : "",
+      describeScrapeReport(report),
+    ].filter(Boolean);
+    return parts.length ? parts.join(" · ") : null;
+  }
+
+  /** Mensaje de error o de cancelación en el área de progreso. */
+  function reportFlowError(err, label, updateProgressFn) {
+    if (isAbortError(err)) {
+      debugLog(`${label} cancelled`);
+      updateProgressFn("✗ Carga cancelada", 0);
+      setTimeout(() => updateProgressFn(null, 0), 3000);
+      return;
+    }
+    console.error(`[CotoSorter] ${label} error:`, err);
+    updateProgressFn("✗ Error: " + err.message, 0);
+    setTimeout(() => updateProgressFn(null, 0), 5000);
+  }
+
   // ---- Generación de revista imprimible ----
 
+  /** Nota del encabezado: la del llamador (ej. replay), la sucursal y el aviso del último scraping. */
+  function headerNote(note, storeNote) {
+    return withScrapeNote([note, storeNote].filter(Boolean).join(" · ") || null);
+  }
+
   /**
    * Genera una revista HTML imprimible (alternativa segura para extensiones Firefox).
+   * @param {{ note?: string }} [options] — note: texto extra del encabezado (replay offline)
    */
-  async function generateRevistaPDF(products, progressCallback) {
+  async function generateRevistaPDF(allProducts, progressCallback, { note } = {}) {
+    const { products, storeNote } = filterByStore(allProducts);
     const groups = groupAndSortProducts(products);
     debugLog(`Grouped into ${groups.length} categories for printable revista`);
 
+    const histories = await getHistories(products.map((p) => p.sku));
+
     if (progressCallback) {
       progressCallback("pdf", products.length, products.length);
     }
@@ -66,13 +152,35 @@ window.CotoSorter.revista = (function () {
       printMode: true,
       autoPrint: true,
       title: "Revista Promos — COTO",
+      histories,
+      watchlist: getWatchlist(),
+      basket: getBasket(),
+      storeNote: headerNote(note, storeNote),
+    });
+  }
+
+  /**
+   * Abre la Vista Ligera en una pestaña nueva con productos ya cargados (scraping o replay offline).
+   * @param {{ note?: string }} [options] — note: texto extra del encabezado
+   */
+  async function openVistaLigera(allProducts, { note } = {}) {
+    const { products, storeNote } = filterByStore(allProducts);
+    const histories = await getHistories(products.map((p) => p.sku));
+    window.CotoSorter.vistaLigera.generateRevistaHTML(products, {
+      histories,
+      watchlist: getWatchlist(),
+      basket: getBasket(),
+      storeNote: headerNote(note, storeNote),
     });
   }
 
   // ---- Flujo principal ----
 
-  /** Flujo completo: scraping → PDF. */
-  async function startRevistaGeneration(maxCount, updateProgressFn) {
+  /**
+   * Flujo completo: scraping → PDF.
+   * @param {AbortSignal} [signal] — botón Cancelar del panel
+   */
+  async function startRevistaGeneration(maxCount, updateProgressFn, signal) {
     try {
       debugLog("Starting Revista Promos generation...");
       updateProgressFn("Consultando API de COTO...", 5);
@@ -83,7 +191,7 @@ window.CotoSorter.revista = (function () {
           ? `Obteniendo productos (${loaded}/${total})...`
           : "Obteniendo productos...";
         updateProgressFn(label, pct);
-      });
+      }, { signal });
 
       if (allProducts.length === 0) {
         updateProgressFn(null, 0);
@@ -110,17 +218,18 @@ window.CotoSorter.revista = (function () {
         }
       });
 
-      updateProgressFn("✓ Revista lista para imprimir/guardar en PDF", 100);
+      updateProgressFn(withScrapeNote("✓ Revista lista para imprimir/guardar en PDF", allProducts), 100);
       setTimeout(() => updateProgressFn(null, 0), 3000);
     } catch (err) {
-      console.error("[CotoSorter] Revista generation error:", err);
-      updateProgressFn("✗ Error: " + err.message, 0);
-      setTimeout(() => updateProgressFn(null, 0), 5000);
+      reportFlowError(err, "Revista generation", updateProgressFn);
     }
   }
 
-  /** Flujo completo: scraping → Vista HTML en nueva pestaña. */
-  async function startRevistaHTMLGeneration(maxCount, updateProgressFn) {
+  /**
+   * Flujo completo: scraping → Vista HTML en nueva pestaña.
+   * @param {AbortSignal} [signal] — botón Cancelar del panel
+   */
+  async function startRevistaHTMLGeneration(maxCount, updateProgressFn, signal) {
     try {
       debugLog("Starting Revista HTML generation...");
       updateProgressFn("Consultando API de COTO...", 5);
@@ -131,7 +240,7 @@ window.CotoSorter.revista = (function () {
           ? `Obteniendo productos (${loaded}/${total})...`
           : "Obteniendo productos...";
         updateProgressFn(label, pct);
-      });
+      }, { signal });
 
       if (allProducts.length === 0) {
         updateProgressFn(null, 0);
@@ -145,16 +254,49 @@ window.CotoSorter.revista = (function () {
       }
 
       updateProgressFn("Generando vista HTML...", 90);
-      window.CotoSorter.vistaLigera.generateRevistaHTML(allProducts);
+      await openVistaLigera(allProducts);
+
+      updateProgressFn(withScrapeNote("✓ Vista abierta en nueva pestaña", allProducts), 100);
+      setTimeout(() => updateProgressFn(null, 0), 3000);
+    } catch (err) {
+      reportFlowError(err, "Revista HTML generation", updateProgressFn);
+    }
+  }
+
+  /**
+   * "Refrescar datos": vuelve a traer la categoría desde la API sin usar el cache
+   * (y la guarda, así la próxima Vista/revista sale al instante con datos nuevos).
+   * @param {AbortSignal} [signal] — botón Cancelar del panel
+   */
+  async function refreshScrapeData(updateProgressFn, signal) {
+    try {
+      debugLog("Refreshing scraped data (cache bypass)...");
+      updateProgressFn("Consultando API de COTO...", 5);
+
+      const allProducts = await scrapeAllPages((loaded, total) => {
+        const pct = total > 0 ? Math.min((loaded / total) * 95, 95) : 10;
+        const label = total > 0
+          ? `Obteniendo productos (${loaded}/${total})...`
+          : "Obteniendo productos...";
+        updateProgressFn(label, pct);
+      }, { signal, useCache: false });
 
-      updateProgressFn("✓ Vista abierta en nueva pestaña", 100);
+      updateProgressFn(withScrapeNote(`✓ Datos actualizados (${allProducts.length} productos)`, allProducts), 100);
       setTimeout(() => updateProgressFn(null, 0), 3000);
     } catch (err) {
-      console.error("[CotoSorter] Revista HTML generation error:", err);
-      updateProgressFn("✗ Error: " + err.message, 0);
-      setTimeout(() => updateProgressFn(null, 0), 5000);
+      reportFlowError(err, "Data refresh", updateProgressFn);
     }
   }
 
-  return { groupAndSortProducts, generateRevistaPDF, startRevistaGeneration, startRevistaHTMLGeneration };
+  return {
+    groupAndSortProducts,
+    filterByStore,
+    withScrapeNote,
+    reportFlowError,
+    generateRevistaPDF,
+    openVistaLigera,
+    startRevistaGeneration,
+    startRevistaHTMLGeneration,
+    refreshScrapeData,
+  };
 })();
@@ -0,0 +1,21 @@
+// routeHook.js — Corre en el mundo de la página (MAIN): avisa al content script cuando la SPA cambia de ruta
+(function () {
+  "use strict";
+
+  // Mismo nombre que escucha content.js (el evento cruza de mundo; las llamadas a history no).
+  const ROUTE_EVENT = "coto-sorter:locationchange";
+
+  /** Envuelve pushState/replaceState de la página: Angular navega sin recargar ni disparar popstate. */
+  function wrapHistoryMethod(method) {
+    const original = history[method];
+    if (typeof original !== "function") return;
+    history[method] = function (...args) {
+      const result = original.apply(this, args);
+      window.dispatchEvent(new Event(ROUTE_EVENT));
+      return result;
+    };
+  }
+
+  wrapHistoryMethod("pushState");
+  wrapHistoryMethod("replaceState");
+})();
@@ -0,0 +1,171 @@
+// schemaCheck.js — Validación liviana de respuestas Endeca/BFF: campos faltantes o renombrados por página
+window.CotoSorter = window.CotoSorter || {};
+
+window.CotoSorter.schemaCheck = (function () {
+  "use strict";
+
+  // Un registro "falla" si le falta algún campo requerido (los parsers devolverían "Producto" a $0).
+  // La página (o el scraping) se considera con drift si fallan al menos DRIFT_RATIO de los registros.
+  const DRIFT_RATIO = 0.2;
+  const DRIFT_MIN_FAILED = 3;
+  const MAX_RENAME_CANDIDATES = 3;
+
+  /**
+   * Campo esperado: { field, keys, required, hint }
+   *   keys: alternativas que leen los parsers (alcanza con una con valor).
+   *   hint: regex para reconocer un posible renombre entre las claves desconocidas del registro.
+   */
+  const BFF_FIELDS = [
+    { field: "nombre", keys: ["sku_display_name", "sku_description"], required: true, hint: /name|desc|nombre/i },
+    { field: "precio", keys: ["product_list_price", "price"], required: true, hint: /price|precio/i },
+    { field: "sku", keys: ["sku_plu", "sku_id", "url"], required: true, hint: /sku|plu|url/i },
+    { field: "formato", keys: ["product_format"], required: false, hint: /format/i },
+    { field: "imagen", keys: ["product_large_image_url", "product_medium_image_url", "image_url"], required: false, hint: /image|img/i },
+    { field: "marca", keys: ["product_brand"], required: false, hint: /brand|marca/i },
+  ];
+
+  const ENDECA_FIELDS = [
+    { field: "nombre", keys: ["product.displayName", "sku.displayName"], required: true, hint: /name|nombre/i },
+    { field: "precio", keys: ["sku.activePrice"], required: true, hint: /price|precio/i },
+    { field: "sku", keys: ["recordState", "sku.repositoryId"], required: true, hint: /sku|repository/i },
+    { field: "precio por unidad", keys: ["sku.referencePrice"], required: false, hint: /reference|price/i },
+    { field: "formato", keys: ["product.cFormato"], required: false, hint: /formato/i },
+    { field: "imagen", keys: ["product.largeImage.url", "product.mediumImage.url"], required: false, hint: /image/i },
+  ];
+
+  /** Valor presente: ni null, ni "", ni lista vacía. */
+  function hasValue(value) {
+    if (value == null || value === "") return false;
+    return !Array.isArray(value) || value.length > 0;
+  }
+
+  function emptySummary(shape) {
+    return { shape, records: 0, failed: 0, missing: {}, renameCandidates: {} };
+  }
+
+  /**
+   * Cuenta campos faltantes de una lista de registros.
+   * @param {string} shape — "bff" | "endeca"
+   * @param {object[]} records
+   * @param {object[]} fields — BFF_FIELDS / ENDECA_FIELDS
+   * @param {function(object, string): any} read — valor de una clave en el registro
+   * @param {function(object): string[]} keysOf — claves que trae el registro
+   */
+  function checkRecords(shape, records, fields, read, keysOf) {
+    const summary = emptySummary(shape);
+    const knownKeys = new Set(fields.flatMap((f) => f.keys));
+
+    for (const record of records) {
+      summary.records++;
+      let failed = false;
+      for (const spec of fields) {
+        if (spec.keys.some((key) => hasValue(read(record, key)))) continue;
+        summary.missing[spec.field] = (summary.missing[spec.field] || 0) + 1;
+        if (spec.required) failed = true;
+
+        const candidates = summary.renameCandidates[spec.field] || [];
+        for (const key of keysOf(record)) {
+          if (knownKeys.has(key) || !spec.hint.test(key) || candidates.includes(key)) continue;
+          if (candidates.length < MAX_RENAME_CANDIDATES) candidates.push(key);
+        }
+        if (candidates.length) summary.renameCandidates[spec.field] = candidates;
+      }
+      if (failed) summary.failed++;
+    }
+    return summary;
+  }
+
+  /** Página BFF (respuesta completa): response.results[*].data. */
+  function checkBffPage(data) {
+    const results = Array.isArray(data?.response?.results) ? data.response.results : [];
+    return checkRecords(
+      "bff",
+      results,
+      BFF_FIELDS,
+      (result, key) => result?.data?.[key],
+      (result) => Object.keys(result?.data || {})
+    );
+  }
+
+  /** Página Endeca (Category_ResultsList ya encontrado): records[*].records[*].attributes. */
+  function checkEndecaPage(resultsList) {
+    const records = (resultsList?.records || []).flatMap((outer) => outer?.records || []);
+    return checkRecords(
+      "endeca",
+      records,
+      ENDECA_FIELDS,
+      (record, key) => (key === "recordState" ? record?.detailsAction?.recordState : record?.attributes?.[key]?.[0]),
+      (record) => Object.keys(record?.attributes || {})
+    );
+  }
+
+  /** Suma resúmenes de varias páginas del mismo origen. */
+  function mergeSchemaSummaries(summaries) {
+    const list = (summaries || []).filter(Boolean);
+    const total = emptySummary(list[0]?.shape || null);
+    for (const summary of list) {
+      total.records += summary.records;
+      total.failed += summary.failed;
+      for (const [field, count] of Object.entries(summary.missing || {})) {
+        total.missing[field] = (total.missing[field] || 0) + count;
+      }
+      for (const [field, keys] of Object.entries(summary.renameCandidates || {})) {
+        const merged = total.renameCandidates[field] || [];
+        for (const key of keys) {
+          if (!merged.includes(key) && merged.length < MAX_RENAME_CANDIDATES) merged.push(key);
+        }
+        total.renameCandidates[field] = merged;
+      }
+    }
+    return total;
+  }
+
+  /** True si fallan demasiados registros para confiar en los datos. */
+  function isSchemaDrift(summary) {
+    const records = Number(summary?.records) || 0;
+    const failed = Number(summary?.failed) || 0;
+    return records > 0 && failed >= Math.min(DRIFT_MIN_FAILED, records) && failed / records >= DRIFT_RATIO;
+  }
+
+  /** Campos requeridos que faltaron, del más al menos frecuente. */
+  function missingRequiredFields(summary) {
+    const required = new Set([...BFF_FIELDS, ...ENDECA_FIELDS].filter((f) => f.required).map((f) => f.field));
+    return Object.entries(summary?.missing || {})
+      .filter(([field]) => required.has(field))
+      .sort((a, b) => b[1] - a[1])
+      .map(([field]) => field);
+  }
+
+  /** Aviso del panel: "⚠ Datos de Coto incompletos: 18 de 24 productos sin precio o nombre". "" si no hay drift. */
+  function describeSchemaDrift(summary) {
+    if (!isSchemaDrift(summary)) return "";
+    const fields = missingRequiredFields(summary);
+    const what = fields.length ? ` sin ${fields.join(" o ")}` : " incompletos";
+    return `⚠ Datos de Coto incompletos: ${summary.failed} de ${summary.records} productos${what}`;
+  }
+
+  /**
+   * Resumen para el log de debug:
+   * "bff: 18/24 registros fallan · faltan precio 18, marca 2 · ¿renombrados? precio → product_price".
+   */
+  function schemaDiagnostic(summary) {
+    if (!summary) return "";
+    const parts = [`${summary.shape || "?"}: ${summary.failed}/${summary.records} registros fallan`];
+    const missing = Object.entries(summary.missing || {}).sort((a, b) => b[1] - a[1]);
+    if (missing.length) parts.push("faltan " + missing.map(([field, count]) => `${field} ${count}`).join(", "));
+    const renames = Object.entries(summary.renameCandidates || {});
+    if (renames.length) {
+      parts.push("¿renombrados? " + renames.map(([field, keys]) => `${field} → ${keys.join("/")}`).join(", "));
+    }
+    return parts.join(" · ");
+  }
+
+  return {
+    checkBffPage,
+    checkEndecaPage,
+    mergeSchemaSummaries,
+    isSchemaDrift,
+    describeSchemaDrift,
+    schemaDiagnostic,
+  };
+})();
@@ -0,0 +1,96 @@
+// scrapeCache.js — Cache local (IndexedDB) de la categoría scrapeada, por categoría/búsqueda y sucursal
+window.CotoSorter = window.CotoSorter || {};
+
+window.CotoSorter.scrapeCache = (function () {
+  "use strict";
+
+  const { debugLog } = window.CotoSorter.logger;
+  const { getSetting } = window.CotoSorter.settings;
+  const { getRecord, putRecord, deleteRecords, getKeysByIndex } = window.CotoSorter.db;
+
+  const STORE = "scrapeCache";
+  const MAX_ENTRIES = 12; // categorías guardadas; cada una puede tener miles de productos
+  const MINUTE_MS = 60 * 1000;
+  // Lectura trabada (base bloqueada, background sin responder): mejor scrapear que colgar Vista/revista.
+  const READ_TIMEOUT_MS = 1500;
+
+  // Parámetros de paginación/formato: no cambian la categoría ni la búsqueda.
+  const PAGING_PARAMS = ["No", "Nrpp", "page", "num_results_per_page", "format", "_dyncharset"];
+
+  /**
+   * Entrada: { key, savedAt, products, report }
+   *   report = api.getLastScrapeReport() del scraping que la generó.
+   */
+
+  /**
+   * Clave de cache: ruta + query sin paginación (ordenada) + sucursal elegida
+   * (los precios BFF se resuelven para esa sucursal al parsear).
+   */
+  function scrapeCacheKey(href, storeId) {
+    const url = new URL(href);
+    const params = Array.from(url.searchParams.entries())
+      .filter(([name]) => !PAGING_PARAMS.includes(name))
+      .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+    const query = new URLSearchParams(params).toString();
+    return `${url.pathname}${query ? "?" + query : ""}|store=${storeId || ""}`;
+  }
+
+  /** True si la entrada tiene productos y no pasó el TTL (0 = cache apagado). */
+  function isFreshEntry(entry, ttlMinutes, now) {
+    const ttl = Number(ttlMinutes);
+    if (!(ttl > 0) || !Array.isArray(entry?.products) || !entry.products.length) return false;
+    const age = (now ?? Date.now()) - Number(entry.savedAt);
+    return age >= 0 && age < ttl * MINUTE_MS;
+  }
+
+  /** "datos de hace 12 min" / "datos de hace 2 h". */
+  function describeCacheAge(savedAt, now) {
+    const minutes = Math.floor(((now ?? Date.now()) - Number(savedAt)) / MINUTE_MS);
+    if (!(minutes >= 1)) return "datos de hace menos de 1 min";
+    if (minutes < 60) return `datos de hace ${minutes} min`;
+    return `datos de hace ${Math.floor(minutes / 60)} h`;
+  }
+
+  /** Entrada vigente para la clave (TTL del popup), o null. Nunca rechaza ni tarda más de READ_TIMEOUT_MS. */
+  async function readScrapeCache(key) {
+    const ttl = getSetting("scrapeCacheMinutes");
+    if (!(ttl > 0)) return null;
+    let timer = null;
+    const timeout = new Promise((resolve) => {
+      timer = setTimeout(() => {
+        debugLog(`[ScrapeCache] Read timed out after ${READ_TIMEOUT_MS} ms, scraping instead`);
+        resolve(undefined);
+      }, READ_TIMEOUT_MS);
+    });
+    try {
+      const entry = await Promise.race([getRecord(STORE, key), timeout]);
+      return isFreshEntry(entry, ttl) ? entry : null;
+    } catch (err) {
+      debugLog("[ScrapeCache] Could not read cache:", err?.message || err);
+      return null;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /** Guarda la categoría y descarta las entradas más viejas (MAX_ENTRIES). Nunca rechaza. */
+  async function writeScrapeCache(key, products, report) {
+    if (!(getSetting("scrapeCacheMinutes") > 0)) return;
+    try {
+      await putRecord(STORE, { key, savedAt: Date.now(), products, report: report || null });
+      const keys = await getKeysByIndex(STORE, "savedAt"); // más viejas primero
+      if (keys.length > MAX_ENTRIES) await deleteRecords(STORE, keys.slice(0, keys.length - MAX_ENTRIES));
+      debugLog(`[ScrapeCache] Saved ${products.length} products for ${key}`);
+    } catch (err) {
+      debugLog("[ScrapeCache] Could not save cache:", err?.message || err);
+    }
+  }
+
+  return {
+    scrapeCacheKey,
+    isFreshEntry,
+    describeCacheAge,
+    readScrapeCache,
+    writeScrapeCache,
+  };
+})();
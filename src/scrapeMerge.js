@@ -0,0 +1,108 @@
+// scrapeMerge.js — Unión de páginas scrapeadas: dedupe por SKU/PLU, mejor registro y faltantes
+window.CotoSorter = window.CotoSorter || {};
+
+window.CotoSorter.scrapeMerge = (function () {
+  "use strict";
+
+  const { normalizeSku, skuFromHref } = window.CotoSorter.utils;
+
+  /**
+   * Página scrapeada: { page, products }
+   *   page: número de página (BFF) u offset (Endeca); define el orden del resultado.
+   *   La misma página puede venir dos veces (re-consulta): el registro nuevo compite con el anterior.
+   */
+
+  /** Clave de dedupe: SKU/PLU normalizado (o el del href). null = sin clave, no se deduplica. */
+  function productKey(product) {
+    return normalizeSku(product?.sku) || skuFromHref(product?.href) || null;
+  }
+
+  /** Completitud de un registro: precio > precio por unidad > disponibilidad > promos. */
+  function recordScore(product) {
+    let score = 0;
+    if (Number(product?.activePrice) > 0) score += 8;
+    if (Number(product?.referencePrice) > 0) score += 4;
+    if (product?.storeAvailable !== false) score += 2;
+    if (product?.promoPriceRaw > 0 || product?.promoTags?.length) score += 1;
+    return score;
+  }
+
+  /**
+   * Une las páginas en orden de página, sin repetidos por SKU/PLU.
+   * Ante un repetido gana el registro más completo (a igual puntaje, el primero),
+   * que ocupa la posición de la primera aparición.
+   * @param {{ page: number, products: object[] }[]} pages
+   * @param {number} [expectedTotal] — total que informó la API
+   * @returns {{ products: object[], duplicates: number, missing: number, overlappedPages: number[] }}
+   *   missing = productos que la API contó pero no llegaron (la lista se corrió entre páginas).
+   *   overlappedPages = páginas que compartieron productos con otra (candidatas a re-consultar).
+   */
+  function mergeProductPages(pages, expectedTotal) {
+    const ordered = (pages || [])
+      .filter((p) => p && Array.isArray(p.products))
+      .map((p, index) => ({ ...p, index }))
+      .sort((a, b) => a.page - b.page || a.index - b.index);
+
+    const products = [];
+    const seen = new Map(); // clave → { position, page }
+    const overlapped = new Set();
+    let duplicates = 0;
+
+    for (const { page, products: batch } of ordered) {
+      for (const product of batch) {
+        const key = productKey(product);
+        if (!key) {
+          products.push(product);
+          continue;
+        }
+        const previous = seen.get(key);
+        if (!previous) {
+          seen.set(key, { position: products.length, page });
+          products.push(product);
+          continue;
+        }
+        duplicates++;
+        if (previous.page !== page) {
+          overlapped.add(previous.page);
+          overlapped.add(page);
+        }
+        if (recordScore(product) > recordScore(products[previous.position])) {
+          products[previous.position] = product;
+        }
+      }
+    }
+
+    const total = Number(expectedTotal);
+    return {
+      products,
+      duplicates,
+      missing: total > products.length ? total - products.length : 0,
+      overlappedPages: Array.from(overlapped).sort((a, b) => a - b),
+    };
+  }
+
+  /**
+   * Aviso de resultado parcial: "⚠ Faltan 3 productos (no cargaron 2 páginas)". "" si no faltó nada.
+   * Con la fuente "dom" (las APIs fallaron) avisa que solo están los productos de la página visible.
+   * @param {{ missing?: number, failedPages?: number, source?: string }} report — api.getLastScrapeReport()
+   */
+  function describeScrapeReport(report) {
+    if (report?.source === "dom") return "⚠ API no disponible: solo los productos de esta página";
+    const missing = Number(report?.missing) || 0;
+    if (missing <= 0) return "";
+    const failedPages = Number(report?.failedPages) || 0;
+    const reason = failedPages > 1 ? `no cargaron ${failedPages} páginas`
+      : failedPages === 1 ? "no cargó 1 página"
+      : "la lista cambió durante la carga";
+    return missing === 1
+      ? `⚠ Falta 1 producto (${reason})`
+      : `⚠ Faltan ${missing} productos (${reason})`;
+  }
+
+  return {
+    productKey,
+    recordScore,
+    mergeProductPages,
+    describeScrapeReport,
+  };
+})();
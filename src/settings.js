@@ -0,0 +1,106 @@
+// settings.js — Preferencias del usuario (chrome.storage.local, editables desde el popup)
+window.CotoSorter = window.CotoSorter || {};
+
+window.CotoSorter.settings = (function () {
+  "use strict";
+
+  const { debugLog } = window.CotoSorter.logger;
+
+  const SETTINGS_KEY = "settings";
+  const KNOWN_STORES_KEY = "knownStores";
+
+  const DEFAULTS = {
+    storeId: null, // Sucursal elegida ("215"); null = precio de referencia del sitio
+    paymentCards: [], // Tarjetas/bancos del usuario (keys de paymentOffers.PAYMENT_ISSUERS)
+    unitNormalize: true, // Comparar $/100g contra $/kg en la misma escala
+    unitIncludeDrained: false, // Opt-in: sumar "Kilo escurrido" a la escala de kg
+    promoSortBasis: "take", // Promos por cantidad: ordenar por "take" (llevando N) o "single" (comprando 1)
+    keepSortAcrossPages: true, // Re-aplicar el último orden al cambiar de página/categoría en la pestaña
+    scrapeCacheMinutes: 30, // Reusar la categoría scrapeada durante N minutos (0 = siempre pedir a la API)
+  };
+
+  // Cache sincrónico: los parsers leen settings sin await.
+  let current = { ...DEFAULTS };
+  let knownStores = { ids: [], siteStoreId: null };
+  const changeListeners = [];
+
+  function getSetting(key) {
+    return current[key] ?? DEFAULTS[key] ?? null;
+  }
+
+  function getSettings() {
+    return { ...current };
+  }
+
+  /** Opciones para utils.comparableUnit según las preferencias del popup. */
+  function getUnitCompareOptions() {
+    return {
+      normalize: getSetting("unitNormalize") !== false,
+      includeDrained: getSetting("unitIncludeDrained") === true,
+    };
+  }
+
+  function onSettingsChange(fn) {
+    changeListeners.push(fn);
+  }
+
+  function applySettings(next) {
+    current = { ...DEFAULTS, ...(next || {}) };
+    for (const fn of changeListeners) {
+      try { fn(getSettings()); } catch (err) { debugLog("[Settings] Listener error:", err); }
+    }
+  }
+
+  /**
+   * Guarda las sucursales vistas en `price[]` de BFF para el selector del popup.
+   * @param {string[]} ids — códigos de sucursal ("060", "215")
+   * @param {string|null} siteStoreId — sucursal con la que el sitio filtra (pre_filter_expression)
+   */
+  function rememberKnownStores(ids, siteStoreId) {
+    const merged = Array.from(new Set([...knownStores.ids, ...(ids || []).map(String)])).sort();
+    const site = siteStoreId ? String(siteStoreId) : knownStores.siteStoreId;
+    if (merged.length === knownStores.ids.length && site === knownStores.siteStoreId) return;
+
+    knownStores = { ids: merged, siteStoreId: site };
+    try {
+      chrome.storage.local.set({ [KNOWN_STORES_KEY]: knownStores });
+    } catch (err) {
+      debugLog("[Settings] Could not save known stores:", err?.message || err);
+    }
+  }
+
+  /**
+   * Carga settings en cache y escucha cambios hechos desde el popup.
+   * @returns {Promise<void>} resuelve con la primera carga (o con los defaults si storage falla)
+   */
+  function initSettings() {
+    return new Promise((resolve) => {
+      try {
+        chrome.storage.local.get([SETTINGS_KEY, KNOWN_STORES_KEY], (result) => {
+          knownStores = { ids: [], siteStoreId: null, ...(result?.[KNOWN_STORES_KEY] || {}) };
+          applySettings(result?.[SETTINGS_KEY]);
+          debugLog("[Settings] Loaded", current);
+          resolve();
+        });
+        chrome.storage.onChanged.addListener((changes, area) => {
+          if (area === "local" && changes[SETTINGS_KEY]) {
+            applySettings(changes[SETTINGS_KEY].newValue);
+            debugLog("[Settings] Changed", current);
+          }
+        });
+      } catch {
+        current = { ...DEFAULTS };
+        resolve();
+      }
+    });
+  }
+
+  return {
+    initSettings,
+    getSetting,
+    getSettings,
+    getUnitCompareOptions,
+    onSettingsChange,
+    rememberKnownStores,
+  };
+})();
@@ -0,0 +1,281 @@
+// sizeParser.js — Tamaño de envase desde el nombre ("120g", "Pack x 6 x 354 ml") y control del $/X del sitio
+window.CotoSorter = window.CotoSorter || {};
+
+window.CotoSorter.sizeParser = (function () {
+  "use strict";
+
+  /** Unidades reconocidas en nombres → familia y factor a la base (kg, L, m, m²). */
+  const SIZE_UNITS = [
+    { pattern: /^(?:kg|kgs|kilos?)$/, family: "weight", factor: 1 },
+    { pattern: /^(?:g|gr|grs|grm|grms|gramos?)$/, family: "weight", factor: 0.001 },
+    { pattern: /^(?:l|lt|lts|litros?)$/, family: "volume", factor: 1 },
+    { pattern: /^(?:ml|cc|cm3)$/, family: "volume", factor: 0.001 },
+    { pattern: /^(?:m2|m²|mts2)$/, family: "square", factor: 1 },
+    { pattern: /^(?:m|mt|mts|metros?)$/, family: "length", factor: 1 },
+  ];
+
+  const SIZE_REGEX =
+    /(?<![\d.,:])(?:(\d+)\s*[x×]\s*)?(\d+(?:[.,]\d+)?)\s*(kgs?|kilos?|grms?|grs?|gramos?|g|ml|cc|cm3|lts?|litros?|l|m2|m²|mts2|mts?|metros?|m)(?![a-z0-9áéíóúñ])/gi;
+  const COUNT_REGEX =
+    /(?<![\d.,:])(\d+)\s*(?:u|un|uni|unid|unidad|unidades|rollos?|latas?|botellas?|sobres?|paquetes?|saquitos?|feteados?)(?![a-z0-9áéíóúñ])|(?:^|\s)[x×]\s*(\d+)(?![\d.,])/i;
+
+  // Papel higiénico / de cocina: "Precio por 1 Unidad" no sirve para comparar, se usa $/metro.
+  const PAPER_REGEX = /papel\s+(?:higi[eé]nico|de\s+cocina)|rollos?\s+de\s+cocina|toallas?\s+de\s+papel/i;
+
+  // Multipacks: "Pack x 12", "Caja 24 sobres", "Display x 20". El precio del sitio es por el pack entero.
+  const PACK_REGEX =
+    /\b(?:pack|caja|display|blister|bandeja|six\s*pack)\s*(?:de\s*|[x×]\s*)?(\d+)(?![\d.,])/i;
+  // product_unit_of_measure de BFF que indican envase múltiple ("UNI" = unidad suelta).
+  const PACK_UOM_REGEX = /^(?:pa?c?k|pac|paq|caj|cja|cj|dis|dsp|bli|bnd)/i;
+
+  // product_unit_of_measure de pesables: en gramos o en kilos. Sin unidad clara, >= 10 se toma como gramos.
+  const GRAM_UOM_REGEX = /^(?:g|gr|grs|grm|gramos?)$/i;
+  const KILO_UOM_REGEX = /^(?:kg|kgs|kilos?|kgm)$/i;
+  // Peso tipeado por el usuario: "350 g", "0,5 kg", "1.5", "350".
+  const WEIGHT_INPUT_REGEX = /^(\d+(?:[.,]\d+)?)\s*(kg|kgs|kilos?|g|gr|grs|gramos?)?$/i;
+
+  // Ratio $/X del sitio vs estimado que se considera "dudoso". Kilo escurrido pesa menos
+  // que el neto del nombre, así que ahí el sitio puede dar legítimamente bastante más.
+  const DOUBTFUL_BOUNDS = {
+    default: { min: 0.75, max: 1.33 },
+    drained: { min: 0.75, max: 2.5 },
+  };
+
+  /** "1.5" / "1,5" → 1.5; "1.000" en g/ml → 1000. */
+  function parseAmount(raw, unit) {
+    const text = String(raw);
+    if (/^\d{1,3}\.\d{3}$/.test(text) && /^(g|gr|grs?|grms?|gramos?|ml|cc)$/i.test(unit)) {
+      return parseFloat(text.replace(".", ""));
+    }
+    return parseFloat(text.replace(",", "."));
+  }
+
+  /**
+   * Tamaño de envase embebido en el nombre.
+   * "N x 354 ml" multiplica; un conteo suelto ("6u 500g", "X3 ... 360g") se toma como unidades
+   * y el peso/volumen como total, salvo longitudes ("4 rollos 30 m" = 30 m por rollo).
+   * @param {string} name
+   * @param {number} [formatQuantity] — product_format_quantity de BFF (packs si el nombre no trae "N x")
+   * @returns {{ family: string, total: number, amount: number, unit: string, packs: number, units: number|null, text: string }|null}
+   *   total en la base de la familia (kg, L, m, m²).
+   */
+  function parsePackageSize(name, formatQuantity) {
+    const text = String(name || "");
+    let match = null;
+    for (const m of text.matchAll(SIZE_REGEX)) match = m; // el tamaño suele ir al final
+    if (!match) return null;
+
+    const unit = match[3].toLowerCase();
+    const spec = SIZE_UNITS.find((u) => u.pattern.test(unit));
+    const amount = parseAmount(match[2], unit);
+    if (!spec || !Number.isFinite(amount) || amount <= 0) return null;
+
+    const countMatch = text.replace(match[0], " ").match(COUNT_REGEX);
+    const units = countMatch ? parseInt(countMatch[1] || countMatch[2], 10) : null;
+
+    const fq = Number(formatQuantity);
+    const packs = match[1]
+      ? parseInt(match[1], 10)
+      : (Number.isFinite(fq) && fq > 1 ? fq : 1);
+
+    let total = amount * spec.factor * packs;
+    if (spec.family === "length" && units && !match[1]) total *= units;
+
+    return {
+      family: spec.family,
+      total,
+      amount,
+      unit,
+      packs,
+      units: units || null,
+      text: match[0].trim(),
+    };
+  }
+
+  /**
+   * $/X estimado a partir del precio y el tamaño.
+   * @param {number} price — precio del envase (regular, sin promo)
+   * @param {object} size — resultado de parsePackageSize
+   * @param {string} unitType — tipo interno del $/X listado ("weight", "100g", "volume", "drained")
+   * @returns {number} NaN si la familia no coincide
+   */
+  function estimateUnitPrice(price, size, unitType) {
+    if (!size || !(price > 0) || !(size.total > 0)) return NaN;
+    switch (unitType) {
+      case "weight":
+      case "drained": return size.family === "weight" ? price / size.total : NaN;
+      case "100g":    return size.family === "weight" ? price / (size.total * 10) : NaN;
+      case "volume":  return size.family === "volume" ? price / size.total : NaN;
+      case "square":  return size.family === "square" ? price / size.total : NaN;
+      default:        return NaN;
+    }
+  }
+
+  /**
+   * Compara el $/X que informa el sitio con el estimado por tamaño.
+   * @param {{ name: string, unitType: string, price: number, listedUnitPrice: number, formatQuantity?: number }} input
+   *   price y listedUnitPrice sobre la misma base (ambos regulares o ambos con promo).
+   * @returns {{ size: object, estimate: number, ratio: number, doubtful: boolean }|null}
+   */
+  function checkListedUnitPrice(input) {
+    const size = parsePackageSize(input?.name, input?.formatQuantity);
+    const estimate = estimateUnitPrice(Number(input?.price), size, input?.unitType);
+    const listed = Number(input?.listedUnitPrice);
+    if (!Number.isFinite(estimate) || !(listed > 0)) return null;
+
+    const ratio = listed / estimate;
+    const bounds = DOUBTFUL_BOUNDS[input.unitType] || DOUBTFUL_BOUNDS.default;
+    return { size, estimate, ratio, doubtful: ratio < bounds.min || ratio > bounds.max };
+  }
+
+  /**
+   * Rollos y metros de productos de papel ("Papel Higiénico Doble Hoja 4 rollos 30 m").
+   * `singlePlyMeters` equivale a metros de hoja simple (doble hoja = ×2, triple = ×3).
+   * @returns {{ rolls: number, metersPerRoll: number, totalMeters: number, plies: number, singlePlyMeters: number }|null}
+   */
+  function parsePaperRolls(name) {
+    const text = String(name || "");
+    if (!PAPER_REGEX.test(text)) return null;
+
+    const size = parsePackageSize(text);
+    if (!size || size.family !== "length") return null;
+
+    const plies = /triple\s+hoja/i.test(text) ? 3 : (/doble\s+hoja/i.test(text) ? 2 : 1);
+    return {
+      rolls: size.packs > 1 ? size.packs : (size.units || 1),
+      metersPerRoll: size.amount,
+      totalMeters: size.total,
+      plies,
+      singlePlyMeters: size.total * plies,
+    };
+  }
+
+  /**
+   * Cantidad de unidades internas de un multipack.
+   * Prioridad: "Pack/Caja x N" → "N x 354 ml" → conteo suelto ("x 6 un", "24 sobres") →
+   * product_format_quantity si la unidad de medida de BFF es de pack.
+   * @param {string} name
+   * @param {string} [unitOfMeasure] — product_unit_of_measure de BFF
+   * @param {number} [formatQuantity] — product_format_quantity de BFF
+   * @returns {{ units: number, text: string, source: "name"|"uom" }|null} null si no es multipack
+   */
+  function parseMultipack(name, unitOfMeasure, formatQuantity) {
+    const text = String(name || "");
+    let units = 0;
+    let matched = "";
+
+    const packMatch = text.match(PACK_REGEX);
+    if (packMatch) {
+      units = parseInt(packMatch[1], 10);
+      matched = packMatch[0];
+    } else {
+      const size = parsePackageSize(text);
+      const rest = size ? text.replace(size.text, " ") : text;
+      const countMatch = rest.match(COUNT_REGEX);
+      if (size && size.packs > 1) {
+        units = size.packs;
+        matched = size.text;
+      } else if (countMatch) {
+        units = parseInt(countMatch[1] || countMatch[2], 10);
+        matched = countMatch[0];
+      }
+    }
+    if (units > 1) return { units, text: matched.trim(), source: "name" };
+
+    const fq = Number(formatQuantity);
+    if (PACK_UOM_REGEX.test(String(unitOfMeasure || "").trim()) && Number.isFinite(fq) && fq > 1) {
+      return { units: fq, text: `${unitOfMeasure} x ${fq}`, source: "uom" };
+    }
+    return null;
+  }
+
+  /** $/unidad interna para un precio de pack. */
+  function innerUnitPrice(price, pack) {
+    if (!pack || !(price > 0) || !(pack.units > 1)) return NaN;
+    return price / pack.units;
+  }
+
+  /** Cantidad de BFF (paso, mínimo) → kilos según la unidad de medida. */
+  function quantityToKg(value, unitOfMeasure) {
+    const n = Number(value);
+    if (!Number.isFinite(n) || n <= 0) return null;
+    const uom = String(unitOfMeasure || "").trim();
+    if (GRAM_UOM_REGEX.test(uom)) return n / 1000;
+    if (KILO_UOM_REGEX.test(uom)) return n;
+    return n >= 10 ? n / 1000 : n;
+  }
+
+  /**
+   * Datos de venta por peso de un registro BFF (fiambres, carnes, verduras).
+   * @param {{ weighable: *, quantityStep?: number, minimumQuantity?: number, unitOfMeasure?: string }} input
+   *   product_weighable, product_quantity_step, product_minimum_quantity, product_unit_of_measure
+   * @returns {{ stepKg: number|null, minKg: number|null }|null} null si no es pesable
+   */
+  function parseWeighable(input) {
+    const flag = input?.weighable;
+    if (!(flag === true || Number(flag) === 1 || /^(?:s|si|y|yes|true)$/i.test(String(flag ?? "").trim()))) return null;
+    const stepKg = quantityToKg(input.quantityStep, input.unitOfMeasure);
+    const minKg = quantityToKg(input.minimumQuantity, input.unitOfMeasure) || stepKg;
+    return { stepKg, minKg };
+  }
+
+  /** Peso tipeado → kilos. Sin unidad: >= 10 son gramos ("350"), menos son kilos ("1,5"). NaN si no se entiende. */
+  function parseWeightInput(text) {
+    const match = String(text || "").trim().toLowerCase().match(WEIGHT_INPUT_REGEX);
+    if (!match) return NaN;
+    const amount = parseFloat(match[1].replace(",", "."));
+    if (!(amount > 0)) return NaN;
+    if (match[2]) return /^k/.test(match[2]) ? amount : amount / 1000;
+    return amount >= 10 ? amount / 1000 : amount;
+  }
+
+  /** 0.35 → "350 g", 1.5 → "1,5 kg". */
+  function formatWeight(kg) {
+    if (!(kg > 0)) return "";
+    if (kg < 1) return `${Math.round(kg * 1000)} g`;
+    return `${String(Math.round(kg * 1000) / 1000).replace(".", ",")} kg`;
+  }
+
+  /**
+   * $/kg de un pesable: el $/X del sitio si es por peso, si no el precio del artículo (que en pesables es por kilo).
+   * @param {string} unitType — tipo interno del $/X ("weight", "100g", ...)
+   */
+  function weighableKgPrice(unitType, unitPrice, price) {
+    if (unitType === "weight" && unitPrice > 0) return unitPrice;
+    if (unitType === "100g" && unitPrice > 0) return unitPrice * 10;
+    return price > 0 ? price : NaN;
+  }
+
+  /** Precio por paso y costo de la compra mínima para un $/kg. */
+  function weighablePrices(kgPrice, info) {
+    if (!info || !(kgPrice > 0)) return null;
+    return {
+      perStep: info.stepKg ? kgPrice * info.stepKg : NaN,
+      minimumCost: info.minKg ? kgPrice * info.minKg : NaN,
+    };
+  }
+
+  /** $/metro y $/metro de hoja simple para un precio de paquete. */
+  function paperUnitPrices(price, paper) {
+    if (!paper || !(price > 0)) return null;
+    return {
+      perMeter: price / paper.totalMeters,
+      perSinglePlyMeter: price / paper.singlePlyMeters,
+    };
+  }
+
+  return {
+    parsePackageSize,
+    estimateUnitPrice,
+    checkListedUnitPrice,
+    parsePaperRolls,
+    paperUnitPrices,
+    parseMultipack,
+    innerUnitPrice,
+    parseWeighable,
+    parseWeightInput,
+    formatWeight,
+    weighableKgPrice,
+    weighablePrices,
+  };
+})();
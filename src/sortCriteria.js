@@ -0,0 +1,149 @@
+// sortCriteria.js — Criterio de orden (clave, dirección, desempate) compartido por sorter, "Ordenar todo" y panel
+window.CotoSorter = window.CotoSorter || {};
+
+window.CotoSorter.sortCriteria = (function () {
+  "use strict";
+
+  const { FILTER_TYPES, SORT_CRITERIA } = window.CotoSorter.utils;
+
+  /**
+   * Spec de orden: { key, dir: "asc"|"desc", tieKey: string|null }
+   *   key: FILTER_TYPES (precio por unidad, papel, packs) o SORT_CRITERIA (descuento, ahorro, precio, nombre, marca).
+   *   tieKey: criterio secundario para empates (usa su dirección por defecto).
+   */
+
+  function findCriterion(key) {
+    return FILTER_TYPES.find((ft) => ft.key === key) || SORT_CRITERIA.find((c) => c.key === key) || null;
+  }
+
+  /** True para criterios que no dependen del tipo de unidad (SORT_CRITERIA). */
+  function isGeneralCriterion(key) {
+    return SORT_CRITERIA.some((c) => c.key === key);
+  }
+
+  /** Dirección de modo "Auto": ascendente salvo criterios donde más es mejor (descuento, ahorro). */
+  function defaultDirection(key) {
+    return findCriterion(key)?.defaultDir || "asc";
+  }
+
+  /** Clave suelta ("weight") o spec parcial → spec completo. null si no hay clave. */
+  function toSortSpec(input) {
+    if (!input) return null;
+    const spec = typeof input === "string" ? { key: input } : input;
+    if (!spec.key) return null;
+    return {
+      key: spec.key,
+      dir: spec.dir === "asc" || spec.dir === "desc" ? spec.dir : defaultDirection(spec.key),
+      tieKey: spec.tieKey && spec.tieKey !== spec.key ? spec.tieKey : null,
+    };
+  }
+
+  /** "$/Kg ↑ · luego Marca ↑" */
+  function describeSort(input) {
+    const spec = toSortSpec(input);
+    if (!spec) return "";
+    const arrow = (dir) => (dir === "desc" ? "↓" : "↑");
+    const main = `${findCriterion(spec.key)?.label || spec.key} ${arrow(spec.dir)}`;
+    if (!spec.tieKey) return main;
+    return `${main} · luego ${findCriterion(spec.tieKey)?.label || spec.tieKey} ${arrow(defaultDirection(spec.tieKey))}`;
+  }
+
+  function isMissing(value) {
+    return typeof value === "string" ? value === "" : !Number.isFinite(value);
+  }
+
+  /** Compara dos valores (número o texto). Los faltantes van siempre al final, en cualquier dirección. */
+  function compareSortValues(a, b, dir) {
+    const missingA = isMissing(a);
+    const missingB = isMissing(b);
+    if (missingA || missingB) return missingA === missingB ? 0 : (missingA ? 1 : -1);
+    const diff = typeof a === "string" || typeof b === "string"
+      ? String(a).localeCompare(String(b), "es", { sensitivity: "base", numeric: true })
+      : a - b;
+    return dir === "desc" ? -diff : diff;
+  }
+
+  /**
+   * Valor de los criterios que no dependen de la unidad.
+   * @param {{ regularPrice: number, paidPrice: number, name?: string, brand?: string }} fields
+   *   paidPrice = precio final (promos + medio de pago); sin descuento igual al regular.
+   * @returns {number|string} NaN / "" si no aplica
+   */
+  function criterionValue(fields, key) {
+    const regular = Number(fields?.regularPrice);
+    const paid = Number(fields?.paidPrice) > 0 ? Number(fields.paidPrice) : regular;
+    switch (key) {
+      case "discountPct": return regular > 0 && paid > 0 ? Math.max(0, (1 - paid / regular) * 100) : NaN;
+      case "savings":     return regular > 0 && paid > 0 ? Math.max(0, regular - paid) : NaN;
+      case "finalPrice":  return paid > 0 ? paid : NaN;
+      case "name":        return String(fields?.name || "").trim();
+      case "brand":       return String(fields?.brand || "").trim();
+      default:            return NaN;
+    }
+  }
+
+  /**
+   * Entrada de orden con los valores ya calculados (se comparan sin volver a leer el ítem).
+   * @param {any} item
+   * @param {number} index — orden original (último desempate)
+   * @param {object} spec — spec completo (toSortSpec)
+   * @param {function(any, string): (number|string)} valueOf — valor del ítem para una clave
+   */
+  function sortEntry(item, index, spec, valueOf) {
+    return {
+      item,
+      index,
+      main: valueOf(item, spec.key),
+      tie: spec.tieKey ? valueOf(item, spec.tieKey) : NaN,
+    };
+  }
+
+  /** Clave principal en spec.dir, desempate en su dirección por defecto y, por último, el orden original. */
+  function compareEntries(a, b, spec) {
+    return compareSortValues(a.main, b.main, spec.dir) ||
+      (spec.tieKey ? compareSortValues(a.tie, b.tie, defaultDirection(spec.tieKey)) : 0) ||
+      a.index - b.index;
+  }
+
+  /** Posición de `entry` en `sorted` (ya ordenado por spec) por búsqueda binaria; queda después de sus iguales. */
+  function insertionIndex(sorted, entry, spec) {
+    let lo = 0;
+    let hi = sorted.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (compareEntries(sorted[mid], entry, spec) <= 0) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  }
+
+  /**
+   * Orden estable por spec: clave principal, desempate y, por último, el orden original.
+   * @param {any[]} items
+   * @param {object|string} input — spec o clave
+   * @param {function(any, string): (number|string)} valueOf — valor del ítem para una clave
+   * @returns {any[]} copia ordenada
+   */
+  function sortBySpec(items, input, valueOf) {
+    const spec = toSortSpec(input);
+    if (!spec) return items.slice();
+    return items
+      .map((item, index) => sortEntry(item, index, spec, valueOf))
+      .sort((a, b) => compareEntries(a, b, spec))
+      .map((entry) => entry.item);
+  }
+
+  return {
+    findCriterion,
+    isGeneralCriterion,
+    defaultDirection,
+    toSortSpec,
+    describeSort,
+    compareSortValues,
+    criterionValue,
+    sortEntry,
+    compareEntries,
+    insertionIndex,
+    sortBySpec,
+  };
+})();
@@ -5,21 +5,138 @@ window.CotoSorter.sorter = (function () {
   "use strict";
 
   const { debugLog } = window.CotoSorter.logger;
-  const { extractProductData, injectAllBadges, removeAllBadges } = window.CotoSorter.badges;
+  const { extractProductData, injectPendingBadges } = window.CotoSorter.badges;
+  const { comparableUnit } = window.CotoSorter.utils;
+  const { getUnitCompareOptions } = window.CotoSorter.settings;
+  const {
+    toSortSpec, describeSort, isGeneralCriterion, criterionValue, sortEntry, compareEntries, insertionIndex,
+  } = window.CotoSorter.sortCriteria;
+
+  // Último orden elegido en la pestaña: se re-aplica en la próxima página del listado.
+  const SESSION_SORT_KEY = "cotoSorterLastSort";
+  const MAX_SORT_HISTORY = 30;
 
   let isSorting = false;
-  let currentFilter = null;
+  let currentFilter = null; // spec { key, dir, tieKey } del último orden
   const originalOrder = new Map();
   let originalOrderSaved = false;
+  let sortedEntries = []; // entradas (valores ya calculados) de los cards en el orden actual
+  let sortHistory = [null]; // órdenes elegidos en el panel (null = orden original)
+  let historyIndex = 0;     // posición del orden actual en sortHistory
+
+  /** Guarda (o borra con null) el orden elegido en sessionStorage. */
+  function rememberSort(spec) {
+    try {
+      if (spec) sessionStorage.setItem(SESSION_SORT_KEY, JSON.stringify(spec));
+      else sessionStorage.removeItem(SESSION_SORT_KEY);
+    } catch { /* sessionStorage no disponible */ }
+  }
+
+  function forgetSessionSort() {
+    rememberSort(null);
+  }
+
+  /** Orden guardado en la sesión de la pestaña (spec) o null. */
+  function getSessionSort() {
+    try {
+      return toSortSpec(JSON.parse(sessionStorage.getItem(SESSION_SORT_KEY) || "null"));
+    } catch {
+      return null;
+    }
+  }
+
+  /** Valor de orden del card para la clave (NaN/"" = no aplica, va al final). */
+  function sortValue(data, filterType, targetType) {
+    if (!data) return NaN;
+    if (filterType === "paperMeter") return data.paper?.perMeter ?? NaN;
+    if (filterType === "paperPly") return data.paper?.perSinglePlyMeter ?? NaN;
+    if (filterType === "innerUnit") return data.multipack?.perInnerUnit ?? NaN;
+    if (isGeneralCriterion(filterType)) {
+      return criterionValue({
+        regularPrice: data.regularPrice,
+        paidPrice: data.regularPrice * data.discountRatio,
+        name: data.name,
+        brand: data.brand,
+      }, filterType);
+    }
+    return data.comparableUnitType === targetType ? data.comparableUnitPrice : NaN;
+  }
+
+  /** Tipo de unidad comparable de una clave de orden ($/100g → $/kg en modo normalizado). */
+  function targetTypeFor(key) {
+    return comparableUnit(key, getUnitCompareOptions()).unitType;
+  }
+
+  /** Wrapper → { wrapper, data } (extractProductData cachea por elemento). */
+  function wrapperItem(wrapper) {
+    const productEl = wrapper.querySelector("catalogue-product, constructor-result-item, .card-container");
+    return { wrapper, data: productEl ? extractProductData(productEl) : null };
+  }
+
+  /** valueOf para sortEntry: tipo comparable de cada clave calculado una sola vez. */
+  function itemValueGetter() {
+    const targetTypes = {};
+    return (item, key) => {
+      if (!(key in targetTypes)) targetTypes[key] = targetTypeFor(key);
+      return sortValue(item.data, key, targetTypes[key]);
+    };
+  }
+
+  /** Orden original: el del sitio; los cards que llegan después (scroll infinito) van a continuación. */
+  function rememberOriginalPosition(wrapper) {
+    if (!originalOrder.has(wrapper)) originalOrder.set(wrapper, originalOrder.size);
+    return originalOrder.get(wrapper);
+  }
+
+  /** Modo "Ordenar todo" activo (inlineResults carga después del sorter, se busca en runtime). */
+  function activeInline() {
+    const inline = window.CotoSorter.inlineResults;
+    return inline && inline.isActive() ? inline : null;
+  }
+
+  /** Ordena/restablece la categoría completa en lugar de los cards del sitio. */
+  function sortInlineResults(inline, spec, onComplete) {
+    isSorting = true;
+    currentFilter = spec;
+    rememberSort(spec);
+    inline.sortInline(spec, describeSort(spec));
+    if (onComplete) onComplete();
+    requestAnimationFrame(() => { isSorting = false; });
+  }
 
   function getIsSorting() { return isSorting; }
   function getCurrentFilter() { return currentFilter; }
 
   /**
-   * Ordena los cards por precio unitario ajustado (ascendente).
-   * Productos sin el tipo indicado quedan al final.
+   * Nueva página del listado (navegación SPA): el mapa de orden original es de cards que ya no están.
+   * nextFilter (spec o null) queda como orden activo; el observer lo aplica a los productos que lleguen.
+   */
+  function resetPageState(nextFilter) {
+    originalOrder.clear();
+    originalOrderSaved = false;
+    sortedEntries = [];
+    currentFilter = toSortSpec(nextFilter);
+    debugLog("[Sorter] Page state reset", currentFilter ? describeSort(currentFilter) : "(sin orden)");
+  }
+
+  /**
+   * Ordena los cards según el spec { key, dir, tieKey } (o una clave suelta, con su dirección por defecto).
+   * Claves de unidad: precio unitario ajustado; en modo normalizado compara en escala común
+   * ($/kg incluye listados por 100g). Papel ordena por $/metro e "innerUnit" por $/unidad interna.
+   * Criterios generales: % descuento, ahorro $, precio final, nombre y marca.
+   * Productos sin valor para la clave quedan al final en cualquier dirección.
+   * Con "Ordenar todo" activo ordena la categoría completa (inlineResults).
    */
   function sortProducts(filterType, onComplete) {
+    const spec = toSortSpec(filterType);
+    if (!spec) return;
+
+    const inline = activeInline();
+    if (inline) {
+      sortInlineResults(inline, spec, onComplete);
+      return;
+    }
+
     const container = document.querySelector(".productos.row");
     if (!container) {
       debugLog("ERROR: Product container .productos.row not found");
@@ -27,62 +144,90 @@ window.CotoSorter.sorter = (function () {
     }
 
     isSorting = true;
-    currentFilter = filterType;
+    currentFilter = spec;
+    rememberSort(spec);
 
     const wrappers = Array.from(container.querySelectorAll(":scope > .producto-card"));
-    debugLog(`Sorting ${wrappers.length} product wrappers by ${filterType}`);
+    debugLog(`Sorting ${wrappers.length} product wrappers by ${describeSort(spec)}`);
+
+    if (!originalOrderSaved) debugLog("Original order saved");
+    wrappers.forEach(rememberOriginalPosition);
+    originalOrderSaved = true;
 
-    // Guardar orden original en el primer sort
-    if (!originalOrderSaved) {
-      wrappers.forEach((w, i) => originalOrder.set(w, i));
-      originalOrderSaved = true;
-      debugLog("Original order saved");
+    const valueOf = itemValueGetter();
+    sortedEntries = wrappers
+      .map((wrapper) => sortEntry(wrapperItem(wrapper), originalOrder.get(wrapper), spec, valueOf))
+      .sort((a, b) => compareEntries(a, b, spec));
+    for (const entry of sortedEntries) {
+      container.appendChild(entry.item.wrapper);
     }
 
-    const items = wrappers.map((wrapper) => {
-      const productEl = wrapper.querySelector("catalogue-product, constructor-result-item, .card-container");
-      const data = productEl ? extractProductData(productEl) : null;
-      return { wrapper, data };
-    });
+    debugLog(`Sort complete (${describeSort(spec)}).`);
 
-    const withPrice = [];
-    const withoutPrice = [];
+    injectPendingBadges(container);
+    if (onComplete) onComplete();
 
-    for (const item of items) {
-      if (item.data && item.data.unitType === filterType) {
-        withPrice.push(item);
-      } else {
-        withoutPrice.push(item);
-      }
-    }
+    requestAnimationFrame(() => { isSorting = false; });
+  }
 
-    withPrice.sort((a, b) => a.data.adjustedUnitPrice - b.data.adjustedUnitPrice);
+  /**
+   * Cards nuevos o que recién tienen datos con un orden activo: cada uno se inserta en su posición
+   * por búsqueda binaria sobre las entradas ya calculadas, sin re-leer ni mover el resto.
+   * Si el DOM ya no coincide con el último orden (Angular quitó cards) hace un sort completo.
+   * @param {Element[]} wrappers — `.producto-card` sin badge terminado
+   */
+  function insertSortedProducts(wrappers) {
+    const spec = currentFilter;
+    const container = document.querySelector(".productos.row");
+    if (!spec || activeInline() || !container) return;
 
-    const sorted = [...withPrice, ...withoutPrice];
-    for (const item of sorted) {
-      container.appendChild(item.wrapper);
+    const stale = !sortedEntries.length || sortedEntries.some((e) => e.item.wrapper.parentNode !== container);
+    if (stale) {
+      sortProducts(spec);
+      return;
     }
 
-    debugLog(
-      `Sort complete. ${withPrice.length} products with ${filterType} price, ` +
-      `${withoutPrice.length} without.`
-    );
-
-    injectAllBadges();
-    if (onComplete) onComplete();
+    isSorting = true;
+    const valueOf = itemValueGetter();
+    let moved = 0;
+    for (const wrapper of wrappers) {
+      if (wrapper.parentNode !== container) continue;
+      const entry = sortEntry(wrapperItem(wrapper), rememberOriginalPosition(wrapper), spec, valueOf);
+      const knownIndex = sortedEntries.findIndex((e) => e.item.wrapper === wrapper);
+      if (knownIndex !== -1) {
+        // Ya ubicado y sin cambios de valor (p. ej. sigue sin datos): no se mueve.
+        if (compareEntries(sortedEntries[knownIndex], entry, spec) === 0) continue;
+        sortedEntries.splice(knownIndex, 1);
+      }
+      const index = insertionIndex(sortedEntries, entry, spec);
+      container.insertBefore(wrapper, sortedEntries[index]?.item.wrapper || null);
+      sortedEntries.splice(index, 0, entry);
+      moved++;
+    }
 
+    injectPendingBadges(container);
+    if (moved) debugLog(`[Sorter] Inserted ${moved} cards in sorted position (${describeSort(spec)})`);
     requestAnimationFrame(() => { isSorting = false; });
   }
 
-  /** Restablece los productos a su orden original. */
+  /** Restablece los productos a su orden original, sin recargar y conservando los badges. */
   function resetOrder(onComplete) {
-    if (!originalOrderSaved) return;
+    forgetSessionSort();
+    sortedEntries = [];
+    const inline = activeInline();
+    if (inline) {
+      sortInlineResults(inline, null, onComplete);
+      return;
+    }
+    currentFilter = null;
 
     const container = document.querySelector(".productos.row");
-    if (!container) return;
+    if (!originalOrderSaved || !container) {
+      if (onComplete) onComplete();
+      return;
+    }
 
     isSorting = true;
-    currentFilter = null;
 
     const wrappers = Array.from(container.querySelectorAll(":scope > .producto-card"));
 
@@ -96,12 +241,84 @@ window.CotoSorter.sorter = (function () {
       container.appendChild(w);
     }
 
-    removeAllBadges();
+    // Los badges siguen siendo válidos; solo se completan los cards que no tengan.
+    injectPendingBadges(container);
     if (onComplete) onComplete();
     debugLog("Order reset to original");
 
     requestAnimationFrame(() => { isSorting = false; });
   }
 
-  return { getIsSorting, getCurrentFilter, sortProducts, resetOrder };
+  // =========================================================
+  // Historial de órdenes (deshacer / rehacer)
+  // =========================================================
+
+  function sameSpec(a, b) {
+    if (!a || !b) return !a && !b;
+    return a.key === b.key && a.dir === b.dir && a.tieKey === b.tieKey;
+  }
+
+  function applySpec(spec, onComplete) {
+    if (spec) sortProducts(spec, onComplete);
+    else resetOrder(onComplete);
+  }
+
+  /**
+   * Orden elegido desde el panel: lo aplica y lo suma al historial (descarta lo que había para rehacer).
+   * Si el orden activo no es el del historial (restaurado de la sesión, ruta nueva) se guarda antes.
+   * @param {object|string|null} input — spec, clave o null (orden original)
+   */
+  function chooseSort(input, onComplete) {
+    const spec = toSortSpec(input);
+    sortHistory = sortHistory.slice(0, historyIndex + 1);
+    if (!sameSpec(sortHistory[sortHistory.length - 1], currentFilter)) sortHistory.push(currentFilter);
+    if (!sameSpec(sortHistory[sortHistory.length - 1], spec)) sortHistory.push(spec);
+    if (sortHistory.length > MAX_SORT_HISTORY) sortHistory = sortHistory.slice(-MAX_SORT_HISTORY);
+    historyIndex = sortHistory.length - 1;
+    applySpec(spec, onComplete);
+  }
+
+  function undoSort(onComplete) {
+    if (historyIndex <= 0) return;
+    historyIndex--;
+    debugLog("[Sorter] Undo →", describeSort(sortHistory[historyIndex]) || "orden original");
+    applySpec(sortHistory[historyIndex], onComplete);
+  }
+
+  function redoSort(onComplete) {
+    if (historyIndex >= sortHistory.length - 1) return;
+    historyIndex++;
+    debugLog("[Sorter] Redo →", describeSort(sortHistory[historyIndex]) || "orden original");
+    applySpec(sortHistory[historyIndex], onComplete);
+  }
+
+  /**
+   * Estado del historial para los botones del panel.
+   * @returns {{ canUndo: boolean, canRedo: boolean, undoSpec: object|null, redoSpec: object|null }}
+   *   undoSpec/redoSpec null = orden original.
+   */
+  function getSortHistoryState() {
+    const canUndo = historyIndex > 0;
+    const canRedo = historyIndex < sortHistory.length - 1;
+    return {
+      canUndo,
+      canRedo,
+      undoSpec: canUndo ? sortHistory[historyIndex - 1] : null,
+      redoSpec: canRedo ? sortHistory[historyIndex + 1] : null,
+    };
+  }
+
+  return {
+    getIsSorting,
+    getCurrentFilter,
+    getSessionSort,
+    resetPageState,
+    sortProducts,
+    insertSortedProducts,
+    resetOrder,
+    chooseSort,
+    undoSort,
+    redoSort,
+    getSortHistoryState,
+  };
 })();
@@ -0,0 +1,161 @@
+// taxRates.js — Alícuota de IVA por registro BFF (inferida de price[] o por categoría)
+window.CotoSorter = window.CotoSorter || {};
+
+window.CotoSorter.taxRates = (function () {
+  "use strict";
+
+  const IVA_GENERAL = 0.21;
+  const IVA_REDUCIDO = 0.105;
+  const IVA_EXENTO = 0;
+
+  /** Alícuotas válidas para "redondear" el ratio listPrice / priceWithoutTax. */
+  const KNOWN_RATES = [IVA_GENERAL, IVA_REDUCIDO, IVA_EXENTO];
+
+  // Tolerancia del ratio inferido: listPrice y priceWithoutTax vienen redondeados a centavos.
+  const RATE_TOLERANCE = 0.004;
+
+  /**
+   * Fallback por categoría (display_name de groups / path_list del registro BFF).
+   * Se evalúa en orden: la primera regla que matchea gana. Sin match → IVA general.
+   * Galletitas cuelgan de "Panadería" pero pagan 21% (rellenas/saborizadas): regla explícita antes del pan.
+   */
+  const CATEGORY_TAX_RATES = [
+    { pattern: /\bleches?\b(?!.*(chocolat|saboriz|cultiv|condensad))/i, rate: IVA_EXENTO, label: "leche" },
+    { pattern: /\blibros?\b/i, rate: IVA_EXENTO, label: "libros" },
+    { pattern: /\b(carnes?|carnicer[ií]a|vacun[oa]s?|cerdo|pollos?|aves)\b/i, rate: IVA_REDUCIDO, label: "carnes" },
+    { pattern: /\b(frutas?|verduras?|hortalizas?|legumbres?|verduler[ií]a)\b/i, rate: IVA_REDUCIDO, label: "frutas y verduras" },
+    { pattern: /\bgalletit/i, rate: IVA_GENERAL, label: "galletitas" },
+    { pattern: /\b(harinas?|panificados?|panader[ií]a|pan|bizcochos?|facturas?)\b/i, rate: IVA_REDUCIDO, label: "harinas y panificados" },
+    { pattern: /\bmiel\b/i, rate: IVA_REDUCIDO, label: "miel" },
+  ];
+
+  function positive(value) {
+    const n = Number(value);
+    return Number.isFinite(n) && n > 0 ? n : 0;
+  }
+
+  /** Ratio crudo → alícuota conocida más cercana (o null si ninguna está dentro de la tolerancia). */
+  function snapRate(rawRate) {
+    if (!Number.isFinite(rawRate)) return null;
+    let best = null;
+    for (const rate of KNOWN_RATES) {
+      if (Math.abs(rawRate - rate) <= RATE_TOLERANCE && (best == null || Math.abs(rawRate - rate) < Math.abs(rawRate - best))) {
+        best = rate;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Alícuota de una entrada de price[] a partir de listPrice vs priceWithoutTax.
+   * @returns {{ rate: number|null, rawRate: number|null }}
+   */
+  function inferEntryTaxRate(entry) {
+    const list = positive(entry?.listPrice);
+    const net = positive(entry?.priceWithoutTax);
+    if (!list || !net) return { rate: null, rawRate: null };
+    const rawRate = list / net - 1;
+    return { rate: snapRate(rawRate), rawRate: Math.round(rawRate * 10000) / 10000 };
+  }
+
+  /** Nombres de categoría del registro (groups[].display_name + path_list), del más profundo al más general. */
+  function collectCategoryNames(data) {
+    const ranked = [];
+    for (const group of Array.isArray(data?.groups) ? data.groups : []) {
+      const steps = Array.isArray(group?.path_list) ? group.path_list : [];
+      if (group?.display_name) ranked.push({ name: String(group.display_name), depth: steps.length });
+      steps.forEach((step, depth) => {
+        if (step?.display_name) ranked.push({ name: String(step.display_name), depth });
+      });
+    }
+    ranked.sort((a, b) => b.depth - a.depth);
+    return Array.from(new Set(ranked.map((r) => r.name)));
+  }
+
+  /**
+   * Alícuota por tabla de categorías. Gana la categoría más específica que tenga regla
+   * ("Galletitas" antes que "Panadería").
+   * @returns {{ rate: number, label: string|null }}
+   */
+  function categoryTaxRate(data) {
+    for (const name of collectCategoryNames(data)) {
+      const rule = CATEGORY_TAX_RATES.find((r) => r.pattern.test(name));
+      if (rule) return { rate: rule.rate, label: rule.label };
+    }
+    return { rate: IVA_GENERAL, label: null };
+  }
+
+  /**
+   * Resuelve la alícuota efectiva de un registro BFF.
+   * Prioridad: alícuota inferida de price[] (la más repetida) → tabla por categoría.
+   * `mismatch` marca registros donde las entradas no coinciden entre sí o con la categoría.
+   * @param {object} data — `result.data` de BFF
+   * @returns {{ rate: number, source: "price"|"category"|"default",
+   *             entryRates: Object<string, number>, categoryRate: number, categoryLabel: string|null,
+   *             mismatch: boolean, mismatchReasons: string[] }}
+   */
+  function resolveRecordTaxRate(data) {
+    const entries = Array.isArray(data?.price) ? data.price : [];
+    const entryRates = {};
+    const counts = new Map();
+    const mismatchReasons = [];
+
+    for (const entry of entries) {
+      const { rate, rawRate } = inferEntryTaxRate(entry);
+      if (rawRate == null) continue;
+      if (rate == null) {
+        mismatchReasons.push(`sucursal ${entry?.store ?? "?"}: ratio no estándar ${(rawRate * 100).toFixed(2)}%`);
+        continue;
+      }
+      if (entry?.store != null) entryRates[String(entry.store)] = rate;
+      counts.set(rate, (counts.get(rate) || 0) + 1);
+    }
+
+    const category = categoryTaxRate(data);
+
+    let rate = null;
+    let topCount = 0;
+    for (const [candidate, count] of counts) {
+      if (count > topCount) {
+        rate = candidate;
+        topCount = count;
+      }
+    }
+
+    if (counts.size > 1) {
+      const seen = Array.from(counts.keys()).map((r) => `${r * 100}%`).join(" / ");
+      mismatchReasons.push(`sucursales con alícuotas distintas: ${seen}`);
+    }
+    if (rate != null && category.label && rate !== category.rate) {
+      mismatchReasons.push(`categoría "${category.label}" espera ${category.rate * 100}% y price[] indica ${rate * 100}%`);
+    }
+
+    return {
+      rate: rate != null ? rate : category.rate,
+      source: rate != null ? "price" : (category.label ? "category" : "default"),
+      entryRates,
+      categoryRate: category.rate,
+      categoryLabel: category.label,
+      mismatch: mismatchReasons.length > 0,
+      mismatchReasons,
+    };
+  }
+
+  /** Precio final con IVA a partir de priceWithoutTax y la alícuota (0 si no hay precio). */
+  function withTax(priceWithoutTax, rate) {
+    const net = positive(priceWithoutTax);
+    if (!net) return 0;
+    return net * (1 + (Number.isFinite(rate) ? rate : IVA_GENERAL));
+  }
+
+  return {
+    IVA_GENERAL,
+    IVA_REDUCIDO,
+    IVA_EXENTO,
+    CATEGORY_TAX_RATES,
+    inferEntryTaxRate,
+    categoryTaxRate,
+    resolveRecordTaxRate,
+    withTax,
+  };
+})();
@@ -4,18 +4,22 @@ window.CotoSorter = window.CotoSorter || {};
 window.CotoSorter.ui = (function () {
   "use strict";
 
-  const { FILTER_TYPES, normalizeAccents } = window.CotoSorter.utils;
+  const { FILTER_TYPES, SORT_CRITERIA, normalizeAccents } = window.CotoSorter.utils;
   const { debugLog } = window.CotoSorter.logger;
-  const { sortProducts } = window.CotoSorter.sorter;
-  const { startRevistaGeneration, startRevistaHTMLGeneration } = window.CotoSorter.revista;
+  const { sortProducts, getCurrentFilter, chooseSort, undoSort, redoSort, getSortHistoryState } = window.CotoSorter.sorter;
+  const { isActive: isInlineActive, enterInline, exitInline, onInlineExit } = window.CotoSorter.inlineResults;
+  const { toSortSpec, describeSort } = window.CotoSorter.sortCriteria;
+  const { startRevistaGeneration, startRevistaHTMLGeneration, refreshScrapeData } = window.CotoSorter.revista;
   const { showOpinionesPopup } = window.CotoSorter.opiniones;
-
-  const PENDING_VISTA_LIGERA_KEY = "cotoSorterPendingVistaLigera";
+  const { onSchemaDrift } = window.CotoSorter.api;
+  const { describeSchemaDrift, schemaDiagnostic } = window.CotoSorter.schemaCheck;
 
   let panelEl = null;
   const filterDropdownItems = {};
   let btnOrdenar = null;
-  let hasUsedVistaLigera = false;
+  let btnUndo = null;
+  let btnRedo = null;
+  let scrapeController = null; // AbortController del scraping en curso (botón Cancelar)
 
   function toSearchSlug(term) {
     return normalizeAccents(term)
@@ -68,37 +72,6 @@ window.CotoSorter.ui = (function () {
     debugLog("Generar dropdown: Fallback search via productos URL", fallbackUrl);
   }
 
-  function consumePendingVistaLigera() {
-    const raw = sessionStorage.getItem(PENDING_VISTA_LIGERA_KEY);
-    if (raw === null) {
-      return { hasPending: false, count: null };
-    }
-
-    sessionStorage.removeItem(PENDING_VISTA_LIGERA_KEY);
-
-    if (raw === "") {
-      return { hasPending: true, count: null };
-    }
-
-    const parsed = parseInt(raw, 10);
-    return {
-      hasPending: true,
-      count: Number.isNaN(parsed) ? null : parsed,
-    };
-  }
-
-  function scheduleVistaLigeraAfterReload() {
-    const { hasPending, count } = consumePendingVistaLigera();
-    if (!hasPending) return;
-
-    hasUsedVistaLigera = true;
-    debugLog("Vista Ligera pendiente detectada tras recarga; ejecutando generación automática");
-
-    setTimeout(() => {
-      startRevistaHTMLGeneration(count, updateProgress);
-    }, 250);
-  }
-
   // =========================================================
   // Progreso y estado
   // =========================================================
@@ -121,16 +94,77 @@ window.CotoSorter.ui = (function () {
     if (barEl) barEl.style.width = Math.round(pct) + "%";
   }
 
+  /**
+   * Corre un flujo que scrapea con el botón Cancelar visible en el área de progreso.
+   * Un flujo nuevo cancela el anterior (comparten el indicador).
+   * @param {function(AbortSignal): Promise<any>} flow
+   */
+  async function runCancellable(flow) {
+    if (scrapeController) scrapeController.abort();
+    const controller = new AbortController();
+    scrapeController = controller;
+    setCancelVisible(true);
+    try {
+      return await flow(controller.signal);
+    } finally {
+      if (scrapeController === controller) {
+        scrapeController = null;
+        setCancelVisible(false);
+      }
+    }
+  }
+
+  function setCancelVisible(visible) {
+    const btn = document.querySelector(".coto-sorter-progress-cancel");
+    if (btn) btn.hidden = !visible;
+  }
+
+  /** Marca el criterio activo; currentFilter es un spec { key, dir, tieKey } o una clave. */
   function updateButtonStates(currentFilter) {
-    for (const ft of FILTER_TYPES) {
-      const item = filterDropdownItems[ft.key];
-      if (item) item.classList.toggle("coto-sorter-active", currentFilter === ft.key);
+    const spec = toSortSpec(currentFilter);
+    for (const [key, item] of Object.entries(filterDropdownItems)) {
+      item.classList.toggle("coto-sorter-active", spec?.key === key);
     }
     if (btnOrdenar) {
-      const active = FILTER_TYPES.find((ft) => ft.key === currentFilter);
-      btnOrdenar.textContent = active ? `Ordenar: ${active.label}` : "Ordenar";
-      btnOrdenar.classList.toggle("coto-sorter-active", !!active);
+      btnOrdenar.textContent = spec ? `Ordenar: ${describeSort(spec)}` : "Ordenar";
+      btnOrdenar.classList.toggle("coto-sorter-active", !!spec);
     }
+    updateHistoryButtons();
+  }
+
+  /** Habilita deshacer/rehacer y muestra a qué orden llevan. */
+  function updateHistoryButtons() {
+    if (!btnUndo || !btnRedo) return;
+    const history = getSortHistoryState();
+    btnUndo.disabled = !history.canUndo;
+    btnRedo.disabled = !history.canRedo;
+    btnUndo.title = history.canUndo ? `Deshacer: volver a ${describeSort(history.undoSpec) || "orden original"}` : "Nada para deshacer";
+    btnRedo.title = history.canRedo ? `Rehacer: ${describeSort(history.redoSpec) || "orden original"}` : "Nada para rehacer";
+  }
+
+  /** Reordena sin mover la vista (quitar/poner badges puede cambiar la altura de la página). */
+  function keepScroll(action) {
+    const y = window.scrollY;
+    action();
+    if (window.scrollY !== y) window.scrollTo(0, y);
+  }
+
+  /** Select chico del dropdown (dirección / desempate). */
+  function createDropdownSelect(labelText, options) {
+    const label = document.createElement("label");
+    label.className = "coto-sorter-dropdown-label";
+    label.textContent = labelText;
+
+    const select = document.createElement("select");
+    select.className = "coto-sorter-dropdown-select";
+    for (const [value, text] of options) {
+      const option = document.createElement("option");
+      option.value = value;
+      option.textContent = text;
+      select.appendChild(option);
+    }
+    label.appendChild(select);
+    return { label, select };
   }
 
   // =========================================================
@@ -208,19 +242,72 @@ window.CotoSorter.ui = (function () {
     const dropdown = document.createElement("div");
     dropdown.className = "coto-sorter-dropdown";
 
-    for (const ft of FILTER_TYPES) {
+    // "Ordenar todo": categoría completa (todas las páginas) dentro de la página del sitio.
+    const itemAll = document.createElement("button");
+    itemAll.className = "coto-sorter-dropdown-item coto-sorter-dropdown-item-all";
+    const updateAllItem = () => {
+      itemAll.textContent = isInlineActive() ? "✓ Ordenar todo (volver a la página)" : "🌐 Ordenar todo";
+      itemAll.title = isInlineActive()
+        ? "Volver a los productos de la página del sitio"
+        : "Traer todas las páginas de la categoría y ordenarlas juntas";
+    };
+    updateAllItem();
+    onInlineExit(updateAllItem);
+    itemAll.addEventListener("click", async () => {
+      dropdown.classList.remove("coto-sorter-dropdown-open");
+      if (isInlineActive()) {
+        exitInline();
+        return;
+      }
+      itemAll.disabled = true;
+      const loaded = await runCancellable((signal) => enterInline(updateProgress, signal));
+      itemAll.disabled = false;
+      updateAllItem();
+      const currentFilter = getCurrentFilter();
+      if (loaded && currentFilter) sortProducts(currentFilter, () => updateButtonStates(currentFilter));
+    });
+    dropdown.appendChild(itemAll);
+
+    // Dirección y desempate aplican al criterio que se elija abajo.
+    const allCriteria = [...FILTER_TYPES, ...SORT_CRITERIA];
+    const dirControl = createDropdownSelect("Dirección:", [
+      ["auto", "Auto"],
+      ["asc", "↑ Menor a mayor / A-Z"],
+      ["desc", "↓ Mayor a menor / Z-A"],
+    ]);
+    const tieControl = createDropdownSelect("Desempate:", [
+      ["", "Sin desempate"],
+      ...allCriteria.map((c) => [c.key, c.label]),
+    ]);
+    dropdown.appendChild(dirControl.label);
+    dropdown.appendChild(tieControl.label);
+
+    const addCriterionItem = (criterion) => {
       const item = document.createElement("button");
       item.className = "coto-sorter-dropdown-item";
-      item.textContent = ft.label;
-      item.title = ft.title + " (menor a mayor)";
+      item.textContent = criterion.label;
+      item.title = criterion.title;
       item.addEventListener("click", () => {
         dropdown.classList.remove("coto-sorter-dropdown-open");
-        debugLog(`Ordenar dropdown: Sort by ${ft.key}`);
-        sortProducts(ft.key, () => updateButtonStates(ft.key));
+        const spec = toSortSpec({
+          key: criterion.key,
+          dir: dirControl.select.value,
+          tieKey: tieControl.select.value || null,
+        });
+        debugLog(`Ordenar dropdown: Sort by ${describeSort(spec)}`);
+        keepScroll(() => chooseSort(spec, () => updateButtonStates(spec)));
       });
-      filterDropdownItems[ft.key] = item;
+      filterDropdownItems[criterion.key] = item;
       dropdown.appendChild(item);
-    }
+    };
+
+    FILTER_TYPES.forEach(addCriterionItem);
+
+    const otherLabel = document.createElement("div");
+    otherLabel.className = "coto-sorter-dropdown-label";
+    otherLabel.textContent = "Otros criterios:";
+    dropdown.appendChild(otherLabel);
+    SORT_CRITERIA.forEach(addCriterionItem);
 
     btnOrdenar.addEventListener("click", () => {
       dropdown.classList.toggle("coto-sorter-dropdown-open");
@@ -271,10 +358,21 @@ window.CotoSorter.ui = (function () {
     itemRevista.title = "Abre una revista imprimible (podés guardarla como PDF desde el navegador)";
     itemRevista.addEventListener("click", () => {
       dropdown.classList.remove("coto-sorter-dropdown-open");
-      startRevistaGeneration(getCount(), updateProgress);
+      runCancellable((signal) => startRevistaGeneration(getCount(), updateProgress, signal));
     });
     dropdown.appendChild(itemRevista);
 
+    // Refrescar datos: ignora la categoría guardada (cache) y la vuelve a pedir a la API
+    const itemRefresh = document.createElement("button");
+    itemRefresh.className = "coto-sorter-dropdown-item";
+    itemRefresh.textContent = "🔄 Refrescar datos";
+    itemRefresh.title = "Volver a traer los productos de Coto sin usar los datos guardados";
+    itemRefresh.addEventListener("click", () => {
+      dropdown.classList.remove("coto-sorter-dropdown-open");
+      runCancellable((signal) => refreshScrapeData(updateProgress, signal));
+    });
+    dropdown.appendChild(itemRefresh);
+
     // Indicador de progreso
     const progressEl = document.createElement("div");
     progressEl.className = "coto-sorter-progress";
@@ -288,9 +386,20 @@ window.CotoSorter.ui = (function () {
     const progressBar = document.createElement("div");
     progressBar.className = "coto-sorter-progress-bar";
 
+    const cancelBtn = document.createElement("button");
+    cancelBtn.type = "button";
+    cancelBtn.className = "coto-sorter-progress-cancel";
+    cancelBtn.textContent = "Cancelar";
+    cancelBtn.title = "Detener la carga de productos";
+    cancelBtn.hidden = true;
+    cancelBtn.addEventListener("click", () => {
+      if (scrapeController) scrapeController.abort();
+    });
+
     progressBarWrap.appendChild(progressBar);
     progressEl.appendChild(progressText);
     progressEl.appendChild(progressBarWrap);
+    progressEl.appendChild(cancelBtn);
 
     wrap.appendChild(btnGenerar);
     wrap.appendChild(dropdown);
@@ -306,16 +415,7 @@ window.CotoSorter.ui = (function () {
     btn.addEventListener("click", () => {
       const countInput = document.querySelector(".coto-sorter-dropdown-input");
       const count = countInput && countInput.value ? parseInt(countInput.value, 10) : null;
-
-      if (hasUsedVistaLigera) {
-        debugLog("Vista Ligera ya fue usada; recargando página para refrescar estado");
-        sessionStorage.setItem(PENDING_VISTA_LIGERA_KEY, count === null ? "" : String(count));
-        window.location.reload();
-        return;
-      }
-
-      hasUsedVistaLigera = true;
-      startRevistaHTMLGeneration(count, updateProgress);
+      runCancellable((signal) => startRevistaHTMLGeneration(count, updateProgress, signal));
     });
     return btn;
   }
@@ -324,14 +424,64 @@ window.CotoSorter.ui = (function () {
     const btn = document.createElement("button");
     btn.className = "coto-sorter-btn coto-sorter-btn-reset";
     btn.textContent = "Reset";
-    btn.title = "Recargar página y restaurar estado";
+    btn.title = "Volver al orden original de la página (sin recargar)";
     btn.addEventListener("click", () => {
-      debugLog("Button clicked: Reset (reload)");
-      window.location.reload();
+      debugLog("Button clicked: Reset");
+      keepScroll(() => chooseSort(null, () => updateButtonStates(null)));
     });
     return btn;
   }
 
+  /** Deshacer / rehacer entre los órdenes elegidos (criterio y dirección). */
+  function createHistoryButtons() {
+    const row = document.createElement("div");
+    row.className = "coto-sorter-history";
+
+    btnUndo = document.createElement("button");
+    btnUndo.className = "coto-sorter-btn coto-sorter-btn-history";
+    btnUndo.textContent = "↶ Deshacer";
+    btnUndo.addEventListener("click", () => {
+      keepScroll(() => undoSort(() => updateButtonStates(getCurrentFilter())));
+    });
+
+    btnRedo = document.createElement("button");
+    btnRedo.className = "coto-sorter-btn coto-sorter-btn-history";
+    btnRedo.textContent = "↷ Rehacer";
+    btnRedo.addEventListener("click", () => {
+      keepScroll(() => redoSort(() => updateButtonStates(getCurrentFilter())));
+    });
+
+    row.append(btnUndo, btnRedo);
+    updateHistoryButtons();
+    return row;
+  }
+
+  /** Aviso discreto cuando la API de Coto trae registros sin precio/nombre (cambió el formato). */
+  function createSchemaWarning() {
+    const box = document.createElement("div");
+    box.className = "coto-sorter-schema-warning";
+    box.hidden = true;
+
+    const text = document.createElement("span");
+    text.className = "coto-sorter-schema-warning-text";
+
+    const closeBtn = document.createElement("button");
+    closeBtn.type = "button";
+    closeBtn.className = "coto-sorter-schema-warning-close";
+    closeBtn.textContent = "✕";
+    closeBtn.title = "Ocultar aviso";
+    closeBtn.addEventListener("click", () => { box.hidden = true; });
+
+    box.append(text, closeBtn);
+    onSchemaDrift((summary) => {
+      box.hidden = !summary;
+      if (!summary) return;
+      text.textContent = describeSchemaDrift(summary);
+      box.title = `${schemaDiagnostic(summary)}\nLos precios de la revista y la Vista Ligera pueden estar mal.`;
+    });
+    return box;
+  }
+
   function createOpinionesButton() {
     const btn = document.createElement("button");
     btn.className = "coto-sorter-btn coto-sorter-btn-opiniones";
@@ -361,6 +511,8 @@ window.CotoSorter.ui = (function () {
     buttons.appendChild(createOrdenarDropdown());
     buttons.appendChild(createGenerarDropdown());
     buttons.appendChild(createResetButton());
+    buttons.appendChild(createHistoryButtons());
+    buttons.appendChild(createSchemaWarning());
 
     const separator = document.createElement("hr");
     separator.className = "coto-sorter-separator";
@@ -372,7 +524,6 @@ window.CotoSorter.ui = (function () {
 
     makeDraggable(panelEl, header);
     document.body.appendChild(panelEl);
-    scheduleVistaLigeraAfterReload();
     debugLog("UI panel injected");
   }
 
@@ -1,7 +1,8 @@
 // utils.js — Constantes, parsers y normalizadores de tipo
-window.CotoSorter = window.CotoSorter || {};
+// `self` en lugar de `window`: background.js también lo carga (isCotoUrl).
+self.CotoSorter = self.CotoSorter || {};
 
-window.CotoSorter.utils = (function () {
+self.CotoSorter.utils = (function () {
   "use strict";
 
   const DEBOUNCE_MS = 400;
@@ -12,13 +13,36 @@ window.CotoSorter.utils = (function () {
   const UNIT_QTY_REGEX = /Precio\s+por\s+(1|100)\s+/i;
 
   const FILTER_TYPES = [
-    { key: "weight",  label: "$/Kg ↑",     title: "Ordenar por precio real por kilogramo" },
-    { key: "volume",  label: "$/L ↑",      title: "Ordenar por precio real por litro" },
-    { key: "100g",    label: "$/100g ↑",   title: "Ordenar por precio por 100 gramos" },
-    { key: "square",  label: "$/m² ↑",     title: "Ordenar por precio por cuadrado" },
-    { key: "unit",    label: "$/Unidad ↑", title: "Ordenar por precio por unidad" },
+    { key: "weight",  label: "$/Kg",     title: "Ordenar por precio real por kilogramo" },
+    { key: "drained", label: "$/Kg escurrido", title: "Ordenar por precio por kilo escurrido" },
+    { key: "volume",  label: "$/L",      title: "Ordenar por precio real por litro" },
+    { key: "100g",    label: "$/100g",   title: "Ordenar por precio por 100 gramos" },
+    { key: "square",  label: "$/m²",     title: "Ordenar por precio por cuadrado" },
+    { key: "unit",    label: "$/Unidad", title: "Ordenar por precio por unidad" },
+    { key: "paperMeter", label: "Papel $/m", title: "Ordenar papel higiénico/de cocina por precio por metro" },
+    { key: "paperPly",   label: "Papel $/m 1 hoja", title: "Ordenar papel por metro equivalente de hoja simple (doble hoja = ×2)" },
+    { key: "innerUnit",  label: "$/u interna", title: "Ordenar packs por precio de cada unidad interna (Pack x 12, Caja 24 sobres)" },
   ];
 
+  /** Criterios que no dependen del tipo de unidad. defaultDir = dirección en modo "Auto". */
+  const SORT_CRITERIA = [
+    { key: "discountPct", label: "% descuento",  title: "Ordenar por porcentaje de descuento", defaultDir: "desc" },
+    { key: "savings",     label: "Ahorro $",     title: "Ordenar por ahorro en pesos por unidad comprada", defaultDir: "desc" },
+    { key: "finalPrice",  label: "Precio final", title: "Ordenar por precio final a pagar", defaultDir: "asc" },
+    { key: "name",        label: "Nombre",       title: "Ordenar alfabéticamente por nombre", defaultDir: "asc", text: true },
+    { key: "brand",       label: "Marca",        title: "Ordenar alfabéticamente por marca", defaultDir: "asc", text: true },
+  ];
+
+  /**
+   * Conversiones a una escala común para comparar listados distintos.
+   * "100g" siempre se lleva a kg en modo normalizado; kilo escurrido solo si se pide
+   * (peso escurrido no equivale a peso neto).
+   */
+  const UNIT_CONVERSIONS = {
+    "100g":  { to: "weight", factor: 10 },
+    drained: { to: "weight", factor: 1, optIn: "includeDrained" },
+  };
+
   /** Parsea precio argentino ("$3.950,00") a Number. */
   function parsePrice(raw) {
     if (raw == null) return NaN;
@@ -57,7 +81,7 @@ window.CotoSorter.utils = (function () {
   /** Normaliza texto de unidad del DOM a tipo interno ("weight", "volume", etc). */
   function normalizeUnitType(unitText, qty) {
     const lower = unitText.toLowerCase().trim();
-    if (lower.startsWith("kilo")) return "weight";
+    if (lower.startsWith("kilo")) return /escurrido/.test(lower) ? "drained" : "weight";
     if (lower.startsWith("litro")) return "volume";
     if (lower.startsWith("gramo") && qty === "100") return "100g";
     if (lower.startsWith("cuadrado")) return "square";
@@ -69,7 +93,7 @@ window.CotoSorter.utils = (function () {
   function cFormatoToUnitType(cFormato) {
     if (!cFormato) return null;
     const f = cFormato.trim().toLowerCase();
-    if (f.startsWith("kilo") || f.startsWith("kg")) return "weight";
+    if (f.startsWith("kilo") || f.startsWith("kg")) return f.includes("escurrido") ? "drained" : "weight";
     if (f.startsWith("litro") || f.startsWith("lt")) return "volume";
     if (f.startsWith("100")) return "100g";
     if (
@@ -81,10 +105,11 @@ window.CotoSorter.utils = (function () {
     return null;
   }
 
-  /** Label corto: "kg", "L", "100g", "m²", "u" */
+  /** Label corto: "kg", "kg escurrido", "L", "100g", "m²", "u" */
   function unitLabel(unitType) {
     switch (unitType) {
       case "weight":  return "kg";
+      case "drained": return "kg escurrido";
       case "volume":  return "L";
       case "100g":    return "100g";
       case "square":  return "m²";
@@ -97,6 +122,7 @@ window.CotoSorter.utils = (function () {
   function unitTypeSeparatorLabel(unitType) {
     switch (unitType) {
       case "weight":  return "Precio por 1 Kg";
+      case "drained": return "Precio por 1 Kg Escurrido";
       case "volume":  return "Precio por 1 Litro";
       case "100g":    return "Precio por 100 Gramos";
       case "square":  return "Precio por 1 Metro Cuadrado";
@@ -110,6 +136,7 @@ window.CotoSorter.utils = (function () {
     if (product.unitType) return product.unitType;
     if (!product.unitPriceText) return null;
     const text = product.unitPriceText.toLowerCase();
+    if (/kilo\s+escurrido/i.test(text)) return "drained";
     if (/kilo/i.test(text)) return "weight";
     if (/litro/i.test(text)) return "volume";
     if (/100\s*gramo/i.test(text)) return "100g";
@@ -118,6 +145,66 @@ window.CotoSorter.utils = (function () {
     return null;
   }
 
+  /**
+   * Tipo y factor para comparar en escala común ($/100g × 10 = $/kg).
+   * @param {string|null} unitType
+   * @param {{ normalize?: boolean, includeDrained?: boolean }} [options] — sin normalize, identidad
+   * @returns {{ unitType: string|null, factor: number }}
+   */
+  function comparableUnit(unitType, options) {
+    const conversion = UNIT_CONVERSIONS[unitType];
+    if (!options?.normalize || !conversion) return { unitType, factor: 1 };
+    if (conversion.optIn && !options[conversion.optIn]) return { unitType, factor: 1 };
+    return { unitType: conversion.to, factor: conversion.factor };
+  }
+
+  /** Normaliza SKU/PLU a dígitos sin ceros a la izquierda: "sku00602180" → "602180". */
+  function normalizeSku(raw) {
+    if (raw == null) return null;
+    const match = String(raw).match(/\d+/);
+    if (!match) return null;
+    const digits = match[0].replace(/^0+/, "");
+    return digits || null;
+  }
+
+  /** Extrae el PLU de un href de producto ("/_/R-00602180-00602180-200"). */
+  function skuFromHref(href) {
+    const match = String(href || "").match(/\/R-(\d+)/i);
+    return match ? normalizeSku(match[1]) : null;
+  }
+
+  /**
+   * True si la URL es una página https de cotodigital. Lo único que se guarda como link de producto
+   * (watchlist) o se abre desde la extensión (notificaciones, popup).
+   */
+  function isCotoUrl(href) {
+    try {
+      const url = new URL(href);
+      return url.protocol === "https:" && url.hostname === "www.cotodigital.com.ar";
+    } catch {
+      return false;
+    }
+  }
+
+  /** True si es una imagen https de COTO (static.cotodigital3.com.ar o el sitio): lo único que usa Vista Ligera. */
+  function isCotoImageUrl(src) {
+    try {
+      const url = new URL(src);
+      return url.protocol === "https:" &&
+        (url.hostname === "www.cotodigital.com.ar" || url.hostname.endsWith(".cotodigital3.com.ar"));
+    } catch {
+      return false;
+    }
+  }
+
+  /** Fecha local "YYYY-MM-DD" (clave diaria para historial/alertas). */
+  function localDateKey(date) {
+    const d = date || new Date();
+    const mm = String(d.getMonth() + 1).padStart(2, "0");
+    const dd = String(d.getDate()).padStart(2, "0");
+    return `${d.getFullYear()}-${mm}-${dd}`;
+  }
+
   return {
     DEBOUNCE_MS,
     BADGE_CLASS,
@@ -125,6 +212,7 @@ window.CotoSorter.utils = (function () {
     UNIT_PRICE_REGEX,
     UNIT_QTY_REGEX,
     FILTER_TYPES,
+    SORT_CRITERIA,
     parsePrice,
     formatPrice,
     formatApiPrice,
@@ -134,5 +222,11 @@ window.CotoSorter.utils = (function () {
     unitLabel,
     unitTypeSeparatorLabel,
     detectUnitTypeFromProduct,
+    comparableUnit,
+    normalizeSku,
+    skuFromHref,
+    isCotoUrl,
+    isCotoImageUrl,
+    localDateKey,
   };
 })();
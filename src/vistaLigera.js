@@ -5,42 +5,161 @@ window.CotoSorter.vistaLigera = (function () {
   "use strict";
 
   const { resolveBrand, pickPromoLabel, escapeHtmlAttr } = window.CotoSorter.promoUtils;
-  const { parseMoneyLoose, resolveDisplayPrices } = window.CotoSorter.priceUtils;
+  const { parseMoneyLoose, resolveDisplayPrices, sortUnitPriceValue } = window.CotoSorter.priceUtils;
+  const { describePromo } = window.CotoSorter.promoParser;
+  const { summarizeHistory, describeHistory, buildSparklineSVG } = window.CotoSorter.priceHistory;
+  const { isTargetHit, describeTarget, VISTA_MESSAGE_SOURCE } = window.CotoSorter.watchlist;
+  const watchlist = window.CotoSorter.watchlist;
+  const basket = window.CotoSorter.basket;
+  const {
+    unitLabel,
+    formatPrice,
+    detectUnitTypeFromProduct,
+    comparableUnit,
+    isCotoUrl,
+    isCotoImageUrl,
+  } = window.CotoSorter.utils;
+  const { getSetting, getUnitCompareOptions } = window.CotoSorter.settings;
+  const { describeOffer, eligibleOffers } = window.CotoSorter.paymentOffers;
+  const { criterionValue } = window.CotoSorter.sortCriteria;
+  const { runVistaPage } = window.CotoSorter.vistaPage;
+  const {
+    parsePaperRolls,
+    paperUnitPrices,
+    parseMultipack,
+    innerUnitPrice,
+    formatWeight,
+    weighableKgPrice,
+    weighablePrices,
+  } = window.CotoSorter.sizeParser;
 
   // ---- Helpers de construcción HTML ----
 
-  function buildCardHTML(p, groupUnitType) {
-    const safeName = (p.name || "").replace(/"/g, "&quot;").replace(/</g, "&lt;");
-    const safeUnitType = (p.unitType || groupUnitType || "").toString();
+  function buildHistoryHTML(points, currentPrice) {
+    const summary = summarizeHistory(points, currentPrice);
+    if (!summary) return "";
+
+    const isLowest = summary.isLowest && summary.days >= 1;
+    return `<div class="price-history${isLowest ? " is-lowest" : ""}">` +
+      buildSparklineSVG(points, 110, 24) +
+      `<span class="history-hint">${describeHistory(summary)}</span>` +
+      `</div>`;
+  }
+
+  function buildCardHTML(p, groupUnitType, ctx) {
+    // Todo lo que viene del sitio (o de un HAR/JSON ajeno en replay) se escapa; links e imágenes solo de COTO.
+    const safeName = escapeHtmlAttr(p.name);
+    const safeUnitType = escapeHtmlAttr(p.unitType || groupUnitType);
     const isDobleHoja = /doble\s+hoja/i.test(p.name || "");
+    const href = isCotoUrl(p.href) ? p.href : null;
 
-    const imgTag = p.imgSrc
-      ? `<img src="${p.imgSrc}" alt="" loading="lazy" onerror="this.style.display='none'">`
+    const imgTag = isCotoImageUrl(p.imgSrc)
+      ? `<img src="${escapeHtmlAttr(p.imgSrc)}" alt="" loading="lazy">`
       : `<div class="no-img"></div>`;
 
-    const resolved = resolveDisplayPrices(p);
+    const resolved = resolveDisplayPrices(p, eligibleOffers(p.paymentOffers));
 
     const priceClass = resolved.hasDiscount ? "price-regular striked" : "price-regular";
     const discountRow = resolved.hasDiscount
-      ? `<div class="price-discount">${resolved.promoPriceText}</div>`
+      ? `<div class="price-discount">${escapeHtmlAttr(resolved.promoPriceText)}</div>`
+      : "";
+    // Qué descuentos se combinaron para llegar al precio (y cuáles no por "No acumulable").
+    const discountExplainHTML = resolved.hasDiscount && resolved.discountExplanation
+      ? `<div class="discount-explain">${escapeHtmlAttr(resolved.discountExplanation)}</div>`
       : "";
 
     const promoLabel = pickPromoLabel(p);
     const brandLabel = resolveBrand(p);
     const promoFilterValue = promoLabel || "Sin oferta";
+    const promoTitle = describePromo(resolved.promoInfo?.best);
     const badgesHTML = promoLabel
-      ? `<div class="badges"><span class="badge">${promoLabel}</span></div>`
+      ? `<div class="badges"><span class="badge"${promoTitle ? ` title="${escapeHtmlAttr(promoTitle)}"` : ""}>${escapeHtmlAttr(promoLabel)}</span></div>`
+      : "";
+
+    // Cuotas/medios de pago: línea visible si aplica una tarjeta del usuario, detalle en hover.
+    const paymentOffers = Array.isArray(p.paymentOffers) ? p.paymentOffers : [];
+    const paymentTitle = paymentOffers.map(describeOffer).join("\n");
+    const paymentHTML = paymentOffers.length
+      ? `<div class="payment-offer${resolved.paymentOffer ? " applied" : ""}" title="${escapeHtmlAttr(paymentTitle)}">💳 ${escapeHtmlAttr(resolved.paymentOffer ? describeOffer(resolved.paymentOffer) : `${paymentOffers.length} oferta${paymentOffers.length > 1 ? "s" : ""} con medios de pago`)}</div>`
       : "";
 
+    // Listado en otra unidad que la del grupo ($/100g dentro de Kg): mostrar la escala del grupo.
+    const comparable = comparableUnit(detectUnitTypeFromProduct(p), getUnitCompareOptions());
+    const comparableHTML = groupUnitType && comparable.unitType === groupUnitType && comparable.factor !== 1 &&
+      Number.isFinite(resolved.unitPriceValue)
+      ? `<div class="unit-price-comparable">≈ $/${unitLabel(groupUnitType)}: ${formatPrice(resolved.unitPriceValue * comparable.factor)}</div>`
+      : "";
+    // $/X del sitio inconsistente con el tamaño del nombre: estimado propio al lado.
+    const unitCheck = resolved.unitCheck;
+    const doubtfulHTML = unitCheck?.doubtful
+      ? `<div class="unit-price-doubtful" title="${escapeHtmlAttr(`Por tamaño (${unitCheck.size.text}) el $/X regular da ${formatPrice(unitCheck.estimate)}`)}">⚠ dudoso · calc. $/${escapeHtmlAttr(unitLabel(detectUnitTypeFromProduct(p)))}: ${formatPrice(resolved.unitEstimate)}</div>`
+      : "";
+    // Promo por cantidad: dos líneas ("comprando 1" y "llevando N").
+    const takeHTML = resolved.takeUnitPriceText
+      ? `<div class="unit-price-take">${escapeHtmlAttr(resolved.takeUnitPriceText)}</div>`
+      : "";
     const unitPriceHTML = resolved.unitPriceText
-      ? `<div class="unit-price">${resolved.unitPriceText}</div>`
+      ? `<div class="unit-price${unitCheck?.doubtful ? " doubtful" : ""}">${escapeHtmlAttr(resolved.singleUnitPriceText || resolved.unitPriceText)}</div>${takeHTML}${doubtfulHTML}${comparableHTML}`
       : "";
 
     const primaryPriceValue = resolved.hasDiscount
       ? parseMoneyLoose(resolved.promoPriceText)
       : parseMoneyLoose(resolved.regularPriceText);
 
-    const tag = p.href ? "a" : "div";
+    // Criterios generales del selector "Orden" (mismos valores que el orden en la página).
+    const priceFields = { regularPrice: parseMoneyLoose(resolved.regularPriceText), paidPrice: primaryPriceValue };
+    const discountPct = criterionValue(priceFields, "discountPct");
+    const savings = criterionValue(priceFields, "savings");
+
+    const historyHTML = p.sku ? buildHistoryHTML(ctx?.histories?.[p.sku], primaryPriceValue) : "";
+
+    // Papel: $/metro y $/metro de hoja simple (claves de orden del selector "Orden").
+    const paper = parsePaperRolls(p.name);
+    const paperPrices = paper ? paperUnitPrices(primaryPriceValue, paper) : null;
+    const paperHTML = paperPrices
+      ? `<div class="paper-price" title="${paper.rolls} × ${paper.metersPerRoll} m${paper.plies > 1 ? ` (${paper.plies} hojas = ${paper.singlePlyMeters} m de hoja simple)` : ""}">🧻 $/m: ${formatPrice(paperPrices.perMeter)}${paper.plies > 1 ? ` · 1 hoja: ${formatPrice(paperPrices.perSinglePlyMeter)}` : ""}</div>`
+      : "";
+
+    // Multipack: $/unidad interna (clave "innerUnit" del selector "Orden").
+    const pack = parseMultipack(p.name, p.unitOfMeasure, p.formatQuantity);
+    const perInnerUnit = innerUnitPrice(primaryPriceValue, pack);
+    const packHTML = Number.isFinite(perInnerUnit)
+      ? `<div class="pack-price" title="${escapeHtmlAttr(`Pack de ${pack.units} (${pack.text})`)}">📦 $/unidad interna: ${formatPrice(perInnerUnit)}</div>`
+      : "";
+
+    // Pesables: precio por paso, compra mínima y estimador por peso (data-kg-price, con descuento).
+    const kgPrice = p.weighable
+      ? weighableKgPrice(detectUnitTypeFromProduct(p), resolved.unitPriceValue, primaryPriceValue)
+      : NaN;
+    const weighPrices = weighablePrices(kgPrice, p.weighable);
+    const weighParts = weighPrices
+      ? [
+        Number.isFinite(weighPrices.perStep) ? `${formatWeight(p.weighable.stepKg)}: ${formatPrice(weighPrices.perStep)}` : "",
+        Number.isFinite(weighPrices.minimumCost) && p.weighable.minKg !== p.weighable.stepKg
+          ? `mín. ${formatWeight(p.weighable.minKg)}: ${formatPrice(weighPrices.minimumCost)}`
+          : "",
+      ].filter(Boolean)
+      : [];
+    const weighHTML = Number.isFinite(kgPrice)
+      ? `<div class="weigh-price">${weighParts.length ? `<div>⚖️ ${weighParts.join(" · ")}</div>` : ""}` +
+        `<label class="weight-estimate" title="Estimado a ${formatPrice(kgPrice)}/kg">⚖️ <input type="text" inputmode="decimal" placeholder="350 g"><span class="weight-result"></span></label></div>`
+      : "";
+
+    const watchItem = p.sku ? ctx?.watchlist?.[p.sku] : null;
+    const isWatchHit = watchItem
+      ? isTargetHit(watchItem, { finalPrice: primaryPriceValue, unitPrice: resolved.unitPriceValue })
+      : false;
+    const watchHTML = p.sku
+      ? `<button type="button" class="watch-btn${watchItem ? " watching" : ""}" title="${watchItem ? `Siguiendo (objetivo ${escapeHtmlAttr(describeTarget(watchItem))})` : "Seguir producto"}">${watchItem ? "★" : "☆"}</button>`
+      : "";
+
+    // Solo productos BFF traen precios por sucursal para la canasta.
+    const inBasket = !!(p.sku && ctx?.basket?.[p.sku]);
+    const basketHTML = p.sku && p.storePrices
+      ? `<button type="button" class="basket-btn${inBasket ? " in-basket" : ""}" title="${inBasket ? "Quitar de la canasta" : "Agregar a la canasta para comparar sucursales"}">${inBasket ? "✓ Canasta" : "+ Canasta"}</button>`
+      : "";
+
+    const tag = href ? "a" : "div";
     const attrs = [
       `class="card-link"`,
       `data-name="${safeName.toLowerCase()}"`,
@@ -49,30 +168,43 @@ window.CotoSorter.vistaLigera = (function () {
       `data-promo="${escapeHtmlAttr(String(promoFilterValue).toLowerCase())}"`,
       `data-price="${Number.isFinite(primaryPriceValue) && primaryPriceValue > 0 ? primaryPriceValue : ""}"`,
       `data-unit-price="${Number.isFinite(resolved.unitPriceValue) && resolved.unitPriceValue > 0 ? resolved.unitPriceValue : ""}"`,
-      p.href ? `href="${p.href}" target="_blank"` : "",
+      p.sku ? `data-sku="${escapeHtmlAttr(p.sku)}"` : "",
+      paperPrices ? `data-paper-meter="${paperPrices.perMeter}" data-paper-ply="${paperPrices.perSinglePlyMeter}"` : "",
+      Number.isFinite(perInnerUnit) ? `data-inner-unit="${perInnerUnit}"` : "",
+      Number.isFinite(kgPrice) ? `data-kg-price="${kgPrice}"` : "",
+      Number.isFinite(discountPct) ? `data-discount-pct="${discountPct}" data-savings="${savings}"` : "",
+      `data-unit-label="${escapeHtmlAttr(unitLabel(p.unitType || groupUnitType))}"`,
+      watchItem ? `data-watch-type="${escapeHtmlAttr(watchItem.targetType)}" data-watch-target="${escapeHtmlAttr(watchItem.target)}"` : "",
+      href ? `href="${escapeHtmlAttr(href)}" target="_blank"` : "",
     ].filter(Boolean).join(" ");
 
     return `<${tag} ${attrs}>
-  <div class="card${isDobleHoja ? " card-doble-hoja" : ""}">
-    <div class="card-img">${imgTag}</div>
+  <div class="card${isDobleHoja ? " card-doble-hoja" : ""}${isWatchHit ? " watch-hit" : ""}">
+    <div class="card-img">${imgTag}${watchHTML}${basketHTML}</div>
     <div class="card-info">
-      <div class="card-name">${p.name || "Producto"}</div>
-      <div class="card-brand">${brandLabel}</div>
-      <div class="${priceClass}">${resolved.regularPriceText}</div>
+      <div class="card-name">${safeName || "Producto"}</div>
+      <div class="card-brand">${escapeHtmlAttr(brandLabel)}</div>
+      <div class="${priceClass}">${escapeHtmlAttr(resolved.regularPriceText)}</div>
       ${discountRow}
+      ${discountExplainHTML}
       ${badgesHTML}
+      ${paymentHTML}
+      ${historyHTML}
       ${unitPriceHTML}
+      ${paperHTML}
+      ${packHTML}
+      ${weighHTML}
     </div>
   </div>
 </${tag}>`;
   }
 
-  function buildGroupHTML(group) {
+  function buildGroupHTML(group, ctx) {
     const count = group.products.length;
-    const cardsHTML = group.products.map((p) => buildCardHTML(p, group.unitType)).join("\n");
+    const cardsHTML = group.products.map((p) => buildCardHTML(p, group.unitType, ctx)).join("\n");
     return `<section class="group">
   <div class="group-separator" role="button" title="Colapsar/expandir sección">
-    <span class="group-label">${group.label}</span>
+    <span class="group-label">${escapeHtmlAttr(group.label)}</span>
     <span class="group-count">${count} producto${count !== 1 ? "s" : ""} — ordenados de menor a mayor</span>
     <button class="group-collapse-btn" aria-label="Colapsar sección">&#9660;</button>
   </div>
@@ -158,6 +290,13 @@ window.CotoSorter.vistaLigera = (function () {
       margin-right: 4px;
     }
 
+    .header-store {
+      font-size: 12px;
+      font-weight: 700;
+      color: var(--accent-main);
+      white-space: nowrap;
+    }
+
     .header-date {
       font-size: 12px;
       color: var(--text-muted);
@@ -577,6 +716,93 @@ window.CotoSorter.vistaLigera = (function () {
 
     .no-img { width: 100%; aspect-ratio: 1; background: #f3ebe7; }
 
+    .card-img { position: relative; }
+
+    .watch-btn {
+      position: absolute;
+      top: 6px;
+      right: 6px;
+      width: 26px;
+      height: 26px;
+      border-radius: 999px;
+      border: 1px solid var(--border-soft);
+      background: rgba(255, 255, 255, 0.92);
+      color: #9c8378;
+      font-size: 14px;
+      line-height: 1;
+      cursor: pointer;
+      transition: color var(--motion-fast) var(--motion-ease), transform var(--motion-fast) var(--motion-ease);
+    }
+
+    .watch-btn:hover { transform: scale(1.08); color: #d39200; }
+    .watch-btn.watching { color: #d39200; border-color: #f0d48a; }
+
+    .payment-offer {
+      font-size: 11px;
+      color: var(--text-muted);
+      cursor: help;
+    }
+
+    .payment-offer.applied {
+      color: #1f9866;
+      font-weight: 700;
+    }
+
+    .basket-btn {
+      position: absolute;
+      left: 6px;
+      bottom: 6px;
+      padding: 3px 8px;
+      border-radius: 999px;
+      border: 1px solid var(--border-soft);
+      background: rgba(255, 255, 255, 0.92);
+      color: var(--text-muted);
+      font-size: 11px;
+      font-weight: 700;
+      cursor: pointer;
+    }
+
+    .basket-btn:hover { color: var(--accent-main); border-color: var(--accent-main); }
+    .basket-btn.in-basket { color: #fff; background: #1f9866; border-color: #1f9866; }
+
+    .card.watch-hit {
+      border-color: #f0b429;
+      box-shadow: 0 0 0 2px #f0b429;
+    }
+
+    .watch-form {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 4px;
+      padding: 6px;
+      border-radius: 8px;
+      background: var(--surface-strong);
+      border: 1px solid var(--border-soft);
+    }
+
+    .watch-form select,
+    .watch-form input {
+      flex: 1 1 70px;
+      min-width: 0;
+      padding: 4px 6px;
+      border: 1px solid var(--border-soft);
+      border-radius: 6px;
+      font-size: 11px;
+      background: #fff;
+    }
+
+    .watch-form button {
+      flex: 1 1 auto;
+      padding: 4px 6px;
+      border: 1px solid var(--accent-main);
+      border-radius: 6px;
+      background: #fff;
+      color: var(--accent-main);
+      font-size: 11px;
+      font-weight: 700;
+      cursor: pointer;
+    }
+
     .card-info {
       padding: 10px 11px 11px;
       display: flex;
@@ -640,6 +866,18 @@ window.CotoSorter.vistaLigera = (function () {
       box-shadow: 0 1px 5px rgba(173, 73, 56, 0.25);
     }
 
+    .price-history {
+      display: flex;
+      flex-direction: column;
+      gap: 2px;
+      font-size: 10px;
+      font-weight: 600;
+      color: var(--text-muted);
+    }
+
+    .price-history .coto-sorter-sparkline { color: var(--accent-main); }
+    .price-history.is-lowest .history-hint { color: var(--accent-green); }
+
     .unit-price {
       font-size: 11px;
       font-weight: 700;
@@ -651,6 +889,72 @@ window.CotoSorter.vistaLigera = (function () {
       border: 1px solid #c8ead7;
     }
 
+    .paper-price,
+    .pack-price {
+      font-size: 10px;
+      font-weight: 700;
+      color: var(--accent-unit);
+      margin-top: 3px;
+      padding: 0 6px;
+    }
+
+    .weigh-price {
+      font-size: 10px;
+      font-weight: 700;
+      color: var(--accent-unit);
+      margin-top: 3px;
+      padding: 0 6px;
+    }
+
+    .weight-estimate input {
+      width: 56px;
+      padding: 1px 4px;
+      border: 1px solid #ccc;
+      border-radius: 4px;
+      font: inherit;
+    }
+
+    .weight-result {
+      margin-left: 4px;
+    }
+
+    .unit-price.doubtful {
+      background: #fff4e0;
+      border-color: #f0ad4e;
+      color: #a15c00;
+    }
+
+    .discount-explain {
+      font-size: 10px;
+      font-weight: 600;
+      color: var(--accent-green);
+      margin-top: 2px;
+    }
+
+    .unit-price-take {
+      font-size: 11px;
+      font-weight: 700;
+      color: var(--accent-green);
+      margin-top: 3px;
+      padding: 0 6px;
+    }
+
+    .unit-price-doubtful {
+      font-size: 10px;
+      font-weight: 700;
+      color: #a15c00;
+      margin-top: 3px;
+      padding: 0 6px;
+    }
+
+    .unit-price-comparable {
+      font-size: 10px;
+      color: var(--accent-unit);
+      margin-top: 3px;
+      padding: 0 6px;
+      opacity: 0.85;
+    }
+
     @keyframes cardEnter {
       from { opacity: 0; transform: translateY(6px); }
       to { opacity: 1; transform: translateY(0); }
@@ -809,7 +1113,7 @@ window.CotoSorter.vistaLigera = (function () {
         color: #000;
         border-bottom: 2px solid #cf5b45;
       }
-      .search-wrap, .search-count, .group-collapse-btn { display: none !important; }
+      .search-wrap, .search-count, .group-collapse-btn, .watch-btn, .watch-form, .basket-btn { display: none !important; }
       .unit-filter-wrap { display: none !important; }
       .filters-row, .range-filter-wrap, .multi-filter, .vista-footer { display: none !important; }
       .group {
@@ -838,249 +1142,11 @@ window.CotoSorter.vistaLigera = (function () {
     }
   `;
 
-  // ---- Script de búsqueda (se embebe como texto en el HTML final) ----
-
-  const SEARCH_SCRIPT = `
-    (function () {
-      var input   = document.getElementById('search-input');
-      var unitSelect = document.getElementById('unit-filter');
-      var priceMinInput = document.getElementById('price-min');
-      var priceMaxInput = document.getElementById('price-max');
-      var rangeUseUnit = document.getElementById('range-use-unit');
-      var brandOptions = document.getElementById('brand-options');
-      var brandSearchInput = document.getElementById('brand-search-input');
-      var promoOptions = document.getElementById('promo-options');
-      var brandFilter = document.getElementById('brand-filter');
-      var promoFilter = document.getElementById('promo-filter');
-      var clearBtn = document.getElementById('search-clear');
-      var countEl = document.getElementById('search-count');
-      var cards   = Array.from(document.querySelectorAll('.card-link'));
-      var groups  = Array.from(document.querySelectorAll('.group'));
-
-      function updateGroup(group) {
-        var visible = group.querySelectorAll('.card-link:not(.hidden)').length;
-        group.classList.toggle('empty', visible === 0);
-        var span = group.querySelector('.group-count');
-        if (!span) return;
-        if (!span.dataset.orig) span.dataset.orig = span.textContent;
-        var total = parseInt(span.dataset.orig);
-        span.textContent = visible === total
-          ? span.dataset.orig
-          : visible + ' de ' + span.dataset.orig;
-      }
-
-      function buildMultiOptions(container, values, prefix) {
-        container.innerHTML = '';
-        values.forEach(function (value, idx) {
-          var label = document.createElement('label');
-          label.className = 'multi-option';
-
-          var input = document.createElement('input');
-          input.type = 'checkbox';
-          input.checked = false;
-          input.value = value;
-          input.id = prefix + '-' + idx;
-
-          var text = document.createElement('span');
-          text.textContent = value;
-
-          label.appendChild(input);
-          label.appendChild(text);
-          container.appendChild(label);
-        });
-      }
-
-      function getCheckedValues(container) {
-        return new Set(Array.from(container.querySelectorAll('input[type="checkbox"]:checked')).map(function (x) {
-          return String(x.value || '').toLowerCase();
-        }));
-      }
-
-      function normalizeForSearch(text) {
-        return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
-      }
-
-      function filterBrandOptions(queryText, allowedBrands, onlyAllowedBrands) {
-        if (!brandOptions) return;
-        var term = normalizeForSearch(queryText).trim();
-        var allowed = allowedBrands instanceof Set ? allowedBrands : null;
-        var onlyAllowed = !!onlyAllowedBrands;
-
-        Array.from(brandOptions.querySelectorAll('.multi-option')).forEach(function (option) {
-          var input = option.querySelector('input[type="checkbox"]');
-          var valueRaw = input ? String(input.value || '').toLowerCase() : '';
-          var value = input ? normalizeForSearch(input.value) : '';
-          var matchSearch = !term || value.includes(term);
-          var matchAllowed = !onlyAllowed || (allowed && allowed.has(valueRaw));
-          option.classList.toggle('hidden-option', !(matchSearch && matchAllowed));
-        });
-      }
-
-      function updateAvailableBrandHighlight(isOfertaFilterActive, allowedBrandSet) {
-        if (!brandOptions) return;
+  // ---- Documento ----
+  // El script de la página está en src/vistaPage.js (runVistaPage); acá solo va el markup.
 
-        var options = Array.from(brandOptions.querySelectorAll('.multi-option'));
-        options.forEach(function (option) {
-          var input = option.querySelector('input[type="checkbox"]');
-          var value = input ? String(input.value || '').toLowerCase() : '';
-          var isVisibleBrand = isOfertaFilterActive && allowedBrandSet.has(value);
-
-          option.classList.toggle('available-brand', isVisibleBrand);
-        });
-
-        options.sort(function (a, b) {
-          var aInput = a.querySelector('input[type="checkbox"]');
-          var bInput = b.querySelector('input[type="checkbox"]');
-          var aValue = aInput ? String(aInput.value || '') : '';
-          var bValue = bInput ? String(bInput.value || '') : '';
-
-          if (isOfertaFilterActive) {
-            var aTop = a.classList.contains('available-brand') ? 0 : 1;
-            var bTop = b.classList.contains('available-brand') ? 0 : 1;
-            if (aTop !== bTop) return aTop - bTop;
-          }
-
-          return aValue.localeCompare(bValue, 'es', { sensitivity: 'base' });
-        });
-
-        options.forEach(function (option) {
-          brandOptions.appendChild(option);
-        });
-      }
-
-      function getAllowedBrandsFromPromos(selectedPromos) {
-        if (!(selectedPromos instanceof Set) || selectedPromos.size === 0) return null;
-        var allowed = new Set();
-
-        cards.forEach(function (card) {
-          var promo = (card.dataset.promo || '').toLowerCase();
-          var brand = (card.dataset.brand || '').toLowerCase();
-          if (selectedPromos.has(promo) && brand) {
-            allowed.add(brand);
-          }
-        });
-
-        return allowed;
-      }
-
-      function enforceAllowedBrandSelection(allowedBrands, onlyAllowedBrands) {
-        if (!brandOptions || !onlyAllowedBrands || !(allowedBrands instanceof Set)) return;
-        Array.from(brandOptions.querySelectorAll('input[type="checkbox"]')).forEach(function (input) {
-          var value = String(input.value || '').toLowerCase();
-          if (input.checked && !allowedBrands.has(value)) {
-            input.checked = false;
-          }
-        });
-      }
-
-      function filter(q, selectedUnit) {
-        var normalizedTerm = normalizeForSearch(q).trim();
-        var selected = selectedUnit || '';
-        var useUnitRange = !!(rangeUseUnit && rangeUseUnit.checked);
-        var minVal = parseFloat(priceMinInput && priceMinInput.value);
-        var maxVal = parseFloat(priceMaxInput && priceMaxInput.value);
-        var hasMin = Number.isFinite(minVal);
-        var hasMax = Number.isFinite(maxVal);
-        var selectedPromos = getCheckedValues(promoOptions);
-        var onlyAllowedBrands = selectedPromos.size > 0;
-        var allowedBrands = getAllowedBrandsFromPromos(selectedPromos);
-
-        enforceAllowedBrandSelection(allowedBrands, onlyAllowedBrands);
-
-        var selectedBrands = getCheckedValues(brandOptions);
-        var visibleCount = 0;
-        var hasFilter = !!(normalizedTerm || selected || hasMin || hasMax || selectedBrands.size > 0 || selectedPromos.size > 0);
-
-        cards.forEach(function (card) {
-          var name = normalizeForSearch(card.dataset.name || '');
-          var unit = card.dataset.unit || '';
-          var brand = (card.dataset.brand || '').toLowerCase();
-          var promo = (card.dataset.promo || '').toLowerCase();
-
-          var priceField = useUnitRange ? card.dataset.unitPrice : card.dataset.price;
-          var priceValue = parseFloat(priceField || '');
-
-          var matchName = !normalizedTerm || name.includes(normalizedTerm);
-          var matchUnit = !selected || unit === selected;
-          var matchBrand = selectedBrands.size === 0 ? true : selectedBrands.has(brand);
-          var matchPromo = selectedPromos.size === 0 ? true : selectedPromos.has(promo);
-
-          var matchRange = true;
-          if (hasMin || hasMax) {
-            if (!Number.isFinite(priceValue)) {
-              matchRange = false;
-            } else {
-              if (hasMin && priceValue < minVal) matchRange = false;
-              if (hasMax && priceValue > maxVal) matchRange = false;
-            }
-          }
-
-          var match = matchName && matchUnit && matchBrand && matchPromo && matchRange;
-          card.classList.toggle('hidden', !match);
-          if (match) {
-            visibleCount++;
-          }
-        });
-        groups.forEach(updateGroup);
-        updateAvailableBrandHighlight(onlyAllowedBrands, allowedBrands || new Set());
-        filterBrandOptions(brandSearchInput ? brandSearchInput.value : '', allowedBrands, onlyAllowedBrands);
-        clearBtn.classList.toggle('visible', !!normalizedTerm);
-        countEl.textContent = hasFilter
-          ? visibleCount + ' resultado' + (visibleCount !== 1 ? 's' : '')
-          : '';
-      }
-
-      var brands = Array.from(new Set(cards.map(function (c) {
-        return String(c.dataset.brand || '').trim();
-      }).filter(Boolean))).sort(function (a, b) {
-        return a.localeCompare(b, 'es', { sensitivity: 'base' });
-      });
-
-      var promos = Array.from(new Set(cards.map(function (c) {
-        return String(c.dataset.promo || '').trim();
-      }).filter(Boolean))).sort(function (a, b) {
-        return a.localeCompare(b, 'es', { sensitivity: 'base' });
-      });
-
-      buildMultiOptions(brandOptions, brands, 'brand-opt');
-      buildMultiOptions(promoOptions, promos, 'promo-opt');
-
-      if (brandFilter && brands.length === 0) brandFilter.style.display = 'none';
-      if (promoFilter && promos.length === 0) promoFilter.style.display = 'none';
-
-      input.addEventListener('input', function () { filter(input.value, unitSelect.value); });
-      unitSelect.addEventListener('change', function () { filter(input.value, unitSelect.value); });
-      clearBtn.addEventListener('click', function () { input.value = ''; input.focus(); filter('', unitSelect.value); });
-      if (priceMinInput) priceMinInput.addEventListener('input', function () { filter(input.value, unitSelect.value); });
-      if (priceMaxInput) priceMaxInput.addEventListener('input', function () { filter(input.value, unitSelect.value); });
-      if (rangeUseUnit) rangeUseUnit.addEventListener('change', function () { filter(input.value, unitSelect.value); });
-      if (brandOptions) brandOptions.addEventListener('change', function () { filter(input.value, unitSelect.value); });
-      if (brandSearchInput) brandSearchInput.addEventListener('input', function () { filter(input.value, unitSelect.value); });
-      if (promoOptions) promoOptions.addEventListener('change', function () { filter(input.value, unitSelect.value); });
-
-      filterBrandOptions('', null, false);
-      filter('', unitSelect.value);
-
-      // ---- Colapso de grupos ----
-      document.querySelectorAll('.group-separator').forEach(function (sep) {
-        sep.addEventListener('click', function () {
-          sep.closest('.group').classList.toggle('collapsed');
-        });
-      });
-    })();
-  `;
-
-  function buildDocumentHTML({ title, printMode, dateStr, sectionsHTML, autoPrint }) {
+  function buildBodyHTML({ printMode, dateStr, storeNote, sectionsHTML }) {
     return [
-      "<!DOCTYPE html>",
-      '<html lang="es">',
-      "<head>",
-      '  <meta charset="UTF-8">',
-      '  <meta name="viewport" content="width=device-width, initial-scale=1.0">',
-      "  <title>" + title + "</title>",
-      "  <style>" + STYLES + "  </style>",
-      "</head>",
-      "<body>",
       "  <header>",
       "    <h1>" + (printMode ? "COTO — Revista Promos" : "COTO — Vista Ligera") + "</h1>",
       '    <div class="search-wrap">',
@@ -1091,12 +1157,40 @@ window.CotoSorter.vistaLigera = (function () {
       '      <select id="unit-filter" class="unit-filter" title="Filtrar por tipo de unidad">',
       '        <option value="">Tipo de unidad</option>',
       '        <option value="weight">$/Kg</option>',
+      '        <option value="drained">$/Kg escurrido</option>',
       '        <option value="volume">$/L</option>',
       '        <option value="100g">$/100g</option>',
       '        <option value="square">$/m²</option>',
       '        <option value="unit">$/Unidad</option>',
       '      </select>',
       '    </div>',
+      '    <div class="unit-filter-wrap">',
+      '      <select id="sort-key" class="unit-filter" title="Criterio de orden dentro de cada secci\u00f3n">',
+      '        <option value="">Orden: $/X</option>',
+      '        <option value="paperMeter">Papel: $/metro</option>',
+      '        <option value="paperPly">Papel: $/m 1 hoja</option>',
+      '        <option value="innerUnit">Packs: $/unidad interna</option>',
+      '        <option value="discountPct">% descuento</option>',
+      '        <option value="savings">Ahorro $</option>',
+      '        <option value="finalPrice">Precio final</option>',
+      '        <option value="name">Nombre</option>',
+      '        <option value="brand">Marca</option>',
+      '      </select>',
+      '      <select id="sort-dir" class="unit-filter" title="Direcci\u00f3n del orden (Auto: descuento y ahorro de mayor a menor)">',
+      '        <option value="auto">Auto</option>',
+      '        <option value="asc">\u2191 Menor a mayor / A-Z</option>',
+      '        <option value="desc">\u2193 Mayor a menor / Z-A</option>',
+      '      </select>',
+      '      <select id="sort-tie" class="unit-filter" title="Criterio de desempate">',
+      '        <option value="">Sin desempate</option>',
+      '        <option value="finalPrice">Desempate: precio final</option>',
+      '        <option value="discountPct">Desempate: % descuento</option>',
+      '        <option value="savings">Desempate: ahorro $</option>',
+      '        <option value="name">Desempate: nombre</option>',
+      '        <option value="brand">Desempate: marca</option>',
+      '        <option value="unitPrice">Desempate: $/X</option>',
+      '      </select>',
+      '    </div>',
       '    <div class="filters-row">',
       '    <div class="range-filter-wrap">',
       '      <input type="number" id="price-min" placeholder="Desde" min="0" step="0.01" title="Precio m\u00ednimo">',
@@ -1124,6 +1218,7 @@ window.CotoSorter.vistaLigera = (function () {
       '    </details>',
       '    </div>',
       '    <span class="search-count" id="search-count"></span>',
+      storeNote ? '    <span class="header-store">' + escapeHtmlAttr(storeNote) + "</span>" : "",
       '    <span class="header-date">' + dateStr + "</span>",
       "  </header>",
       "  <main>",
@@ -1138,8 +1233,23 @@ window.CotoSorter.vistaLigera = (function () {
       '      <span class="footer-icon">in</span><span>LinkedIn</span>',
       '    </a>',
       '  </footer>',
-      autoPrint ? "  <script>window.addEventListener('load', function () { setTimeout(function () { window.print(); }, 350); });</" + "script>" : "",
-      "  <script>" + SEARCH_SCRIPT + "</" + "script>",
+    ].join("\n");
+  }
+
+  /** Documento completo para la pestaña Blob (abierta desde COTO): estilos y runVistaPage inline. */
+  function buildDocumentHTML({ title, bodyHTML, pageConfig }) {
+    return [
+      "<!DOCTYPE html>",
+      '<html lang="es">',
+      "<head>",
+      '  <meta charset="UTF-8">',
+      '  <meta name="viewport" content="width=device-width, initial-scale=1.0">',
+      "  <title>" + escapeHtmlAttr(title) + "</title>",
+      "  <style>" + STYLES + "  </style>",
+      "</head>",
+      "<body>",
+      bodyHTML,
+      "  <script>(" + runVistaPage.toString() + ")(" + JSON.stringify(pageConfig) + ");</" + "script>",
       "</body>",
       "</html>",
     ].join("\n");
@@ -1149,11 +1259,14 @@ window.CotoSorter.vistaLigera = (function () {
 
   /**
    * Construye el documento HTML completo y lo abre en una nueva pestaña.
-   * No descarga archivos; usa un Blob URL que el navegador resuelve en memoria.
+   * No descarga archivos; usa un Blob URL que el navegador resuelve en memoria
+   * (desde páginas de la extensión, vista/vista.html: ver openExtensionVista).
    * @param {object[]} products — lista de productos ya scrapeados
+   * @param {object} [options] — printMode, autoPrint, title, histories ({ [sku]: points[] }), watchlist, basket, storeNote
    */
   function generateRevistaHTML(products, options) {
     const opts = options || {};
+    const ctx = { histories: opts.histories || {}, watchlist: opts.watchlist || {}, basket: opts.basket || {} };
     const title = opts.title || "Vista Ligera — COTO Promos";
     const printMode = !!opts.printMode;
     const autoPrint = !!opts.autoPrint;
@@ -1161,12 +1274,17 @@ window.CotoSorter.vistaLigera = (function () {
     const { groupAndSortProducts } = window.CotoSorter.revista;
     const groups = groupAndSortProducts(products);
 
-    // En Vista Ligera, el orden final debe coincidir con el $/X mostrado en cada card.
+    // En Vista Ligera, el orden final debe coincidir con el $/X mostrado en cada card
+    // (llevado a la escala del grupo si el producto se lista en otra unidad).
+    const unitOptions = getUnitCompareOptions();
+    const promoBasis = getSetting("promoSortBasis");
+    const groupScalePrice = (p) =>
+      sortUnitPriceValue(resolveDisplayPrices(p, eligibleOffers(p.paymentOffers)), promoBasis) * comparableUnit(detectUnitTypeFromProduct(p), unitOptions).factor;
     for (const group of groups) {
       group.products.sort((a, b) => {
         if (group.unitType) {
-          const aPrice = resolveDisplayPrices(a).unitPriceValue;
-          const bPrice = resolveDisplayPrices(b).unitPriceValue;
+          const aPrice = groupScalePrice(a);
+          const bPrice = groupScalePrice(b);
           const va = Number.isFinite(aPrice) ? aPrice : Infinity;
           const vb = Number.isFinite(bPrice) ? bPrice : Infinity;
           return va - vb;
@@ -1182,19 +1300,89 @@ window.CotoSorter.vistaLigera = (function () {
       weekday: "long", year: "numeric", month: "long", day: "numeric",
     });
 
-    const sectionsHTML = groups.map(buildGroupHTML).join("\n");
+    const sectionsHTML = groups.map((group) => buildGroupHTML(group, ctx)).join("\n");
 
-    const html = buildDocumentHTML({
-      title,
+    const bodyHTML = buildBodyHTML({
       printMode,
       dateStr,
+      storeNote: opts.storeNote || null,
       sectionsHTML,
-      autoPrint,
     });
+    const pageConfig = { autoPrint };
 
+    const vistaWindow = IN_EXTENSION_PAGE
+      ? openExtensionVista({ title, bodyHTML, pageConfig })
+      : openBlobVista(buildDocumentHTML({ title, bodyHTML, pageConfig }));
+    if (vistaWindow) connectVistaWindow(vistaWindow);
+  }
+
+  function openBlobVista(html) {
     const blob = new Blob([html], { type: "text/html;charset=utf-8" });
-    window.open(URL.createObjectURL(blob), "_blank");
+    return window.open(URL.createObjectURL(blob), "_blank");
+  }
+
+  // =========================================================
+  // Vista desde páginas de la extensión (replay)
+  // =========================================================
+
+  // Un Blob creado por una página chrome-extension:// hereda la CSP de la extensión, que bloquea los
+  // scripts inline (búsqueda, orden, ☆ y canasta quedarían muertos). Ahí se abre vista/vista.html, que
+  // carga src/vistaPage.js como archivo y le pide el documento a esta página con takePendingVista.
+  const IN_EXTENSION_PAGE = (() => {
+    try {
+      return window.location.href.startsWith(chrome.runtime.getURL(""));
+    } catch { return false; }
+  })();
+  const pendingVistas = new Map();
+  let nextVistaId = 1;
+
+  function openExtensionVista(vistaDocument) {
+    const id = String(nextVistaId++);
+    pendingVistas.set(id, { ...vistaDocument, styles: STYLES });
+    const vistaWindow = window.open(chrome.runtime.getURL("vista/vista.html") + "#" + id, "_blank");
+    if (!vistaWindow) pendingVistas.delete(id);
+    return vistaWindow;
+  }
+
+  /**
+   * Entrega (una sola vez) el documento de una vista abierta con openExtensionVista.
+   * @returns {{ title: string, styles: string, bodyHTML: string, pageConfig: object } | null}
+   */
+  function takePendingVista(id) {
+    const vistaDocument = pendingVistas.get(id) || null;
+    pendingVistas.delete(id);
+    return vistaDocument;
+  }
+
+  // =========================================================
+  // Canal con las pestañas de Vista Ligera
+  // =========================================================
+
+  // Pestañas abiertas desde acá. Al cargar, cada una manda "vista:hello" por window y recibe su propio
+  // MessagePort; los scripts del sitio ven el hello pero no el puerto, así que no pueden pedir
+  // watch:set/basket:add en nombre de la vista.
+  const vistaWindows = new WeakSet();
+  let listeningForVistas = false;
+
+  function handleVistaHello(event) {
+    const msg = event.data;
+    if (!vistaWindows.has(event.source) || event.origin !== window.location.origin) return;
+    if (msg?.source !== VISTA_MESSAGE_SOURCE || msg.type !== "vista:hello") return;
+
+    const channel = new MessageChannel();
+    const reply = (state) => channel.port1.postMessage({ source: "coto-sorter", ...state });
+    channel.port1.onmessage = (e) => {
+      if (!watchlist.handleVistaMessage(e.data, reply)) basket.handleVistaMessage(e.data, reply);
+    };
+    event.source.postMessage({ source: "coto-sorter", type: "vista:port" }, event.origin, [channel.port2]);
+  }
+
+  function connectVistaWindow(vistaWindow) {
+    vistaWindows.add(vistaWindow);
+    if (listeningForVistas) return;
+    listeningForVistas = true;
+    window.addEventListener("message", handleVistaHello);
   }
 
-  return { generateRevistaHTML };
+  return { generateRevistaHTML, takePendingVista };
 })();
@@ -0,0 +1,492 @@
+// vistaPage.js — Script de la pestaña de Vista Ligera (búsqueda, filtros, orden, watchlist y canasta)
+// Corre dentro de la vista, no en el content script: runVistaPage no puede usar nada fuera de sí misma.
+// La vista abierta desde COTO (Blob) lo recibe como texto con runVistaPage.toString(); la abierta desde
+// una página de la extensión (replay) carga este archivo, porque la CSP de la extensión bloquea scripts inline.
+window.CotoSorter = window.CotoSorter || {};
+
+window.CotoSorter.vistaPage = (function () {
+  "use strict";
+
+  /**
+   * Engancha los controles de la vista ya renderizada.
+   * @param {{ autoPrint?: boolean }} [config] — autoPrint: abrir el diálogo de impresión al cargar (revista)
+   */
+  function runVistaPage(config) {
+    var options = config || {};
+
+    // Imágenes rotas: ocultarlas (sin onerror inline, que la CSP de la extensión también bloquea).
+    function hideBrokenImage(img) { img.style.display = 'none'; }
+    document.addEventListener('error', function (e) {
+      if (e.target && e.target.tagName === 'IMG') hideBrokenImage(e.target);
+    }, true);
+    Array.from(document.querySelectorAll('.card-img img')).forEach(function (img) {
+      if (img.complete && !img.naturalWidth) hideBrokenImage(img);
+    });
+
+    if (options.autoPrint) {
+      var printSoon = function () { setTimeout(function () { window.print(); }, 350); };
+      if (document.readyState === 'complete') printSoon();
+      else window.addEventListener('load', printSoon);
+    }
+
+    var input   = document.getElementById('search-input');
+    var unitSelect = document.getElementById('unit-filter');
+    var priceMinInput = document.getElementById('price-min');
+    var priceMaxInput = document.getElementById('price-max');
+    var rangeUseUnit = document.getElementById('range-use-unit');
+    var brandOptions = document.getElementById('brand-options');
+    var brandSearchInput = document.getElementById('brand-search-input');
+    var promoOptions = document.getElementById('promo-options');
+    var brandFilter = document.getElementById('brand-filter');
+    var promoFilter = document.getElementById('promo-filter');
+    var clearBtn = document.getElementById('search-clear');
+    var countEl = document.getElementById('search-count');
+    var cards   = Array.from(document.querySelectorAll('.card-link'));
+    var groups  = Array.from(document.querySelectorAll('.group'));
+
+    function updateGroup(group) {
+      var visible = group.querySelectorAll('.card-link:not(.hidden)').length;
+      group.classList.toggle('empty', visible === 0);
+      var span = group.querySelector('.group-count');
+      if (!span) return;
+      if (!span.dataset.orig) span.dataset.orig = span.textContent;
+      var total = parseInt(span.dataset.orig);
+      span.textContent = visible === total
+        ? span.dataset.orig
+        : visible + ' de ' + span.dataset.orig;
+    }
+
+    function buildMultiOptions(container, values, prefix) {
+      container.innerHTML = '';
+      values.forEach(function (value, idx) {
+        var label = document.createElement('label');
+        label.className = 'multi-option';
+
+        var input = document.createElement('input');
+        input.type = 'checkbox';
+        input.checked = false;
+        input.value = value;
+        input.id = prefix + '-' + idx;
+
+        var text = document.createElement('span');
+        text.textContent = value;
+
+        label.appendChild(input);
+        label.appendChild(text);
+        container.appendChild(label);
+      });
+    }
+
+    function getCheckedValues(container) {
+      return new Set(Array.from(container.querySelectorAll('input[type="checkbox"]:checked')).map(function (x) {
+        return String(x.value || '').toLowerCase();
+      }));
+    }
+
+    function normalizeForSearch(text) {
+      return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    }
+
+    function filterBrandOptions(queryText, allowedBrands, onlyAllowedBrands) {
+      if (!brandOptions) return;
+      var term = normalizeForSearch(queryText).trim();
+      var allowed = allowedBrands instanceof Set ? allowedBrands : null;
+      var onlyAllowed = !!onlyAllowedBrands;
+
+      Array.from(brandOptions.querySelectorAll('.multi-option')).forEach(function (option) {
+        var input = option.querySelector('input[type="checkbox"]');
+        var valueRaw = input ? String(input.value || '').toLowerCase() : '';
+        var value = input ? normalizeForSearch(input.value) : '';
+        var matchSearch = !term || value.includes(term);
+        var matchAllowed = !onlyAllowed || (allowed && allowed.has(valueRaw));
+        option.classList.toggle('hidden-option', !(matchSearch && matchAllowed));
+      });
+    }
+
+    function updateAvailableBrandHighlight(isOfertaFilterActive, allowedBrandSet) {
+      if (!brandOptions) return;
+
+      var options = Array.from(brandOptions.querySelectorAll('.multi-option'));
+      options.forEach(function (option) {
+        var input = option.querySelector('input[type="checkbox"]');
+        var value = input ? String(input.value || '').toLowerCase() : '';
+        var isVisibleBrand = isOfertaFilterActive && allowedBrandSet.has(value);
+
+        option.classList.toggle('available-brand', isVisibleBrand);
+      });
+
+      options.sort(function (a, b) {
+        var aInput = a.querySelector('input[type="checkbox"]');
+        var bInput = b.querySelector('input[type="checkbox"]');
+        var aValue = aInput ? String(aInput.value || '') : '';
+        var bValue = bInput ? String(bInput.value || '') : '';
+
+        if (isOfertaFilterActive) {
+          var aTop = a.classList.contains('available-brand') ? 0 : 1;
+          var bTop = b.classList.contains('available-brand') ? 0 : 1;
+          if (aTop !== bTop) return aTop - bTop;
+        }
+
+        return aValue.localeCompare(bValue, 'es', { sensitivity: 'base' });
+      });
+
+      options.forEach(function (option) {
+        brandOptions.appendChild(option);
+      });
+    }
+
+    function getAllowedBrandsFromPromos(selectedPromos) {
+      if (!(selectedPromos instanceof Set) || selectedPromos.size === 0) return null;
+      var allowed = new Set();
+
+      cards.forEach(function (card) {
+        var promo = (card.dataset.promo || '').toLowerCase();
+        var brand = (card.dataset.brand || '').toLowerCase();
+        if (selectedPromos.has(promo) && brand) {
+          allowed.add(brand);
+        }
+      });
+
+      return allowed;
+    }
+
+    function enforceAllowedBrandSelection(allowedBrands, onlyAllowedBrands) {
+      if (!brandOptions || !onlyAllowedBrands || !(allowedBrands instanceof Set)) return;
+      Array.from(brandOptions.querySelectorAll('input[type="checkbox"]')).forEach(function (input) {
+        var value = String(input.value || '').toLowerCase();
+        if (input.checked && !allowedBrands.has(value)) {
+          input.checked = false;
+        }
+      });
+    }
+
+    function filter(q, selectedUnit) {
+      var normalizedTerm = normalizeForSearch(q).trim();
+      var selected = selectedUnit || '';
+      var useUnitRange = !!(rangeUseUnit && rangeUseUnit.checked);
+      var minVal = parseFloat(priceMinInput && priceMinInput.value);
+      var maxVal = parseFloat(priceMaxInput && priceMaxInput.value);
+      var hasMin = Number.isFinite(minVal);
+      var hasMax = Number.isFinite(maxVal);
+      var selectedPromos = getCheckedValues(promoOptions);
+      var onlyAllowedBrands = selectedPromos.size > 0;
+      var allowedBrands = getAllowedBrandsFromPromos(selectedPromos);
+
+      enforceAllowedBrandSelection(allowedBrands, onlyAllowedBrands);
+
+      var selectedBrands = getCheckedValues(brandOptions);
+      var visibleCount = 0;
+      var hasFilter = !!(normalizedTerm || selected || hasMin || hasMax || selectedBrands.size > 0 || selectedPromos.size > 0);
+
+      cards.forEach(function (card) {
+        var name = normalizeForSearch(card.dataset.name || '');
+        var unit = card.dataset.unit || '';
+        var brand = (card.dataset.brand || '').toLowerCase();
+        var promo = (card.dataset.promo || '').toLowerCase();
+
+        var priceField = useUnitRange ? card.dataset.unitPrice : card.dataset.price;
+        var priceValue = parseFloat(priceField || '');
+
+        var matchName = !normalizedTerm || name.includes(normalizedTerm);
+        var matchUnit = !selected || unit === selected;
+        var matchBrand = selectedBrands.size === 0 ? true : selectedBrands.has(brand);
+        var matchPromo = selectedPromos.size === 0 ? true : selectedPromos.has(promo);
+
+        var matchRange = true;
+        if (hasMin || hasMax) {
+          if (!Number.isFinite(priceValue)) {
+            matchRange = false;
+          } else {
+            if (hasMin && priceValue < minVal) matchRange = false;
+            if (hasMax && priceValue > maxVal) matchRange = false;
+          }
+        }
+
+        var match = matchName && matchUnit && matchBrand && matchPromo && matchRange;
+        card.classList.toggle('hidden', !match);
+        if (match) {
+          visibleCount++;
+        }
+      });
+      groups.forEach(updateGroup);
+      updateAvailableBrandHighlight(onlyAllowedBrands, allowedBrands || new Set());
+      filterBrandOptions(brandSearchInput ? brandSearchInput.value : '', allowedBrands, onlyAllowedBrands);
+      clearBtn.classList.toggle('visible', !!normalizedTerm);
+      countEl.textContent = hasFilter
+        ? visibleCount + ' resultado' + (visibleCount !== 1 ? 's' : '')
+        : '';
+    }
+
+    var brands = Array.from(new Set(cards.map(function (c) {
+      return String(c.dataset.brand || '').trim();
+    }).filter(Boolean))).sort(function (a, b) {
+      return a.localeCompare(b, 'es', { sensitivity: 'base' });
+    });
+
+    var promos = Array.from(new Set(cards.map(function (c) {
+      return String(c.dataset.promo || '').trim();
+    }).filter(Boolean))).sort(function (a, b) {
+      return a.localeCompare(b, 'es', { sensitivity: 'base' });
+    });
+
+    buildMultiOptions(brandOptions, brands, 'brand-opt');
+    buildMultiOptions(promoOptions, promos, 'promo-opt');
+
+    if (brandFilter && brands.length === 0) brandFilter.style.display = 'none';
+    if (promoFilter && promos.length === 0) promoFilter.style.display = 'none';
+
+    input.addEventListener('input', function () { filter(input.value, unitSelect.value); });
+    unitSelect.addEventListener('change', function () { filter(input.value, unitSelect.value); });
+    clearBtn.addEventListener('click', function () { input.value = ''; input.focus(); filter('', unitSelect.value); });
+    if (priceMinInput) priceMinInput.addEventListener('input', function () { filter(input.value, unitSelect.value); });
+    if (priceMaxInput) priceMaxInput.addEventListener('input', function () { filter(input.value, unitSelect.value); });
+    if (rangeUseUnit) rangeUseUnit.addEventListener('change', function () { filter(input.value, unitSelect.value); });
+    if (brandOptions) brandOptions.addEventListener('change', function () { filter(input.value, unitSelect.value); });
+    if (brandSearchInput) brandSearchInput.addEventListener('input', function () { filter(input.value, unitSelect.value); });
+    if (promoOptions) promoOptions.addEventListener('change', function () { filter(input.value, unitSelect.value); });
+
+    filterBrandOptions('', null, false);
+    filter('', unitSelect.value);
+
+    // ---- Orden dentro de cada sección ($/X por defecto, $/metro para papel, $/u interna para packs) ----
+    var sortSelect = document.getElementById('sort-key');
+    var sortDirSelect = document.getElementById('sort-dir');
+    var sortTieSelect = document.getElementById('sort-tie');
+    cards.forEach(function (card, idx) { card.dataset.order = idx; });
+
+    // Clave del selector -> data-* del card ('' = orden $/X de la sección).
+    var SORT_FIELDS = {
+      '': 'order', unitPrice: 'unitPrice', finalPrice: 'price', discountPct: 'discountPct', savings: 'savings',
+      paperMeter: 'paperMeter', paperPly: 'paperPly', innerUnit: 'innerUnit', name: 'name', brand: 'brand'
+    };
+    var TEXT_SORT_KEYS = { name: true, brand: true };
+    var DESC_SORT_KEYS = { discountPct: true, savings: true };
+
+    function sortFieldValue(card, key) {
+      var raw = card.dataset[SORT_FIELDS[key]] || '';
+      if (TEXT_SORT_KEYS[key]) return raw === 'sin marca' ? '' : raw;
+      if (key === '' && !card.dataset.unitPrice) return NaN;
+      return parseFloat(raw);
+    }
+
+    // Faltantes siempre al final, en cualquier dirección.
+    function compareSortValues(va, vb, desc) {
+      var fa = typeof va === 'string' ? va !== '' : Number.isFinite(va);
+      var fb = typeof vb === 'string' ? vb !== '' : Number.isFinite(vb);
+      if (!fa || !fb) return fa === fb ? 0 : (fa ? -1 : 1);
+      var diff = typeof va === 'string'
+        ? va.localeCompare(vb, 'es', { sensitivity: 'base', numeric: true })
+        : va - vb;
+      return desc ? -diff : diff;
+    }
+
+    function applySort() {
+      var key = sortSelect.value;
+      var dir = sortDirSelect ? sortDirSelect.value : 'auto';
+      var desc = dir === 'auto' ? !!DESC_SORT_KEYS[key] : dir === 'desc';
+      var tie = sortTieSelect && sortTieSelect.value !== key ? sortTieSelect.value : '';
+      groups.forEach(function (group) {
+        var grid = group.querySelector('.products-grid');
+        if (!grid) return;
+        var list = Array.from(grid.querySelectorAll('.card-link'));
+        list.sort(function (a, b) {
+          return compareSortValues(sortFieldValue(a, key), sortFieldValue(b, key), desc) ||
+            (tie ? compareSortValues(sortFieldValue(a, tie), sortFieldValue(b, tie), !!DESC_SORT_KEYS[tie]) : 0) ||
+            a.dataset.order - b.dataset.order;
+        });
+        list.forEach(function (card) { grid.appendChild(card); });
+      });
+    }
+
+    if (sortSelect) sortSelect.addEventListener('change', applySort);
+    if (sortDirSelect) sortDirSelect.addEventListener('change', applySort);
+    if (sortTieSelect) sortTieSelect.addEventListener('change', applySort);
+
+    // ---- Canal con la pestaña de COTO que abrió esta vista (watchlist y canasta se guardan allá) ----
+    // La vista pide un MessagePort propio y todo viaja por ahí: window.postMessage hacia la pestaña
+    // lo leería (y lo podría imitar) cualquier script del sitio.
+    var openerPort = null;
+
+    function postToOpener(message) {
+      if (!openerPort) {
+        alert('Abrí la Vista Ligera desde COTO (y sin recargar esa pestaña) para seguir productos o usar la canasta.');
+        return;
+      }
+      message.source = 'coto-sorter-vista';
+      openerPort.postMessage(message);
+    }
+
+    window.addEventListener('message', function (e) {
+      var msg = e.data || {};
+      if (openerPort || e.source !== window.opener || msg.type !== 'vista:port' || !e.ports || !e.ports[0]) return;
+      openerPort = e.ports[0];
+      openerPort.onmessage = function (ev) { applyOpenerState(ev.data || {}); };
+    });
+
+    if (window.opener) {
+      window.opener.postMessage({ source: 'coto-sorter-vista', type: 'vista:hello' }, window.location.origin);
+    }
+
+    // ---- Watchlist ----
+
+    function isWatchHit(card) {
+      var target = parseFloat(card.dataset.watchTarget || '');
+      var value = parseFloat((card.dataset.watchType === 'unit' ? card.dataset.unitPrice : card.dataset.price) || '');
+      return Number.isFinite(target) && Number.isFinite(value) && value <= target;
+    }
+
+    function applyWatchState(card, item) {
+      var btn = card.querySelector('.watch-btn');
+      if (item) {
+        card.dataset.watchType = item.targetType;
+        card.dataset.watchTarget = item.target;
+      } else {
+        delete card.dataset.watchType;
+        delete card.dataset.watchTarget;
+      }
+      if (btn) {
+        btn.classList.toggle('watching', !!item);
+        btn.textContent = item ? '\u2605' : '\u2606';
+        btn.title = item ? 'Siguiendo — click para editar' : 'Seguir producto';
+      }
+      card.querySelector('.card').classList.toggle('watch-hit', !!item && isWatchHit(card));
+    }
+
+    function openWatchForm(card) {
+      var info = card.querySelector('.card-info');
+      var existing = info.querySelector('.watch-form');
+      if (existing) { existing.remove(); return; }
+
+      var form = document.createElement('div');
+      form.className = 'watch-form';
+
+      var typeSelect = document.createElement('select');
+      typeSelect.appendChild(new Option('Precio final', 'final'));
+      if (card.dataset.unitPrice) typeSelect.appendChild(new Option('$/' + (card.dataset.unitLabel || 'u'), 'unit'));
+      typeSelect.value = card.dataset.watchType === 'unit' && typeSelect.options.length > 1 ? 'unit' : 'final';
+
+      var targetInput = document.createElement('input');
+      targetInput.type = 'number';
+      targetInput.min = '0';
+      targetInput.step = '0.01';
+      targetInput.placeholder = 'Objetivo';
+      targetInput.value = card.dataset.watchTarget || '';
+
+      var saveBtn = document.createElement('button');
+      saveBtn.type = 'button';
+      saveBtn.textContent = card.dataset.watchTarget ? 'Actualizar' : 'Seguir';
+      saveBtn.addEventListener('click', function () {
+        var target = parseFloat(targetInput.value);
+        if (!Number.isFinite(target) || target <= 0) { targetInput.focus(); return; }
+        var img = card.querySelector('.card-img img');
+        postToOpener({
+          type: 'watch:set',
+          item: {
+            sku: card.dataset.sku,
+            name: card.querySelector('.card-name').textContent,
+            href: card.getAttribute('href') || null,
+            imgSrc: img ? img.getAttribute('src') : null,
+            unitType: card.dataset.unit || null,
+            targetType: typeSelect.value,
+            target: target
+          }
+        });
+        form.remove();
+      });
+
+      form.appendChild(typeSelect);
+      form.appendChild(targetInput);
+      form.appendChild(saveBtn);
+
+      if (card.dataset.watchTarget) {
+        var removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.textContent = 'Quitar';
+        removeBtn.addEventListener('click', function () {
+          postToOpener({ type: 'watch:remove', sku: card.dataset.sku });
+          form.remove();
+        });
+        form.appendChild(removeBtn);
+      }
+
+      info.insertBefore(form, info.firstChild);
+      targetInput.focus();
+    }
+
+    // ---- Canasta (comparación entre sucursales) ----
+    document.addEventListener('click', function (e) {
+      var btn = e.target.closest('.basket-btn');
+      if (!btn) return;
+      e.preventDefault();
+      e.stopPropagation();
+      var card = btn.closest('.card-link');
+      postToOpener({
+        type: btn.classList.contains('in-basket') ? 'basket:remove' : 'basket:add',
+        sku: card.dataset.sku
+      });
+    }, true);
+
+    document.addEventListener('click', function (e) {
+      var inForm = e.target.closest('.watch-form');
+      var btn = e.target.closest('.watch-btn');
+      if (!inForm && !btn) return;
+      e.preventDefault();
+      if (btn) {
+        e.stopPropagation();
+        openWatchForm(btn.closest('.card-link'));
+      }
+    }, true);
+
+    // Estado confirmado por la pestaña de COTO (llega por openerPort).
+    function applyOpenerState(msg) {
+      if (msg.source !== 'coto-sorter') return;
+      if (msg.error) alert(msg.error);
+      cards.forEach(function (card) {
+        if (card.dataset.sku !== msg.sku) return;
+        if (msg.type === 'watch:state') applyWatchState(card, msg.item);
+        if (msg.type === 'basket:state') {
+          var basketBtn = card.querySelector('.basket-btn');
+          if (!basketBtn) return;
+          basketBtn.classList.toggle('in-basket', !!msg.inBasket);
+          basketBtn.textContent = msg.inBasket ? '\u2713 Canasta' : '+ Canasta';
+          basketBtn.title = msg.inBasket ? 'Quitar de la canasta' : 'Agregar a la canasta para comparar sucursales';
+        }
+      });
+    }
+
+    // ---- Estimador por peso (pesables) ----
+    function parseWeightInput(text) {
+      var match = String(text || '').trim().toLowerCase().match(/^(\d+(?:[.,]\d+)?)\s*(kg|kgs|kilos?|g|gr|grs|gramos?)?$/);
+      if (!match) return NaN;
+      var amount = parseFloat(match[1].replace(',', '.'));
+      if (!(amount > 0)) return NaN;
+      if (match[2]) return /^k/.test(match[2]) ? amount : amount / 1000;
+      return amount >= 10 ? amount / 1000 : amount;
+    }
+
+    document.addEventListener('input', function (e) {
+      var input = e.target.closest('.weight-estimate input');
+      if (!input) return;
+      var card = input.closest('.card-link');
+      var kg = parseWeightInput(input.value);
+      var result = input.parentNode.querySelector('.weight-result');
+      var total = kg * parseFloat(card.dataset.kgPrice);
+      result.textContent = total > 0
+        ? '\u2248 $' + total.toFixed(2).replace('.', ',').replace(/\B(?=(\d{3})+(?!\d))/g, '.')
+        : '';
+    });
+
+    document.addEventListener('click', function (e) {
+      if (e.target.closest('.weight-estimate')) e.preventDefault();
+    }, true);
+
+    // ---- Colapso de grupos ----
+    document.querySelectorAll('.group-separator').forEach(function (sep) {
+      sep.addEventListener('click', function () {
+        sep.closest('.group').classList.toggle('collapsed');
+      });
+    });
+  }
+
+  return { runVistaPage };
+})();
@@ -0,0 +1,326 @@
+// watchlist.js — Productos seguidos con precio objetivo y alertas
+window.CotoSorter = window.CotoSorter || {};
+
+window.CotoSorter.watchlist = (function () {
+  "use strict";
+
+  const { formatPrice, unitLabel, localDateKey, isCotoUrl } = window.CotoSorter.utils;
+  const { debugLog } = window.CotoSorter.logger;
+
+  const WATCHLIST_KEY = "watchlist";
+  const VISTA_MESSAGE_SOURCE = "coto-sorter-vista";
+
+  // Cache sincrónico de chrome.storage.local[WATCHLIST_KEY]: { [sku]: item }
+  let items = {};
+  const changeListeners = [];
+
+  /**
+   * Item: { sku, name, href, imgSrc, unitType, targetType: "final"|"unit", target,
+   *         lastSeen: { date, finalPrice, unitPrice }, lastAlert: { date, price } }
+   */
+
+  function saveItems() {
+    try {
+      chrome.storage.local.set({ [WATCHLIST_KEY]: items });
+    } catch (err) {
+      debugLog("[Watchlist] Could not save:", err?.message || err);
+    }
+  }
+
+  function positiveOrNull(value) {
+    const n = Number(value);
+    return Number.isFinite(n) && n > 0 ? n : null;
+  }
+
+  /** Precio final y $/X de una observación {regularPrice, promoPrice, unitPrice}. */
+  function seenPrices(obs) {
+    return {
+      finalPrice: positiveOrNull(obs.promoPrice) || positiveOrNull(obs.regularPrice),
+      unitPrice: positiveOrNull(obs.unitPrice),
+    };
+  }
+
+  /** True si el precio visto está en o por debajo del objetivo del item. */
+  function isTargetHit(item, seen) {
+    const target = positiveOrNull(item?.target);
+    if (!target || !seen) return false;
+    const value = item.targetType === "unit" ? seen.unitPrice : seen.finalPrice;
+    return Number.isFinite(value) && value > 0 && value <= target;
+  }
+
+  /** Texto del objetivo: "≤ $9.000,00 /kg" o "≤ $2.000,00". */
+  function describeTarget(item) {
+    const suffix = item.targetType === "unit" ? ` /${unitLabel(item.unitType)}` : "";
+    return `≤ ${formatPrice(Number(item.target))}${suffix}`;
+  }
+
+  function sendAlert(item, seen) {
+    const value = item.targetType === "unit" ? seen.unitPrice : seen.finalPrice;
+    const suffix = item.targetType === "unit" ? ` /${unitLabel(item.unitType)}` : "";
+    try {
+      chrome.runtime.sendMessage({
+        type: "coto-sorter:watch-alert",
+        sku: item.sku,
+        title: "Precio objetivo alcanzado",
+        message: `${item.name || "Producto"}: ${formatPrice(value)}${suffix} (objetivo ${describeTarget(item)})`,
+      });
+    } catch (err) {
+      debugLog("[Watchlist] Could not send alert:", err?.message || err);
+    }
+  }
+
+  /**
+   * Actualiza último precio visto de los SKUs seguidos y dispara alertas.
+   * Alerta una vez por día, o de nuevo si el precio bajó desde la última alerta.
+   * @param {object[]} observations — {sku, regularPrice, promoPrice, unitPrice}
+   * @returns {Set<string>} SKUs que están en o por debajo del objetivo
+   */
+  function checkObservations(observations) {
+    const hits = new Set();
+    const today = localDateKey();
+    let changed = false;
+
+    for (const obs of observations || []) {
+      const item = obs?.sku ? items[obs.sku] : null;
+      if (!item) continue;
+
+      const seen = seenPrices(obs);
+      if (!seen.finalPrice && !seen.unitPrice) continue;
+
+      const last = item.lastSeen;
+      if (!last || last.date !== today || last.finalPrice !== seen.finalPrice || last.unitPrice !== seen.unitPrice) {
+        item.lastSeen = { date: today, ...seen };
+        changed = true;
+      }
+
+      if (!isTargetHit(item, seen)) continue;
+      hits.add(obs.sku);
+
+      const value = item.targetType === "unit" ? seen.unitPrice : seen.finalPrice;
+      const lastAlert = item.lastAlert;
+      if (!lastAlert || lastAlert.date !== today || value < lastAlert.price) {
+        item.lastAlert = { date: today, price: value };
+        changed = true;
+        sendAlert(item, seen);
+        debugLog(`[Watchlist] Target hit for ${obs.sku}`, value);
+      }
+    }
+
+    if (changed) saveItems();
+    return hits;
+  }
+
+  /** Atajo para una sola observación; devuelve true si alcanzó el objetivo. */
+  function checkObservation(observation) {
+    return checkObservations([observation]).has(observation?.sku);
+  }
+
+  function getWatchItem(sku) {
+    return sku ? items[sku] || null : null;
+  }
+
+  /** Copia del watchlist actual (para Vista Ligera). */
+  function getWatchlist() {
+    return JSON.parse(JSON.stringify(items));
+  }
+
+  /**
+   * Crea/actualiza un item. Conserva lastSeen y reinicia lastAlert al cambiar objetivo.
+   * Solo guarda hrefs de cotodigital: la notificación abre ese link (background.js).
+   */
+  function setWatchItem(item) {
+    if (!item?.sku || !positiveOrNull(item.target)) return;
+    const previous = items[item.sku] || {};
+    items[item.sku] = {
+      ...previous,
+      sku: item.sku,
+      name: item.name || previous.name || null,
+      href: [item.href, previous.href].find(isCotoUrl) || null,
+      imgSrc: item.imgSrc || previous.imgSrc || null,
+      unitType: item.unitType || previous.unitType || null,
+      targetType: item.targetType === "unit" ? "unit" : "final",
+      target: Number(item.target),
+      lastAlert: null,
+    };
+    saveItems();
+    notifyChange();
+  }
+
+  function removeWatchItem(sku) {
+    if (!items[sku]) return;
+    delete items[sku];
+    saveItems();
+    notifyChange();
+  }
+
+  /** Firma de SKUs/objetivos: solo esos cambios afectan badges y highlights. */
+  function targetsSignature(list) {
+    return Object.values(list || {})
+      .map((item) => `${item.sku}:${item.targetType}:${item.target}`)
+      .sort()
+      .join("|");
+  }
+
+  function onWatchlistChange(fn) {
+    changeListeners.push(fn);
+  }
+
+  function notifyChange() {
+    for (const fn of changeListeners) {
+      try { fn(items); } catch (err) { debugLog("[Watchlist] Listener error:", err); }
+    }
+  }
+
+  // =========================================================
+  // Diálogo de objetivo (página de COTO)
+  // =========================================================
+
+  /**
+   * Abre el diálogo para seguir un producto.
+   * @param {object} product — {sku, name, href, imgSrc, unitType, finalPrice, unitPrice}
+   */
+  function showWatchDialog(product) {
+    if (!product?.sku || document.querySelector(".coto-sorter-watch-overlay")) return;
+
+    const current = getWatchItem(product.sku);
+    const label = unitLabel(product.unitType);
+
+    const overlay = document.createElement("div");
+    overlay.className = "coto-sorter-opiniones-overlay coto-sorter-watch-overlay";
+
+    const modal = document.createElement("div");
+    modal.className = "coto-sorter-opiniones-modal";
+
+    const title = document.createElement("p");
+    title.className = "coto-sorter-opiniones-text";
+    title.textContent = `Seguir "${product.name || "Producto"}" y avisarme cuando llegue a:`;
+
+    const typeSelect = document.createElement("select");
+    typeSelect.className = "coto-sorter-opiniones-email";
+    const optFinal = new Option(`Precio final (hoy ${formatPrice(product.finalPrice)})`, "final");
+    typeSelect.appendChild(optFinal);
+    if (product.unitType && positiveOrNull(product.unitPrice)) {
+      typeSelect.appendChild(new Option(`$/${label} (hoy ${formatPrice(product.unitPrice)})`, "unit"));
+    }
+    typeSelect.value = current?.targetType === "unit" && typeSelect.options.length > 1 ? "unit" : "final";
+
+    const targetInput = document.createElement("input");
+    targetInput.className = "coto-sorter-opiniones-email";
+    targetInput.type = "number";
+    targetInput.min = "0";
+    targetInput.step = "0.01";
+    targetInput.placeholder = "Precio objetivo";
+    targetInput.value = current ? String(current.target) : "";
+
+    const status = document.createElement("span");
+    status.className = "coto-sorter-opiniones-status";
+
+    const close = () => overlay.remove();
+
+    const saveBtn = document.createElement("button");
+    saveBtn.className = "coto-sorter-btn";
+    saveBtn.textContent = current ? "Actualizar objetivo" : "Seguir producto";
+    saveBtn.addEventListener("click", () => {
+      const target = parseFloat(targetInput.value);
+      if (!Number.isFinite(target) || target <= 0) {
+        status.textContent = "Ingresá un precio objetivo válido";
+        return;
+      }
+      setWatchItem({ ...product, targetType: typeSelect.value, target });
+      close();
+    });
+
+    modal.appendChild(title);
+    modal.appendChild(typeSelect);
+    modal.appendChild(targetInput);
+    modal.appendChild(status);
+    modal.appendChild(saveBtn);
+
+    if (current) {
+      const removeBtn = document.createElement("button");
+      removeBtn.className = "coto-sorter-btn coto-sorter-btn-reset";
+      removeBtn.textContent = "Dejar de seguir";
+      removeBtn.addEventListener("click", () => {
+        removeWatchItem(product.sku);
+        close();
+      });
+      modal.appendChild(removeBtn);
+    }
+
+    const closeBtn = document.createElement("button");
+    closeBtn.className = "coto-sorter-btn coto-sorter-btn-reset";
+    closeBtn.textContent = "Cerrar";
+    closeBtn.addEventListener("click", close);
+    modal.appendChild(closeBtn);
+
+    overlay.addEventListener("click", (e) => {
+      if (e.target === overlay) close();
+    });
+
+    overlay.appendChild(modal);
+    document.body.appendChild(overlay);
+    setTimeout(() => targetInput.focus(), 0);
+  }
+
+  // =========================================================
+  // Inicialización y puente con Vista Ligera
+  // =========================================================
+
+  /**
+   * Altas/bajas pedidas por una pestaña de Vista Ligera (llegan por su MessagePort, ver vistaLigera.js).
+   * @param {object} msg — { type: "watch:set", item } | { type: "watch:remove", sku }
+   * @param {(state: object) => void} reply — responde a esa pestaña
+   * @returns {boolean} true si el mensaje era del watchlist
+   */
+  function handleVistaMessage(msg, reply) {
+    const sku = msg?.sku || msg?.item?.sku;
+    if (msg?.type === "watch:set") {
+      setWatchItem(msg.item);
+    } else if (msg?.type === "watch:remove") {
+      removeWatchItem(msg.sku);
+    } else {
+      return false;
+    }
+
+    debugLog(`[Watchlist] Vista Ligera ${msg.type}`, sku);
+    reply({ type: "watch:state", sku, item: getWatchItem(sku) });
+    return true;
+  }
+
+  /** Carga el watchlist en cache y escucha cambios (popup u otras pestañas). */
+  function initWatchlist() {
+    try {
+      chrome.storage.local.get(WATCHLIST_KEY, (result) => {
+        items = result?.[WATCHLIST_KEY] || {};
+        debugLog(`[Watchlist] Loaded ${Object.keys(items).length} watched products`);
+        notifyChange();
+      });
+      chrome.storage.onChanged.addListener((changes, area) => {
+        if (area === "local" && changes[WATCHLIST_KEY]) {
+          const next = changes[WATCHLIST_KEY].newValue || {};
+          const targetsChanged = targetsSignature(next) !== targetsSignature(items);
+          items = next;
+          if (targetsChanged) notifyChange();
+        }
+      });
+    } catch {
+      items = {};
+    }
+  }
+
+  return {
+    VISTA_MESSAGE_SOURCE,
+    initWatchlist,
+    onWatchlistChange,
+    getWatchItem,
+    getWatchlist,
+    setWatchItem,
+    removeWatchItem,
+    checkObservation,
+    checkObservations,
+    isTargetHit,
+    describeTarget,
+    showWatchDialog,
+    handleVistaMessage,
+  };
+})();
@@ -0,0 +1,26 @@
+// Vista page — Vista Ligera abierta desde una página de la extensión (replay).
+// El documento lo arma la página que la abrió (vistaLigera.takePendingVista); acá solo se monta y se engancha.
+(function () {
+  "use strict";
+
+  const { runVistaPage } = window.CotoSorter.vistaPage;
+
+  let vistaDocument = null;
+  try {
+    vistaDocument = window.opener?.CotoSorter?.vistaLigera?.takePendingVista(window.location.hash.slice(1)) || null;
+  } catch {
+    // Sin opener (pestaña recargada o página que la abrió cerrada)
+  }
+
+  if (!vistaDocument) {
+    document.body.textContent = "Esta Vista Ligera ya no está disponible: volvé a abrirla desde la página que la generó.";
+    return;
+  }
+
+  document.title = vistaDocument.title;
+  const style = document.createElement("style");
+  style.textContent = vistaDocument.styles;
+  document.head.appendChild(style);
+  document.body.innerHTML = vistaDocument.bodyHTML;
+  runVistaPage(vistaDocument.pageConfig);
+})();